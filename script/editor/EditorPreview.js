@@ -0,0 +1,107 @@
+// NoteMesh Editor Preview
+// Live Markdown preview next to (or instead of) the note editor textarea
+
+const EDITOR_MODE_KEY = 'notemesh_editor_mode';
+const EDITOR_MODES = ['write', 'split', 'preview'];
+
+// Typing pause before the preview re-renders
+const PREVIEW_DELAY = 150;
+
+class EditorPreview {
+    /**
+     * @param {HTMLTextAreaElement} textarea - Editor whose content is previewed
+     * @param {HTMLElement} preview - Element the rendered note is shown in
+     * @param {HTMLElement} panes - Container of both; gets a mode-* class
+     * @param {Function} render - content => HTML (wiki-links resolved)
+     */
+    constructor(textarea, preview, panes, render) {
+        this.textarea = textarea;
+        this.preview = preview;
+        this.panes = panes;
+        this.render = render;
+        this.mode = EditorPreview.loadMode();
+        this.scheduleUpdate = PerformanceUtils.debounce(() => this.update(), PREVIEW_DELAY);
+
+        this.bindEvents();
+        this.applyMode();
+    }
+
+    static loadMode() {
+        if (typeof localStorage === 'undefined') return 'write';
+        const stored = localStorage.getItem(EDITOR_MODE_KEY);
+        return EDITOR_MODES.includes(stored) ? stored : 'write';
+    }
+
+    bindEvents() {
+        this.textarea.addEventListener('input', () => {
+            if (this.isVisible()) this.scheduleUpdate();
+        });
+
+        // The editor and preview scroll together
+        this.textarea.addEventListener('scroll', () => this.syncScroll(this.textarea, this.preview));
+        this.preview.addEventListener('scroll', () => this.syncScroll(this.preview, this.textarea));
+
+        // Links in the preview would leave the editor; keep them inert
+        this.preview.addEventListener('click', (e) => {
+            if (!e.target.closest('a')) return;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+    }
+
+    isVisible() {
+        return this.mode !== 'write';
+    }
+
+    /**
+     * Switch between 'write', 'split' (side by side) and 'preview'
+     * @param {string} mode - Editor mode, remembered for next time
+     */
+    setMode(mode) {
+        if (!EDITOR_MODES.includes(mode)) return;
+
+        this.mode = mode;
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(EDITOR_MODE_KEY, mode);
+        }
+        this.applyMode();
+    }
+
+    applyMode() {
+        EDITOR_MODES.forEach(mode => this.panes.classList.toggle(`mode-${mode}`, mode === this.mode));
+        if (this.isVisible()) this.update();
+    }
+
+    // Render the current content now
+    update() {
+        const content = this.textarea.value;
+        this.preview.innerHTML = content.trim()
+            ? this.render(content)
+            : '<p class="note-preview-empty">Nothing to preview yet</p>';
+        this.syncScroll(this.textarea, this.preview);
+    }
+
+    /**
+     * Scroll one pane to the same relative position as the other. Scrolling
+     * back from the echo lands within a pixel and is skipped, so the two
+     * don't chase each other.
+     * @param {HTMLElement} source - Pane that scrolled
+     * @param {HTMLElement} target - Pane to follow it
+     */
+    syncScroll(source, target) {
+        if (this.mode !== 'split') return;
+
+        const sourceRange = source.scrollHeight - source.clientHeight;
+        const targetRange = target.scrollHeight - target.clientHeight;
+        if (targetRange <= 0) return;
+
+        const ratio = sourceRange > 0 ? source.scrollTop / sourceRange : 0;
+        const scrollTop = ratio * targetRange;
+        if (Math.abs(target.scrollTop - scrollTop) > 1) {
+            target.scrollTop = scrollTop;
+        }
+    }
+}
+
+// Export for global access
+window.EditorPreview = EditorPreview;
@@ -0,0 +1,245 @@
+// NoteMesh Link Autocomplete
+// Completes [[wiki links]] in the note editor from existing note titles
+
+// Most suggestions shown at once
+const LINK_SUGGESTION_LIMIT = 8;
+
+class LinkAutocomplete {
+    /**
+     * @param {HTMLTextAreaElement} textarea - Editor to complete links in
+     * @param {HTMLElement} list - Popup the suggestions are shown in
+     * @param {Object} options - getTitles() returns the titles to suggest, best
+     *   first for an empty query; onCreate(title) is called when a title that
+     *   doesn't exist yet is chosen
+     */
+    constructor(textarea, list, options) {
+        this.textarea = textarea;
+        this.list = list;
+        this.getTitles = options.getTitles;
+        this.onCreate = options.onCreate || null;
+        this.items = []; // { title, create }
+        this.activeIndex = 0;
+        this.range = null; // { start, end } of the text typed after [[
+
+        this.textarea.setAttribute('aria-autocomplete', 'list');
+        this.textarea.setAttribute('aria-controls', this.list.id);
+        this.textarea.setAttribute('aria-expanded', 'false');
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.textarea.addEventListener('input', () => this.update());
+        this.textarea.addEventListener('keydown', (e) => this.onKeyDown(e));
+        this.textarea.addEventListener('blur', () => this.close());
+
+        // Follow the caret while open
+        this.textarea.addEventListener('click', () => {
+            if (this.isOpen()) this.update();
+        });
+        this.textarea.addEventListener('keyup', (e) => {
+            if (this.isOpen() && ['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) this.update();
+        });
+
+        // mousedown rather than click, so the textarea keeps focus
+        this.list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (!item) return;
+
+            e.preventDefault();
+            this.choose(parseInt(item.dataset.index, 10));
+        });
+    }
+
+    isOpen() {
+        return this.items.length > 0;
+    }
+
+    /**
+     * The link being typed at the caret: after an unclosed [[ on the same
+     * line, before any |alias
+     * @returns {Object|null} { start, end, query } - start is just after the [[
+     */
+    getOpenLink() {
+        const { value, selectionStart, selectionEnd } = this.textarea;
+        if (selectionStart !== selectionEnd) return null;
+
+        const before = value.slice(0, selectionStart);
+        const open = before.lastIndexOf('[[');
+        if (open === -1) return null;
+
+        const query = before.slice(open + 2);
+        if (/[[\]|\n]/.test(query)) return null;
+
+        return { start: open + 2, end: selectionStart, query };
+    }
+
+    // Match the typed text against note titles and show the best ones
+    update() {
+        const link = this.getOpenLink();
+        if (!link) {
+            this.close();
+            return;
+        }
+
+        const query = link.query.trim();
+        const titles = this.getTitles();
+        // sort() is stable, so equal scores keep the order getTitles() gave
+        this.items = titles
+            .map(title => ({ title, score: StringUtils.fuzzyScore(query, title) }))
+            .filter(({ score }) => score !== null)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, LINK_SUGGESTION_LIMIT)
+            .map(({ title }) => ({ title, create: false }));
+
+        const exists = titles.some(title => title.toLowerCase() === query.toLowerCase());
+        if (query && !exists && this.onCreate) {
+            this.items.push({ title: query, create: true });
+        }
+
+        this.range = link;
+        this.activeIndex = 0;
+        if (this.items.length === 0) {
+            this.close();
+            return;
+        }
+        this.render();
+    }
+
+    render() {
+        const id = this.list.id;
+        this.list.innerHTML = this.items.map((item, i) => `
+            <div id="${id}-${i}" class="link-suggestion${i === this.activeIndex ? ' active' : ''}"
+                role="option" aria-selected="${i === this.activeIndex}" data-index="${i}">
+                ${item.create
+                    ? `<span class="material-icons">add</span>Create note "${StringUtils.escapeHtml(item.title)}"`
+                    : StringUtils.escapeHtml(item.title)}
+            </div>
+        `).join('');
+
+        // Shown before placing, so its width can be measured
+        this.list.classList.add('show');
+        this.position();
+        this.textarea.setAttribute('aria-expanded', 'true');
+        this.textarea.setAttribute('aria-activedescendant', `${id}-${this.activeIndex}`);
+    }
+
+    // Place the popup under the caret, kept within the textarea's width
+    position() {
+        const caret = this.getCaretCoordinates(this.range.start);
+        const maxLeft = this.textarea.offsetWidth - this.list.offsetWidth;
+
+        this.list.style.top = `${this.textarea.offsetTop + caret.top + caret.height - this.textarea.scrollTop}px`;
+        this.list.style.left = `${this.textarea.offsetLeft + Math.max(0, Math.min(caret.left - this.textarea.scrollLeft, maxLeft))}px`;
+    }
+
+    /**
+     * Pixel position of a character inside the textarea, measured on a
+     * hidden copy of its text with the same box and font
+     * @param {number} index - Character offset
+     * @returns {Object} { top, left, height } relative to the textarea
+     */
+    getCaretCoordinates(index) {
+        const style = window.getComputedStyle(this.textarea);
+        const mirror = document.createElement('div');
+        [
+            'boxSizing', 'width', 'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing',
+            'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+            'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'tabSize'
+        ].forEach(property => {
+            mirror.style[property] = style[property];
+        });
+        Object.assign(mirror.style, {
+            position: 'absolute',
+            visibility: 'hidden',
+            top: '0',
+            left: '-9999px',
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word',
+            borderStyle: 'solid'
+        });
+
+        mirror.textContent = this.textarea.value.slice(0, index);
+        const marker = document.createElement('span');
+        marker.textContent = '\u200b'; // Zero-width, so it has a position but no width
+        mirror.appendChild(marker);
+        document.body.appendChild(mirror);
+
+        const coordinates = { top: marker.offsetTop, left: marker.offsetLeft, height: marker.offsetHeight };
+        mirror.remove();
+        return coordinates;
+    }
+
+    onKeyDown(e) {
+        if (!this.isOpen()) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                this.setActive(this.activeIndex + 1);
+                break;
+            case 'ArrowUp':
+                this.setActive(this.activeIndex - 1);
+                break;
+            case 'Enter':
+            case 'Tab':
+                this.choose(this.activeIndex);
+                break;
+            case '|':
+                // Complete the title and carry on typing the alias
+                this.choose(this.activeIndex, true);
+                break;
+            case 'Escape':
+                // Only close the popup, not the editor
+                e.stopPropagation();
+                this.close();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    setActive(index) {
+        this.activeIndex = (index + this.items.length) % this.items.length;
+        this.render();
+        this.list.querySelector('.link-suggestion.active')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Insert a suggestion as [[Title]], replacing what was typed after the [[
+     * @param {number} index - Suggestion to insert
+     * @param {boolean} withAlias - Insert [[Title|]] and leave the caret before the ]]
+     */
+    choose(index, withAlias = false) {
+        const item = this.items[index];
+        if (!item || !this.range) return;
+
+        const { start, end } = this.range;
+        const { value } = this.textarea;
+        // Reuse a closing ]] that is already there
+        const replaceEnd = value.startsWith(']]', end) ? end + 2 : end;
+        const text = `${item.title}${withAlias ? '|' : ''}]]`;
+
+        this.textarea.setRangeText(text, start, replaceEnd, 'end');
+        if (withAlias) {
+            const caret = start + text.length - 2;
+            this.textarea.setSelectionRange(caret, caret);
+        }
+        this.close();
+
+        if (item.create) this.onCreate(item.title);
+        // setRangeText doesn't fire input; listeners still need to see the change
+        this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    close() {
+        this.items = [];
+        this.range = null;
+        this.list.classList.remove('show');
+        this.list.innerHTML = '';
+        this.textarea.setAttribute('aria-expanded', 'false');
+        this.textarea.removeAttribute('aria-activedescendant');
+    }
+}
+
+// Export for global access
+window.LinkAutocomplete = LinkAutocomplete;
@@ -0,0 +1,345 @@
+// NoteMesh Graph Analytics
+// Centrality, communities, orphans and bridges for the graph as shown
+
+// Metrics nodes can be sized or coloured by
+const GRAPH_METRICS = ['degree', 'pagerank', 'betweenness'];
+
+class GraphAnalytics {
+    /**
+     * Index the graph for the algorithms. Every edge counts, tag edges included;
+     * link edges are directed for PageRank and undirected elsewhere.
+     * @param {Array} nodes - Graph nodes
+     * @param {Array} edges - Graph edges between those nodes
+     * @param {Object} config - GraphConfig.analytics
+     */
+    constructor(nodes, edges, config = GraphConfig.analytics) {
+        this.config = config;
+        this.nodes = nodes;
+        this.indexById = new Map(nodes.map((node, i) => [node.id, i]));
+        this.neighbours = nodes.map(() => []); // Undirected: [index, weight]
+        this.outgoing = nodes.map(() => []); // Directed, for PageRank: [index, weight]
+
+        edges.forEach(edge => {
+            const source = this.indexById.get(edge.source);
+            const target = this.indexById.get(edge.target);
+            if (source === undefined || target === undefined || source === target) return;
+
+            const weight = edge.strength || 1;
+            this.neighbours[source].push([target, weight]);
+            this.neighbours[target].push([source, weight]);
+
+            this.outgoing[source].push([target, weight]);
+            if (edge.type === 'tag' || edge.mutual) {
+                this.outgoing[target].push([source, weight]);
+            }
+        });
+    }
+
+    /**
+     * Run every analysis
+     * @param {Array} nodes - Graph nodes
+     * @param {Array} edges - Graph edges
+     * @returns {Object} { metrics: Map id -> { degree, pagerank, betweenness, community },
+     *   max: { degree, pagerank, betweenness }, communities: [{ id, nodeIds }], modularity,
+     *   orphans: [id], bridges: [id], sampled }
+     */
+    static analyze(nodes, edges) {
+        const analytics = new GraphAnalytics(nodes, edges);
+        const degree = analytics.degree();
+        const pagerank = analytics.pageRank();
+        const { values: betweenness, sampled } = analytics.betweenness();
+        const { membership, modularity } = analytics.communities();
+        const bridges = analytics.articulationPoints();
+
+        // Number communities largest first
+        const members = new Map();
+        membership.forEach((community, i) => {
+            if (!members.has(community)) members.set(community, []);
+            members.get(community).push(nodes[i].id);
+        });
+        const communities = Array.from(members.values())
+            .sort((a, b) => b.length - a.length)
+            .map((nodeIds, id) => ({ id, nodeIds }));
+        const communityOf = new Map();
+        communities.forEach(({ id, nodeIds }) => nodeIds.forEach(nodeId => communityOf.set(nodeId, id)));
+
+        const metrics = new Map(nodes.map((node, i) => [node.id, {
+            degree: degree[i],
+            pagerank: pagerank[i],
+            betweenness: betweenness[i],
+            community: communityOf.get(node.id)
+        }]));
+        const max = {};
+        GRAPH_METRICS.forEach(metric => {
+            max[metric] = 0;
+            metrics.forEach(values => { max[metric] = Math.max(max[metric], values[metric]); });
+        });
+
+        return {
+            metrics,
+            max,
+            communities,
+            modularity,
+            orphans: nodes.filter((node, i) => degree[i] === 0).map(node => node.id),
+            bridges: nodes.filter((node, i) => bridges[i]).map(node => node.id),
+            sampled
+        };
+    }
+
+    degree() {
+        return this.neighbours.map(list => list.length);
+    }
+
+    /**
+     * Weighted PageRank over link direction (mutual links and tag edges count both ways).
+     * Rank from notes without outgoing edges is spread evenly.
+     * @returns {Float64Array} Rank per node, summing to 1
+     */
+    pageRank() {
+        const n = this.nodes.length;
+        const { damping, tolerance, maxIterations } = this.config.pageRank;
+        const outWeight = this.outgoing.map(list => list.reduce((sum, [, weight]) => sum + weight, 0));
+        let rank = new Float64Array(n).fill(1 / n);
+
+        for (let iteration = 0; iteration < maxIterations && n > 0; iteration++) {
+            let dangling = 0;
+            for (let i = 0; i < n; i++) {
+                if (outWeight[i] === 0) dangling += rank[i];
+            }
+
+            const next = new Float64Array(n).fill((1 - damping) / n + damping * dangling / n);
+            for (let i = 0; i < n; i++) {
+                if (outWeight[i] === 0) continue;
+                const share = damping * rank[i] / outWeight[i];
+                this.outgoing[i].forEach(([j, weight]) => { next[j] += share * weight; });
+            }
+
+            let change = 0;
+            for (let i = 0; i < n; i++) change += Math.abs(next[i] - rank[i]);
+            rank = next;
+            if (change < tolerance) break;
+        }
+
+        return rank;
+    }
+
+    /**
+     * Betweenness centrality (Brandes, unweighted), normalised to 0-1.
+     * Large graphs use evenly spaced source notes and scale up the result.
+     * @returns {Object} { values: Float64Array, sampled: boolean }
+     */
+    betweenness() {
+        const n = this.nodes.length;
+        const values = new Float64Array(n);
+        const sourceCount = Math.min(n, this.config.betweennessSamples);
+        const dist = new Int32Array(n);
+        const sigma = new Float64Array(n);
+        const delta = new Float64Array(n);
+        const order = new Int32Array(n); // Visit order, reused as the BFS queue
+
+        for (let s = 0; s < sourceCount; s++) {
+            const source = Math.floor(s * n / sourceCount);
+            dist.fill(-1);
+            sigma.fill(0);
+            delta.fill(0);
+            dist[source] = 0;
+            sigma[source] = 1;
+
+            let head = 0;
+            let tail = 0;
+            order[tail++] = source;
+            while (head < tail) {
+                const v = order[head++];
+                this.neighbours[v].forEach(([w]) => {
+                    if (dist[w] === -1) {
+                        dist[w] = dist[v] + 1;
+                        order[tail++] = w;
+                    }
+                    if (dist[w] === dist[v] + 1) sigma[w] += sigma[v];
+                });
+            }
+
+            // Walk back from the furthest notes; predecessors are one step closer
+            for (let k = tail - 1; k > 0; k--) {
+                const w = order[k];
+                this.neighbours[w].forEach(([v]) => {
+                    if (dist[v] === dist[w] - 1) {
+                        delta[v] += sigma[v] / sigma[w] * (1 + delta[w]);
+                    }
+                });
+                values[w] += delta[w];
+            }
+        }
+
+        // Each path is seen from both ends; normalise by the number of pairs
+        const pairs = (n - 1) * (n - 2);
+        const scale = pairs > 0 ? (n / sourceCount) / pairs : 0;
+        for (let i = 0; i < n; i++) values[i] *= scale;
+
+        return { values, sampled: sourceCount < n };
+    }
+
+    /**
+     * Louvain community detection: move notes between communities while
+     * modularity improves, merge each community into one node, repeat
+     * @returns {Object} { membership: Array of community per node, modularity }
+     */
+    communities() {
+        const n = this.nodes.length;
+        let membership = Array.from({ length: n }, (_, i) => i);
+
+        // Level graph: adjacency maps, self loops hold weight inside a merged node
+        let adjacency = this.neighbours.map(list => {
+            const map = new Map();
+            list.forEach(([j, weight]) => map.set(j, (map.get(j) || 0) + weight));
+            return map;
+        });
+        const totalWeight = adjacency.reduce((sum, map) => sum + this.sumWeights(map), 0);
+        if (totalWeight === 0) return { membership, modularity: 0 };
+
+        for (let level = 0; level < this.config.louvainMaxLevels; level++) {
+            const { community, moved } = this.moveNodes(adjacency, totalWeight);
+            if (!moved) break;
+
+            // Renumber communities 0..k-1 and merge them
+            const ids = new Map();
+            community.forEach(c => { if (!ids.has(c)) ids.set(c, ids.size); });
+            const merged = Array.from({ length: ids.size }, () => new Map());
+            adjacency.forEach((map, i) => {
+                const from = ids.get(community[i]);
+                map.forEach((weight, j) => {
+                    const to = ids.get(community[j]);
+                    merged[from].set(to, (merged[from].get(to) || 0) + weight);
+                });
+            });
+
+            membership = membership.map(c => ids.get(community[c]));
+            adjacency = merged;
+        }
+
+        return { membership, modularity: this.modularity(membership, totalWeight) };
+    }
+
+    // One Louvain phase: greedy moves until a full pass changes nothing
+    moveNodes(adjacency, totalWeight) {
+        const count = adjacency.length;
+        const community = Array.from({ length: count }, (_, i) => i);
+        const degree = adjacency.map(map => this.sumWeights(map));
+        const total = [...degree]; // Summed degree per community
+        let moved = false;
+
+        for (let pass = 0; pass < this.config.louvainMaxPasses; pass++) {
+            let changed = false;
+
+            for (let i = 0; i < count; i++) {
+                const current = community[i];
+                const links = new Map(); // community -> weight from i
+                adjacency[i].forEach((weight, j) => {
+                    if (j !== i) links.set(community[j], (links.get(community[j]) || 0) + weight);
+                });
+
+                total[current] -= degree[i];
+                const gain = c => (links.get(c) || 0) - total[c] * degree[i] / totalWeight;
+                let best = current;
+                let bestGain = gain(current);
+                links.forEach((weight, c) => {
+                    const candidate = gain(c);
+                    if (candidate > bestGain + 1e-12) {
+                        best = c;
+                        bestGain = candidate;
+                    }
+                });
+                total[best] += degree[i];
+
+                if (best !== current) {
+                    community[i] = best;
+                    changed = true;
+                    moved = true;
+                }
+            }
+
+            if (!changed) break;
+        }
+
+        return { community, moved };
+    }
+
+    modularity(membership, totalWeight) {
+        const internal = new Map();
+        const total = new Map();
+
+        this.neighbours.forEach((list, i) => {
+            const c = membership[i];
+            list.forEach(([j, weight]) => {
+                total.set(c, (total.get(c) || 0) + weight);
+                if (membership[j] === c) internal.set(c, (internal.get(c) || 0) + weight);
+            });
+        });
+
+        let q = 0;
+        total.forEach((sum, c) => {
+            q += (internal.get(c) || 0) / totalWeight - (sum / totalWeight) ** 2;
+        });
+        return q;
+    }
+
+    sumWeights(map) {
+        let sum = 0;
+        map.forEach(weight => { sum += weight; });
+        return sum;
+    }
+
+    /**
+     * Bridge notes: articulation points, whose removal would split their
+     * part of the graph in two (iterative Tarjan, safe for long chains)
+     * @returns {Array<boolean>} Per node
+     */
+    articulationPoints() {
+        const n = this.nodes.length;
+        const discovered = new Int32Array(n).fill(-1);
+        const low = new Int32Array(n);
+        const parent = new Int32Array(n).fill(-1);
+        const next = new Int32Array(n); // Next neighbour to visit
+        const result = new Array(n).fill(false);
+        let time = 0;
+
+        for (let root = 0; root < n; root++) {
+            if (discovered[root] !== -1) continue;
+
+            let rootChildren = 0;
+            const stack = [root];
+            discovered[root] = low[root] = time++;
+
+            while (stack.length > 0) {
+                const v = stack[stack.length - 1];
+
+                if (next[v] < this.neighbours[v].length) {
+                    const [w] = this.neighbours[v][next[v]++];
+                    if (discovered[w] === -1) {
+                        parent[w] = v;
+                        discovered[w] = low[w] = time++;
+                        stack.push(w);
+                        if (v === root) rootChildren++;
+                    } else if (w !== parent[v]) {
+                        low[v] = Math.min(low[v], discovered[w]);
+                    }
+                    continue;
+                }
+
+                stack.pop();
+                const p = parent[v];
+                if (p === -1) continue;
+
+                low[p] = Math.min(low[p], low[v]);
+                if (p !== root && low[v] >= discovered[p]) result[p] = true;
+            }
+
+            if (rootChildren > 1) result[root] = true;
+        }
+
+        return result;
+    }
+}
+
+// Export for global access
+window.GraphAnalytics = GraphAnalytics;
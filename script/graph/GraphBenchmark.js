@@ -0,0 +1,107 @@
+// NoteMesh Graph Benchmark
+// Measures GraphPhysics step costs on synthetic graphs, without a canvas.
+// A development tool, not loaded by index.html.
+// Node: node script/graph/GraphBenchmark.js [nodes] [edgesPerNode] [theta]
+// Browser: load this file into the page, then GraphBenchmark.run({ nodes: 2000 })
+
+// From the command line there is no browser: expose globals on a stand-in window
+if (typeof window === 'undefined' && typeof global !== 'undefined') {
+    global.window = global;
+    global.devicePixelRatio = 1;
+}
+
+const GraphBenchmark = {
+    /**
+     * Build a random graph with positioned nodes
+     * @param {number} nodeCount - Number of nodes
+     * @param {number} edgesPerNode - Average edges per node
+     * @param {Object} bounds - { width, height } layout area
+     * @returns {Object} { nodes, edges }
+     */
+    createGraph(nodeCount, edgesPerNode, bounds) {
+        // Small deterministic PRNG so runs are comparable
+        let seed = 42;
+        const random = () => {
+            seed = (seed * 1664525 + 1013904223) % 4294967296;
+            return seed / 4294967296;
+        };
+
+        const nodes = Array.from({ length: nodeCount }, (_, index) => ({
+            id: `n${index}`,
+            x: random() * bounds.width,
+            y: random() * bounds.height,
+            vx: 0,
+            vy: 0,
+            radius: 8
+        }));
+
+        const edges = [];
+        for (let i = 0; i < nodeCount * edgesPerNode; i++) {
+            const source = nodes[Math.floor(random() * nodeCount)];
+            const target = nodes[Math.floor(random() * nodeCount)];
+            if (source !== target) {
+                edges.push({ source: source.id, target: target.id, strength: 1 });
+            }
+        }
+
+        return { nodes, edges };
+    },
+
+    /**
+     * Run the simulation until it settles (or maxSteps) and report step timings
+     * @param {Object} options - { nodes, edgesPerNode, theta, maxSteps, width, height }
+     * @returns {Object} { nodes, edges, theta, steps, settled, avgStepMs, maxStepMs, totalMs }
+     */
+    run(options = {}) {
+        const {
+            nodes: nodeCount = 1000,
+            edgesPerNode = 2,
+            theta = GraphConfig.physics.theta,
+            maxSteps = 300,
+            width = 1600,
+            height = 1000
+        } = options;
+
+        const config = { ...GraphConfig, physics: { ...GraphConfig.physics, theta } };
+        const physics = new GraphPhysics(config);
+        const bounds = { width: width * window.devicePixelRatio, height: height * window.devicePixelRatio };
+        const { nodes, edges } = this.createGraph(nodeCount, edgesPerNode, { width, height });
+        const nodeById = GraphPhysics.indexNodes(nodes);
+
+        const timings = [];
+        while (timings.length < maxSteps && !physics.isSettled()) {
+            const start = performance.now();
+            physics.updatePhysics(nodes, edges, bounds, null, nodeById);
+            timings.push(performance.now() - start);
+        }
+
+        const totalMs = timings.reduce((sum, time) => sum + time, 0);
+        return {
+            nodes: nodeCount,
+            edges: edges.length,
+            theta,
+            steps: timings.length,
+            settled: physics.isSettled(),
+            avgStepMs: Number((totalMs / timings.length).toFixed(3)),
+            maxStepMs: Number(Math.max(...timings).toFixed(3)),
+            totalMs: Math.round(totalMs)
+        };
+    }
+};
+
+// Export for global access
+window.GraphBenchmark = GraphBenchmark;
+
+// Command-line entry point: compares exact (theta = 0) and Barnes–Hut steps
+if (typeof module !== 'undefined' && typeof require !== 'undefined' && require.main === module) {
+    const [nodes = '1000', edgesPerNode = '2', theta] = process.argv.slice(2);
+    ['GraphConfig', 'GraphQuadtree', 'GraphPhysics'].forEach(name => require(`./${name}.js`));
+
+    const exact = GraphBenchmark.run({ nodes: Number(nodes), edgesPerNode: Number(edgesPerNode), theta: 0, maxSteps: 20 });
+    const approx = GraphBenchmark.run({
+        nodes: Number(nodes),
+        edgesPerNode: Number(edgesPerNode),
+        theta: theta === undefined ? GraphConfig.physics.theta : Number(theta)
+    });
+    console.table({ exact, 'barnes-hut': approx });
+}
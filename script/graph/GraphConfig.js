@@ -6,10 +6,13 @@ const GraphConfig = {
         radius: 8,
         radiusSelected: 12,
         radiusHovered: 10,
+        focusRingWidth: 3,
         colors: {
             default: '#6366f1',
             selected: '#f59e0b',
             hovered: '#8b5cf6',
+            focus: '#0ea5e9',
+            pinned: '#ef4444',
             text: '#1e293b',
             textSelected: '#ffffff'
         }
@@ -17,9 +20,13 @@ const GraphConfig = {
     edge: {
         width: 2,
         widthHovered: 3,
+        arrowSize: 7,
+        labelFont: '10px Inter, sans-serif',
         colors: {
             default: '#cbd5e1',
-            highlighted: '#6366f1'
+            highlighted: '#6366f1',
+            mutual: '#94a3b8',
+            label: '#475569'
         }
     },
     physics: {
@@ -27,11 +34,49 @@ const GraphConfig = {
         attraction: 0.01,
         damping: 0.95,
         minDistance: 50,
-        maxDistance: 200
+        maxDistance: 200,
+        // Barnes–Hut accuracy: a quadtree cell counts as one body when
+        // cellSize / distance < theta. 0 is exact; higher is faster but rougher.
+        theta: 0.9,
+        // Cooling: forces are scaled by alpha, which decays each step and
+        // stops the simulation once it drops below alphaMin
+        alphaStart: 1,
+        alphaMin: 0.005,
+        alphaDecay: 0.0228,
+        alphaDrag: 0.3,
+        // Energy after notes are added, edited or removed; existing nodes keep their positions
+        alphaUpdate: 0.3,
+        // Energy after a saved layout is restored; low so notes stay where they were saved
+        alphaRestore: 0.05
     },
     animation: {
         enabled: true,
         fps: 60
+    },
+    // Layout runs in this worker when the browser allows it (not from file://)
+    worker: {
+        enabled: true,
+        script: 'script/graph/GraphLayoutWorker.js'
+    },
+    export: {
+        pngScale: 3, // Pixels per CSS pixel in PNG exports
+        background: '#ffffff'
+    },
+    analytics: {
+        pageRank: {
+            damping: 0.85,
+            tolerance: 1e-6,
+            maxIterations: 100
+        },
+        // Betweenness runs a search from each note; beyond this many notes
+        // it uses this many evenly spaced ones and scales the result
+        betweennessSamples: 500,
+        louvainMaxLevels: 10,
+        louvainMaxPasses: 20,
+        topCount: 10, // Notes listed per ranking in the sidebar
+        maxRadius: 24, // Radius of the top note when sizing by a metric
+        colorRange: ['#c7d2fe', '#312e81'], // Lowest to highest metric value
+        communityColors: ['#6366f1', '#f59e0b', '#10b981', '#ef4444', '#06b6d4', '#8b5cf6', '#ec4899', '#84cc16', '#f97316', '#64748b']
     }
 };
 
@@ -1,139 +1,426 @@
 // NoteMesh Graph Event Handler
-// Handles mouse and touch interactions for graph visualization
+// Handles pointer (mouse, pen, touch) and keyboard interactions for graph visualization
+
+// Distance in CSS pixels a press may move and still count as a tap
+const GRAPH_TAP_SLOP = 6;
+// Hold time on a node that pins or unpins it (touch and pen; mice use the P key)
+const GRAPH_LONG_PRESS_MS = 500;
+// Second tap within this time and distance of a tap on a node opens it
+const GRAPH_DOUBLE_TAP_MS = 300;
+const GRAPH_DOUBLE_TAP_SLOP = 20;
 
 class GraphEventHandler {
-    constructor(canvas, camera, getNodeAtCallback) {
+    /**
+     * @param {HTMLCanvasElement} canvas - Graph canvas
+     * @param {Object} camera - { x, y, zoom }, updated in place
+     * @param {Function} getNodeAtCallback - (x, y) => node under that canvas point
+     * @param {Function} onInteraction - (type, node) - resumes the animation loop and pins dragged nodes
+     * @param {Object} graph - { getNodes(), getNeighbours(node) } for keyboard traversal
+     */
+    constructor(canvas, camera, getNodeAtCallback, onInteraction = () => {}, graph = null) {
         this.canvas = canvas;
         this.camera = camera;
         this.getNodeAt = getNodeAtCallback;
+        this.onInteraction = onInteraction;
+        this.graph = graph;
         this.isDragging = false;
         this.isPanning = false;
         this.dragNode = null;
         this.lastPanPos = null;
         this.hoveredNode = null;
         this.selectedNode = null;
+        this.focusedNode = null; // Keyboard focus
+        this.pointers = new Map(); // Pressed pointers: id -> position
+        this.press = null; // Single-pointer press: tap, long-press, drag or pan
+        this.pinch = null; // Two-pointer gesture: { x, y, distance }
+        this.lastTap = null;
         
         this.bindEvents();
     }
 
     bindEvents() {
-        // Mouse events
-        this.canvas.addEventListener('mousedown', this.onMouseDown.bind(this));
-        this.canvas.addEventListener('mousemove', this.onMouseMove.bind(this));
-        this.canvas.addEventListener('mouseup', this.onMouseUp.bind(this));
+        // Pointer events cover mouse, pen and touch; the browser must not
+        // scroll or zoom the page for gestures on the canvas
+        this.canvas.style.touchAction = 'none';
+        this.canvas.addEventListener('pointerdown', this.onPointerDown.bind(this));
+        this.canvas.addEventListener('pointermove', this.onPointerMove.bind(this));
+        this.canvas.addEventListener('pointerup', this.onPointerUp.bind(this));
+        this.canvas.addEventListener('pointercancel', this.onPointerUp.bind(this));
+        this.canvas.addEventListener('pointerleave', this.onPointerLeave.bind(this));
         this.canvas.addEventListener('wheel', this.onWheel.bind(this));
-        this.canvas.addEventListener('click', this.onClick.bind(this));
-        this.canvas.addEventListener('dblclick', this.onDoubleClick.bind(this));
         
-        // Touch events for mobile
-        this.canvas.addEventListener('touchstart', this.onTouchStart.bind(this));
-        this.canvas.addEventListener('touchmove', this.onTouchMove.bind(this));
-        this.canvas.addEventListener('touchend', this.onTouchEnd.bind(this));
+        // Keyboard events
+        this.canvas.addEventListener('keydown', this.onKeyDown.bind(this));
+        this.canvas.addEventListener('focus', () => this.onInteraction('focus', this.focusedNode));
+        this.canvas.addEventListener('blur', () => this.onInteraction('blur', this.focusedNode));
     }
 
     // Event handlers
-    onMouseDown(e) {
+    onPointerDown(e) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        
         const pos = this.getMousePos(e);
-        const clickedNode = this.getNodeAt(pos.x, pos.y);
+        this.pointers.set(e.pointerId, pos);
+        // Keep receiving moves when the pointer leaves the canvas mid-gesture
+        if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(e.pointerId);
         
-        if (clickedNode) {
-            this.isDragging = true;
-            this.dragNode = clickedNode;
-            this.canvas.style.cursor = 'grabbing';
-        } else {
-            // Start panning
-            this.isPanning = true;
-            this.lastPanPos = pos;
-            this.canvas.style.cursor = 'move';
+        if (this.pointers.size === 1) {
+            const node = this.getNodeAt(pos.x, pos.y);
+            const canLongPress = node && e.pointerType !== 'mouse';
+            this.press = {
+                pointerId: e.pointerId,
+                node,
+                start: pos,
+                moved: false,
+                longPressed: false,
+                timer: canLongPress ? setTimeout(() => this.onLongPress(), GRAPH_LONG_PRESS_MS) : null
+            };
+        } else if (this.pointers.size === 2) {
+            // A second finger turns the gesture into pinch and pan
+            this.endPress();
+            this.pinch = this.getPinch();
         }
     }
 
-    onMouseMove(e) {
+    onPointerMove(e) {
         const pos = this.getMousePos(e);
         
+        if (!this.pointers.has(e.pointerId)) {
+            // Mouse or pen moving without a button: hover
+            const hoveredNode = this.getNodeAt(pos.x, pos.y);
+            if (hoveredNode !== this.hoveredNode) {
+                this.hoveredNode = hoveredNode;
+                this.canvas.style.cursor = hoveredNode ? 'pointer' : 'grab';
+                this.onInteraction('hover');
+            }
+            return;
+        }
+        
+        this.pointers.set(e.pointerId, pos);
+        
+        if (this.pinch) {
+            // Zoom around the midpoint and follow it as it moves
+            const pinch = this.getPinch();
+            if (!pinch) return;
+            this.camera.x += pinch.x - this.pinch.x;
+            this.camera.y += pinch.y - this.pinch.y;
+            this.zoomAt(pinch.x, pinch.y, pinch.distance / this.pinch.distance);
+            this.pinch = pinch;
+            return;
+        }
+        
+        const press = this.press;
+        if (!press || press.pointerId !== e.pointerId || press.longPressed) return;
+        
+        if (!press.moved) {
+            if (Math.hypot(pos.x - press.start.x, pos.y - press.start.y) <= GRAPH_TAP_SLOP) return;
+            
+            // Moved too far for a tap: drag the node or pan
+            press.moved = true;
+            clearTimeout(press.timer);
+            if (press.node) {
+                this.isDragging = true;
+                this.dragNode = press.node;
+                this.canvas.style.cursor = 'grabbing';
+                this.onInteraction('dragstart', press.node);
+            } else {
+                this.isPanning = true;
+                this.lastPanPos = press.start;
+                this.canvas.style.cursor = 'move';
+            }
+        }
+        
         if (this.isDragging && this.dragNode) {
             // Drag node
             this.dragNode.x = (pos.x - this.camera.x) / this.camera.zoom;
             this.dragNode.y = (pos.y - this.camera.y) / this.camera.zoom;
             this.dragNode.vx = 0;
             this.dragNode.vy = 0;
+            this.onInteraction('drag', this.dragNode);
         } else if (this.isPanning && this.lastPanPos) {
             // Pan camera
             this.camera.x += pos.x - this.lastPanPos.x;
             this.camera.y += pos.y - this.lastPanPos.y;
             this.lastPanPos = pos;
-        } else {
-            // Update hovered node
-            const hoveredNode = this.getNodeAt(pos.x, pos.y);
-            if (hoveredNode !== this.hoveredNode) {
-                this.hoveredNode = hoveredNode;
-                this.canvas.style.cursor = hoveredNode ? 'pointer' : 'grab';
-            }
+            this.onInteraction('pan');
         }
     }
 
-    onMouseUp(e) {
+    onPointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+        
+        if (this.pinch) {
+            // Fingers left over from a pinch do nothing until lifted
+            if (this.pointers.size < 2) this.pinch = null;
+            return;
+        }
+        
+        const press = this.press;
+        if (!press || press.pointerId !== e.pointerId) return;
+        
+        const isTap = !press.moved && !press.longPressed && e.type !== 'pointercancel';
+        this.endPress();
+        if (isTap) this.onTap(press.node, press.start);
+    }
+
+    onPointerLeave(e) {
+        if (this.pointers.size > 0 || !this.hoveredNode) return;
+        
+        this.hoveredNode = null;
+        this.onInteraction('hover');
+    }
+
+    // Finish a single-pointer press, releasing a dragged node
+    endPress() {
+        const press = this.press;
+        if (!press) return;
+        
+        clearTimeout(press.timer);
+        this.press = null;
+        
+        const releasedNode = this.dragNode;
         this.isDragging = false;
         this.isPanning = false;
         this.dragNode = null;
         this.lastPanPos = null;
         this.canvas.style.cursor = this.hoveredNode ? 'pointer' : 'grab';
+        if (press.moved) this.onInteraction('release', releasedNode);
     }
 
-    onClick(e) {
-        const pos = this.getMousePos(e);
-        const clickedNode = this.getNodeAt(pos.x, pos.y);
+    // Holding still on a node pins or unpins it
+    onLongPress() {
+        const press = this.press;
+        if (!press || press.moved || !press.node) return;
         
-        if (clickedNode) {
-            this.selectedNode = this.selectedNode === clickedNode ? null : clickedNode;
+        press.longPressed = true;
+        this.focusedNode = press.node;
+        this.onInteraction('pintoggle', press.node);
+    }
+
+    /**
+     * A press that neither moved nor was held: select the note, or open it
+     * when it was tapped just before
+     * @param {Object|null} node - Node under the press
+     * @param {Object} pos - Canvas position of the press
+     */
+    onTap(node, pos) {
+        const now = Date.now();
+        const lastTap = this.lastTap;
+        
+        // Matched by position: a tap in a local graph re-centres it, which
+        // moves the note out from under the second tap
+        if (lastTap && lastTap.node && now - lastTap.time < GRAPH_DOUBLE_TAP_MS &&
+            Math.hypot(pos.x - lastTap.pos.x, pos.y - lastTap.pos.y) <= GRAPH_DOUBLE_TAP_SLOP) {
+            // The first tap already selected the note
+            this.lastTap = null;
+            if (window.app) {
+                // Open note detail
+                window.app.openNoteDetail(lastTap.node.id);
+            }
+            return;
+        }
+        this.lastTap = { node, pos, time: now };
+        
+        if (node) {
+            this.selectedNode = this.selectedNode === node ? null : node;
+            // Keyboard traversal continues from the tapped note
+            this.focusedNode = node;
+            this.onInteraction('focus', node);
         } else {
             this.selectedNode = null;
         }
+        this.onInteraction('select', node);
     }
 
-    onDoubleClick(e) {
-        const pos = this.getMousePos(e);
-        const clickedNode = this.getNodeAt(pos.x, pos.y);
+    // Distance between and midpoint of the first two pointers
+    getPinch() {
+        const [a, b] = Array.from(this.pointers.values());
+        if (!a || !b) return null;
         
-        if (clickedNode && window.app) {
-            // Open note detail
-            window.app.openNoteDetail(clickedNode.id);
-        }
+        return {
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y))
+        };
     }
 
     onWheel(e) {
         e.preventDefault();
         
+        // Zoom towards mouse position
         const pos = this.getMousePos(e);
-        const scaleFactor = e.deltaY > 0 ? 0.9 : 1.1;
+        this.zoomAt(pos.x, pos.y, e.deltaY > 0 ? 0.9 : 1.1);
+    }
+
+    /**
+     * Zoom by a factor, keeping one canvas point in place
+     * @param {number} x - Canvas x in CSS pixels
+     * @param {number} y - Canvas y in CSS pixels
+     * @param {number} scaleFactor - Above 1 zooms in
+     */
+    zoomAt(x, y, scaleFactor) {
         const newZoom = Math.max(0.1, Math.min(3, this.camera.zoom * scaleFactor));
         
-        // Zoom towards mouse position
-        this.camera.x = pos.x - (pos.x - this.camera.x) * (newZoom / this.camera.zoom);
-        this.camera.y = pos.y - (pos.y - this.camera.y) * (newZoom / this.camera.zoom);
+        this.camera.x = x - (x - this.camera.x) * (newZoom / this.camera.zoom);
+        this.camera.y = y - (y - this.camera.y) * (newZoom / this.camera.zoom);
         this.camera.zoom = newZoom;
+        this.onInteraction('zoom');
     }
 
-    // Touch event handlers for mobile support
-    onTouchStart(e) {
-        e.preventDefault();
-        if (e.touches.length === 1) {
-            const touch = e.touches[0];
-            this.onMouseDown({ clientX: touch.clientX, clientY: touch.clientY });
+    /**
+     * Keyboard use of the canvas: Tab cycles through notes, arrow keys move
+     * to the connected note in that direction, Enter opens the focused note,
+     * Space selects it, P pins it, +/- zoom and Escape clears focus and selection
+     * @param {KeyboardEvent} e - Key event on the canvas
+     */
+    onKeyDown(e) {
+        if (!this.graph || e.altKey || e.ctrlKey || e.metaKey) return;
+        
+        const directions = {
+            ArrowUp: { x: 0, y: -1 },
+            ArrowDown: { x: 0, y: 1 },
+            ArrowLeft: { x: -1, y: 0 },
+            ArrowRight: { x: 1, y: 0 }
+        };
+        
+        if (e.key === 'Tab') {
+            // Past the last note, Tab leaves the canvas as usual
+            if (this.cycleFocus(e.shiftKey ? -1 : 1)) e.preventDefault();
+        } else if (directions[e.key]) {
+            e.preventDefault();
+            if (this.focusedNode) {
+                const next = this.getNeighbourTowards(this.focusedNode, directions[e.key]);
+                if (next) this.setFocus(next);
+            } else {
+                this.cycleFocus(1);
+            }
+        } else if (e.key === 'Enter') {
+            if (this.focusedNode && window.app) {
+                e.preventDefault();
+                window.app.openNoteDetail(this.focusedNode.id);
+            }
+        } else if (e.key === ' ') {
+            if (this.focusedNode) {
+                e.preventDefault();
+                this.selectedNode = this.selectedNode === this.focusedNode ? null : this.focusedNode;
+                this.onInteraction('select', this.focusedNode);
+            }
+        } else if (e.key === '+' || e.key === '=' || e.key === '-' || e.key === '_') {
+            e.preventDefault();
+            const center = this.focusedNode ? this.toScreen(this.focusedNode) : this.getCanvasCenter();
+            this.zoomAt(center.x, center.y, e.key === '-' || e.key === '_' ? 1 / 1.2 : 1.2);
+        } else if (e.key === 'p' || e.key === 'P') {
+            if (this.focusedNode) {
+                e.preventDefault();
+                this.onInteraction('pintoggle', this.focusedNode);
+            }
+        } else if (e.key === 'Escape') {
+            if (this.focusedNode || this.selectedNode) {
+                // A second Escape reaches the page (e.g. closes the note detail)
+                e.preventDefault();
+                e.stopPropagation();
+                this.selectedNode = null;
+                this.setFocus(null);
+            }
         }
     }
 
-    onTouchMove(e) {
-        e.preventDefault();
-        if (e.touches.length === 1) {
-            const touch = e.touches[0];
-            this.onMouseMove({ clientX: touch.clientX, clientY: touch.clientY });
+    /**
+     * Move focus to the next or previous note in title order
+     * @param {number} step - 1 for next, -1 for previous
+     * @returns {boolean} False when focus ran off either end (and was cleared)
+     */
+    cycleFocus(step) {
+        const nodes = [...this.graph.getNodes()].sort((a, b) =>
+            a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true })
+        );
+        if (nodes.length === 0) return false;
+        
+        const index = this.focusedNode ? nodes.indexOf(this.focusedNode) + step : (step > 0 ? 0 : nodes.length - 1);
+        if (index < 0 || index >= nodes.length) {
+            this.setFocus(null);
+            return false;
         }
+        
+        this.setFocus(nodes[index]);
+        return true;
     }
 
-    onTouchEnd(e) {
-        e.preventDefault();
-        this.onMouseUp(e);
+    /**
+     * The connected note closest to a direction from a node, within 90° of it
+     * @param {Object} node - Node to move from
+     * @param {Object} direction - Unit vector { x, y } (screen y points down)
+     * @returns {Object|null} Neighbour node
+     */
+    getNeighbourTowards(node, direction) {
+        let best = null;
+        let bestScore = -Infinity;
+        
+        this.graph.getNeighbours(node).forEach(other => {
+            const dx = other.x - node.x;
+            const dy = other.y - node.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+            const alignment = (dx * direction.x + dy * direction.y) / distance;
+            if (alignment <= 0) return;
+            
+            // Prefer notes straight ahead, then nearer ones
+            const score = alignment - distance / 10000;
+            if (score > bestScore) {
+                best = other;
+                bestScore = score;
+            }
+        });
+        
+        return best;
+    }
+
+    setFocus(node) {
+        this.focusedNode = node;
+        if (node) this.scrollIntoView(node);
+        this.onInteraction('focus', node);
+    }
+
+    // Pan so a node near or past the canvas edge is back in view
+    scrollIntoView(node) {
+        const margin = 40;
+        const { x, y } = this.toScreen(node);
+        const width = this.canvas.width / window.devicePixelRatio;
+        const height = this.canvas.height / window.devicePixelRatio;
+        
+        if (x < margin || x > width - margin || y < margin || y > height - margin) {
+            this.camera.x += width / 2 - x;
+            this.camera.y += height / 2 - y;
+        }
+    }
+
+    toScreen(node) {
+        return {
+            x: node.x * this.camera.zoom + this.camera.x,
+            y: node.y * this.camera.zoom + this.camera.y
+        };
+    }
+
+    getCanvasCenter() {
+        return {
+            x: this.canvas.width / window.devicePixelRatio / 2,
+            y: this.canvas.height / window.devicePixelRatio / 2
+        };
+    }
+
+    /**
+     * Point hover, selection and drag state at the current nodes after the
+     * graph changes, dropping nodes that were removed
+     * @param {Map} nodeById - Current nodes by id
+     */
+    forgetNodes(nodeById) {
+        const current = node => (node && nodeById.get(node.id)) || null;
+        this.hoveredNode = current(this.hoveredNode);
+        this.selectedNode = current(this.selectedNode);
+        this.dragNode = current(this.dragNode);
+        this.focusedNode = current(this.focusedNode);
+        if (this.press) this.press.node = current(this.press.node);
+        if (!this.dragNode) this.isDragging = false;
     }
 
     // Utility methods
@@ -0,0 +1,216 @@
+// NoteMesh Graph Export
+// Images (SVG, PNG) and graph data (GraphML, GEXF) of the graph as shown
+
+class GraphExport {
+    /**
+     * Draw the current layout and camera as an SVG document
+     * @param {GraphRenderer} renderer - Renderer to export
+     * @returns {string} SVG markup
+     */
+    static toSVG(renderer) {
+        const { width, height } = GraphExport.getSize(renderer);
+        const ctx = new GraphSvgContext(width, height, renderer.ctx);
+
+        GraphExport.drawInto(ctx, renderer, width, height);
+        return ctx.toString();
+    }
+
+    /**
+     * Draw the current layout and camera into a PNG
+     * @param {GraphRenderer} renderer - Renderer to export
+     * @param {number} scale - Pixels per CSS pixel
+     * @returns {Promise<Blob>} PNG image
+     */
+    static toPNG(renderer, scale = renderer.config.export.pngScale) {
+        const { width, height } = GraphExport.getSize(renderer);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        GraphExport.drawInto(ctx, renderer, width, height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not create the PNG image')), 'image/png');
+        });
+    }
+
+    static getSize(renderer) {
+        return {
+            width: renderer.canvas.width / window.devicePixelRatio,
+            height: renderer.canvas.height / window.devicePixelRatio
+        };
+    }
+
+    // Background, then edges and nodes without hover or selection highlights
+    static drawInto(ctx, renderer, width, height) {
+        ctx.fillStyle = renderer.config.export.background;
+        ctx.fillRect(0, 0, width, height);
+        renderer.drawGraph(new GraphRenderUtils(ctx, renderer.config));
+    }
+
+    /**
+     * Nodes and edges of the visible graph with note metadata
+     * @param {GraphRenderer} renderer - Renderer to export
+     * @returns {Object} { nodes, edges }
+     */
+    static getGraphData(renderer) {
+        const { nodes, edges, nodeById } = renderer.view;
+
+        return {
+            nodes: nodes.map(node => ({
+                id: node.id,
+                label: node.title,
+                tags: node.tags.join(', '),
+                wordCount: node.note.wordCount || 0,
+                createdAt: new Date(node.note.createdAt).toISOString(),
+                updatedAt: new Date(node.note.updatedAt).toISOString(),
+                x: node.x,
+                y: node.y,
+                size: node.radius,
+                color: node.color || renderer.config.node.colors.default
+            })),
+            edges: edges
+                .filter(edge => nodeById.has(edge.source) && nodeById.has(edge.target))
+                .map((edge, i) => ({
+                    id: `e${i}`,
+                    source: edge.source,
+                    target: edge.target,
+                    type: edge.type === 'tag' ? 'tag' : 'link',
+                    directed: edge.type !== 'tag',
+                    mutual: !!edge.mutual,
+                    relations: [...new Set((edge.relations || []).map(relation => relation.type))].join(', '),
+                    weight: edge.strength
+                }))
+        };
+    }
+
+    /**
+     * The visible graph as GraphML. Link edges are directed from the
+     * linking note; tag edges are undirected.
+     * @param {GraphRenderer} renderer - Renderer to export
+     * @returns {string} GraphML document
+     */
+    static toGraphML(renderer) {
+        const { nodes, edges } = GraphExport.getGraphData(renderer);
+        const esc = GraphExport.escapeXml;
+        const keys = [
+            ['label', 'node', 'string'],
+            ['tags', 'node', 'string'],
+            ['wordCount', 'node', 'int'],
+            ['createdAt', 'node', 'string'],
+            ['updatedAt', 'node', 'string'],
+            ['x', 'node', 'double'],
+            ['y', 'node', 'double'],
+            ['type', 'edge', 'string'],
+            ['mutual', 'edge', 'boolean'],
+            ['relations', 'edge', 'string'],
+            ['weight', 'edge', 'double']
+        ];
+        const data = (item, names) => names
+            .map(name => `      <data key="${name}">${esc(String(item[name]))}</data>`);
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+            '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            ...keys.map(([name, target, type]) =>
+                `  <key id="${name}" for="${target}" attr.name="${name}" attr.type="${type}"/>`),
+            '  <graph id="NoteMesh" edgedefault="directed">',
+            ...nodes.flatMap(node => [
+                `    <node id="${esc(node.id)}">`,
+                ...data(node, ['label', 'tags', 'wordCount', 'createdAt', 'updatedAt', 'x', 'y']),
+                '    </node>'
+            ]),
+            ...edges.flatMap(edge => [
+                `    <edge id="${edge.id}" source="${esc(edge.source)}" target="${esc(edge.target)}"${edge.directed ? '' : ' directed="false"'}>`,
+                ...data(edge, ['type', 'mutual', 'relations', 'weight']),
+                '    </edge>'
+            ]),
+            '  </graph>',
+            '</graphml>'
+        ].join('\n');
+    }
+
+    /**
+     * The visible graph as GEXF 1.3, with positions, sizes and colours
+     * @param {GraphRenderer} renderer - Renderer to export
+     * @returns {string} GEXF document
+     */
+    static toGEXF(renderer) {
+        const { nodes, edges } = GraphExport.getGraphData(renderer);
+        const esc = GraphExport.escapeXml;
+        const nodeAttributes = [['tags', 'string'], ['wordCount', 'integer'], ['createdAt', 'string'], ['updatedAt', 'string']];
+        const edgeAttributes = [['type', 'string'], ['mutual', 'boolean'], ['relations', 'string']];
+        const declare = (attributes) => attributes
+            .map(([name, type]) => `      <attribute id="${name}" title="${name}" type="${type}"/>`);
+        const values = (item, attributes) => [
+            '        <attvalues>',
+            ...attributes.map(([name]) => `          <attvalue for="${name}" value="${esc(String(item[name]))}"/>`),
+            '        </attvalues>'
+        ];
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+            '  <meta>',
+            '    <creator>NoteMesh</creator>',
+            '  </meta>',
+            '  <graph mode="static" defaultedgetype="directed">',
+            '    <attributes class="node">',
+            ...declare(nodeAttributes),
+            '    </attributes>',
+            '    <attributes class="edge">',
+            ...declare(edgeAttributes),
+            '    </attributes>',
+            '    <nodes>',
+            ...nodes.flatMap(node => {
+                const { r, g, b } = GraphExport.hexToRgb(node.color);
+                return [
+                    `      <node id="${esc(node.id)}" label="${esc(node.label)}">`,
+                    ...values(node, nodeAttributes),
+                    `        <viz:position x="${node.x.toFixed(2)}" y="${(-node.y).toFixed(2)}" z="0"/>`,
+                    `        <viz:size value="${node.size}"/>`,
+                    `        <viz:color r="${r}" g="${g}" b="${b}"/>`,
+                    '      </node>'
+                ];
+            }),
+            '    </nodes>',
+            '    <edges>',
+            ...edges.flatMap(edge => [
+                `      <edge id="${edge.id}" source="${esc(edge.source)}" target="${esc(edge.target)}" weight="${edge.weight}"` +
+                    `${edge.directed ? '' : ' type="undirected"'}${edge.relations ? ` label="${esc(edge.relations)}"` : ''}>`,
+                ...values(edge, edgeAttributes),
+                '      </edge>'
+            ]),
+            '    </edges>',
+            '  </graph>',
+            '</gexf>'
+        ].join('\n');
+    }
+
+    /**
+     * Escape text for XML content and attributes, dropping characters XML 1.0 forbids
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return text
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    static hexToRgb(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return { r: (value >> 16) & 0xFF, g: (value >> 8) & 0xFF, b: value & 0xFF };
+    }
+}
+
+// Export for global access
+window.GraphExport = GraphExport;
@@ -0,0 +1,148 @@
+// NoteMesh Graph Filter
+// Rules deciding which notes the graph shows and how its nodes are coloured
+
+// Vault setting the rules are saved under
+const GRAPH_FILTER_SETTING = 'graphFilter';
+
+class GraphFilter {
+    static defaults() {
+        return {
+            tag: '',          // Only notes with this tag
+            query: '',        // Only notes matching this search (SearchQuery syntax)
+            from: '',         // Updated on or after (YYYY-MM-DD)
+            to: '',           // Updated on or before (YYYY-MM-DD)
+            hideOrphans: false,
+            tagEdges: true,
+            colorBy: 'none',  // 'none' | 'tag' | 'community' | a GRAPH_METRICS entry
+            sizeBy: 'links'   // 'links' | a GRAPH_METRICS entry
+        };
+    }
+
+    constructor(rules = {}) {
+        this.rules = { ...GraphFilter.defaults(), ...rules };
+    }
+
+    /**
+     * Whether any rule hides nodes or edges
+     * @returns {boolean}
+     */
+    isActive() {
+        const { tag, query, from, to, hideOrphans, tagEdges } = this.rules;
+        return Boolean(tag || query.trim() || from || to || hideOrphans || !tagEdges);
+    }
+
+    /**
+     * Build a predicate for the node rules (tag, query, date range).
+     * The search runs once here rather than per note.
+     * @param {NoteManager} noteManager - Used to run the search query
+     * @returns {Function} note => boolean
+     */
+    createMatcher(noteManager) {
+        const { tag, query, from, to } = this.rules;
+        const tagKey = tag.toLowerCase();
+        const queryMatches = query.trim()
+            ? new Set(noteManager.searchNotes(query).map(note => note.id))
+            : null;
+        const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+        const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+
+        return note => {
+            if (tagKey && !note.tags.some(noteTag => noteTag.toLowerCase() === tagKey)) return false;
+            if (queryMatches && !queryMatches.has(note.id)) return false;
+
+            const updated = new Date(note.updatedAt).getTime();
+            return updated >= fromTime && updated <= toTime;
+        };
+    }
+
+    showsEdge(edge) {
+        return edge.type !== 'tag' || this.rules.tagEdges;
+    }
+
+    /**
+     * Whether sizing or colouring needs GraphAnalytics results
+     * @returns {boolean}
+     */
+    usesAnalytics() {
+        const { colorBy, sizeBy } = this.rules;
+        return colorBy === 'community' || GRAPH_METRICS.includes(colorBy) || GRAPH_METRICS.includes(sizeBy);
+    }
+
+    /**
+     * Group a node is coloured by: its first tag
+     * @param {Object} node - Graph node
+     * @returns {string|null} Group name, or null for untagged notes
+     */
+    static groupOf(node) {
+        return node.tags.length > 0 ? node.tags[0].toLowerCase() : null;
+    }
+
+    /**
+     * Legend group of a node under the current colouring rule
+     * @param {Object} node - Graph node
+     * @param {Object} analytics - GraphAnalytics.analyze() result, if computed
+     * @returns {string|null} Group name, or null when colours are not grouped
+     */
+    groupFor(node, analytics = null) {
+        const { colorBy } = this.rules;
+        if (colorBy === 'tag') return GraphFilter.groupOf(node);
+
+        const values = analytics ? analytics.metrics.get(node.id) : null;
+        return colorBy === 'community' && values ? `Community ${values.community + 1}` : null;
+    }
+
+    /**
+     * Fill colour for a node under the current colouring rule
+     * @param {Object} node - Graph node
+     * @param {Object} analytics - GraphAnalytics.analyze() result, needed for
+     *   community and metric colours
+     * @returns {string|null} Hex colour, or null for the default colour
+     */
+    colorFor(node, analytics = null) {
+        const { colorBy } = this.rules;
+
+        if (colorBy === 'tag') {
+            const group = GraphFilter.groupOf(node);
+            return group ? ColorUtils.stringToColor(group) : null;
+        }
+
+        const values = analytics ? analytics.metrics.get(node.id) : null;
+        if (!values) return null;
+
+        if (colorBy === 'community') {
+            return GraphFilter.communityColor(values.community);
+        }
+        if (GRAPH_METRICS.includes(colorBy)) {
+            const [low, high] = GraphConfig.analytics.colorRange;
+            const max = analytics.max[colorBy];
+            return ColorUtils.mix(low, high, max > 0 ? values[colorBy] / max : 0);
+        }
+        return null;
+    }
+
+    static communityColor(community) {
+        const palette = GraphConfig.analytics.communityColors;
+        return community < palette.length ? palette[community] : ColorUtils.stringToColor(`community ${community}`);
+    }
+
+    /**
+     * Radius for a node under the sizing rule. Area grows with the metric,
+     * from the default radius up to analytics.maxRadius for the top note.
+     * @param {Object} node - Graph node
+     * @param {Object} analytics - GraphAnalytics.analyze() result, if computed
+     * @returns {number|null} Radius, or null to size by link count
+     */
+    sizeFor(node, analytics = null) {
+        const { sizeBy } = this.rules;
+        const values = analytics ? analytics.metrics.get(node.id) : null;
+        if (!GRAPH_METRICS.includes(sizeBy) || !values) return null;
+
+        const max = analytics.max[sizeBy];
+        const minRadius = GraphConfig.node.radius;
+        const share = max > 0 ? values[sizeBy] / max : 0;
+        return minRadius + Math.sqrt(share) * (GraphConfig.analytics.maxRadius - minRadius);
+    }
+}
+
+// Export for global access
+window.GraphFilter = GraphFilter;
@@ -0,0 +1,194 @@
+// NoteMesh Graph Layout Worker
+// Runs GraphPhysics off the main thread and streams node positions back
+
+// The graph modules export through window and divide bounds by
+// devicePixelRatio; bounds arrive in CSS pixels, so the ratio is 1 here
+self.window = self;
+self.devicePixelRatio = 1;
+importScripts('GraphQuadtree.js', 'GraphPhysics.js');
+
+// Position buffers that may be on the main thread at once
+const LAYOUT_MAX_BUFFERS_IN_FLIGHT = 2;
+
+class GraphLayoutWorker {
+    constructor(scope) {
+        this.scope = scope;
+        this.physics = null;
+        this.interval = 1000 / 60;
+        this.version = 0;
+        this.nodes = [];
+        this.edges = [];
+        this.nodeById = new Map();
+        this.bounds = { width: 0, height: 0 };
+        this.pinned = null;
+        this.buffers = []; // Returned by the main thread, ready for reuse
+        this.buffersInFlight = 0;
+        this.dirty = false;
+        this.timer = null;
+
+        scope.onmessage = (e) => this.onMessage(e.data);
+    }
+
+    onMessage(message) {
+        switch (message.type) {
+            case 'init':
+                this.physics = new GraphPhysics({ physics: message.physics });
+                this.interval = 1000 / message.fps;
+                break;
+            case 'graph':
+                this.setGraph(message);
+                break;
+            case 'resize':
+                this.bounds = { width: message.width, height: message.height };
+                break;
+            case 'reheat':
+                this.physics.reheat(message.alpha);
+                this.start();
+                break;
+            case 'alpha':
+                this.physics.alpha = message.alpha;
+                this.start();
+                break;
+            case 'pin':
+                this.pin(message);
+                break;
+            case 'fix':
+                this.fix(message);
+                break;
+            case 'unpin':
+                this.pinned = null;
+                break;
+            case 'buffer':
+                this.buffersInFlight--;
+                this.buffers.push(message.positions);
+                this.flush();
+                break;
+        }
+    }
+
+    /**
+     * Replace the simulated graph.
+     * Nodes are addressed by index; edges come as index pairs.
+     * @param {Object} message - { version, positions, radii, fixed, edgeIndex, edgeStrength, edgeTag, width, height, alpha }
+     */
+    setGraph(message) {
+        const { positions, radii, fixed, edgeIndex, edgeStrength, edgeTag } = message;
+
+        this.version = message.version;
+        this.bounds = { width: message.width, height: message.height };
+        this.pinned = null;
+        this.nodes = [];
+        this.edges = [];
+
+        for (let i = 0; i < radii.length; i++) {
+            this.nodes.push({
+                id: i,
+                x: positions[i * 2],
+                y: positions[i * 2 + 1],
+                vx: 0,
+                vy: 0,
+                radius: radii[i],
+                fixed: fixed[i] === 1
+            });
+        }
+        this.nodeById = GraphPhysics.indexNodes(this.nodes);
+
+        for (let i = 0; i < edgeStrength.length; i++) {
+            this.edges.push({
+                source: edgeIndex[i * 2],
+                target: edgeIndex[i * 2 + 1],
+                strength: edgeStrength[i],
+                type: edgeTag[i] ? 'tag' : undefined
+            });
+        }
+
+        // Buffers sized for the previous graph are dropped as they come back
+        this.buffers = this.buffers.filter(buffer => buffer.length === this.nodes.length * 2);
+        this.physics.reheat(message.alpha);
+        this.start();
+    }
+
+    pin(message) {
+        if (message.version !== this.version) return;
+
+        const node = this.nodes[message.index];
+        if (!node) return;
+
+        node.x = message.x;
+        node.y = message.y;
+        node.vx = 0;
+        node.vy = 0;
+        this.pinned = node;
+        this.start();
+    }
+
+    // Pin a node in place, or let it move again
+    fix(message) {
+        if (message.version !== this.version) return;
+
+        const node = this.nodes[message.index];
+        if (!node) return;
+
+        node.fixed = message.fixed;
+        node.x = message.x;
+        node.y = message.y;
+        this.start();
+    }
+
+    start() {
+        if (this.timer === null) {
+            this.timer = setTimeout(() => this.run(), 0);
+        }
+    }
+
+    // One physics step per frame interval, until cooled and not pinned
+    run() {
+        this.timer = null;
+
+        if (this.nodes.length > 0) {
+            this.physics.updatePhysics(this.nodes, this.edges, this.bounds, this.pinned, this.nodeById);
+            this.dirty = true;
+            this.flush();
+        }
+
+        if (this.nodes.length > 0 && (!this.physics.isSettled() || this.pinned)) {
+            this.timer = setTimeout(() => this.run(), this.interval);
+        }
+    }
+
+    acquireBuffer() {
+        const size = this.nodes.length * 2;
+
+        while (this.buffers.length > 0) {
+            const buffer = this.buffers.pop();
+            if (buffer.length === size) return buffer;
+        }
+
+        return this.buffersInFlight < LAYOUT_MAX_BUFFERS_IN_FLIGHT ? new Float32Array(size) : null;
+    }
+
+    // Post the latest positions if a buffer is free; otherwise wait for one
+    // to come back, so a slow main thread only ever gets the newest frame
+    flush() {
+        if (!this.dirty) return;
+
+        const positions = this.acquireBuffer();
+        if (!positions) return;
+
+        this.nodes.forEach((node, i) => {
+            positions[i * 2] = node.x;
+            positions[i * 2 + 1] = node.y;
+        });
+
+        this.dirty = false;
+        this.buffersInFlight++;
+        this.scope.postMessage({
+            type: 'tick',
+            version: this.version,
+            positions,
+            settled: this.physics.isSettled()
+        }, [positions.buffer]);
+    }
+}
+
+new GraphLayoutWorker(self);
@@ -4,81 +4,102 @@
 class GraphPhysics {
     constructor(config) {
         this.config = config;
+        this.alpha = config.physics.alphaStart;
+    }
+
+    /**
+     * Map node ids to nodes for O(1) edge endpoint lookups
+     * @param {Array} nodes - Array of graph nodes
+     * @returns {Map} id -> node
+     */
+    static indexNodes(nodes) {
+        return new Map(nodes.map(node => [node.id, node]));
+    }
+
+    /**
+     * Restart the cooling schedule, e.g. after nodes are added or dragged
+     * @param {number} alpha - Simulation energy to restart from (0..1)
+     */
+    reheat(alpha = this.config.physics.alphaStart) {
+        this.alpha = Math.max(this.alpha, alpha);
+    }
+
+    /**
+     * Whether the simulation has cooled down and steps can stop
+     * @returns {boolean} True once alpha is below alphaMin
+     */
+    isSettled() {
+        return this.alpha < this.config.physics.alphaMin;
     }
 
     /**
      * Update physics simulation for nodes and edges
      * @param {Array} nodes - Array of graph nodes
      * @param {Array} edges - Array of graph edges
-     * @param {Object} canvas - Canvas element for bounds checking
+     * @param {Object} canvas - Canvas element (or { width, height }) for bounds checking
      * @param {Object} dragNode - Currently dragged node (if any)
+     * @param {Map} nodeById - Optional id -> node index (built when omitted)
      */
-    updatePhysics(nodes, edges, canvas, dragNode = null) {
-        const { repulsion, attraction, damping, minDistance, maxDistance } = this.config.physics;
-        
-        // Apply forces between nodes
-        nodes.forEach(nodeA => {
-            nodes.forEach(nodeB => {
-                if (nodeA.id === nodeB.id) return;
-                
-                const dx = nodeB.x - nodeA.x;
-                const dy = nodeB.y - nodeA.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distance === 0) return;
-                
-                // Repulsion force
-                if (distance < maxDistance) {
-                    const force = repulsion / (distance * distance);
-                    const fx = (dx / distance) * force;
-                    const fy = (dy / distance) * force;
-                    
-                    nodeA.vx -= fx;
-                    nodeA.vy -= fy;
-                    nodeB.vx += fx;
-                    nodeB.vy += fy;
-                }
-            });
+    updatePhysics(nodes, edges, canvas, dragNode = null, nodeById = null) {
+        const { repulsion, attraction, damping, maxDistance, theta, alphaMin, alphaDecay } = this.config.physics;
+        const index = nodeById || GraphPhysics.indexNodes(nodes);
+        const alpha = this.alpha;
+
+        // Repulsion between nodes, approximated with a Barnes–Hut quadtree.
+        // The original pairwise loop applied each pair's force twice, so the
+        // constant is doubled to keep the same layout spacing.
+        const tree = new GraphQuadtree(nodes);
+        nodes.forEach(node => {
+            const { fx, fy } = tree.repulsion(node, repulsion * 2, theta, maxDistance);
+            node.vx += fx * alpha;
+            node.vy += fy * alpha;
         });
-        
+
         // Apply spring forces for connected nodes
         edges.forEach(edge => {
-            const sourceNode = nodes.find(n => n.id === edge.source);
-            const targetNode = nodes.find(n => n.id === edge.target);
-            
+            const sourceNode = index.get(edge.source);
+            const targetNode = index.get(edge.target);
+
             if (!sourceNode || !targetNode) return;
-            
+
             const dx = targetNode.x - sourceNode.x;
             const dy = targetNode.y - sourceNode.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
-            
+
             if (distance === 0) return;
-            
+
             const targetDistance = edge.type === 'tag' ? maxDistance * 1.5 : maxDistance;
-            const force = attraction * (distance - targetDistance) * edge.strength;
+            const force = attraction * (distance - targetDistance) * edge.strength * alpha;
             const fx = (dx / distance) * force;
             const fy = (dy / distance) * force;
-            
+
             sourceNode.vx += fx;
             sourceNode.vy += fy;
             targetNode.vx -= fx;
             targetNode.vy -= fy;
         });
-        
+
         // Update positions and apply damping
+        const canvasWidth = canvas.width / window.devicePixelRatio;
+        const canvasHeight = canvas.height / window.devicePixelRatio;
+
         nodes.forEach(node => {
             if (node === dragNode) return; // Don't move dragged nodes
-            
+            if (node.fixed) {
+                // Pinned nodes stay where they were left
+                node.vx = 0;
+                node.vy = 0;
+                return;
+            }
+
             node.vx *= damping;
             node.vy *= damping;
             node.x += node.vx;
             node.y += node.vy;
-            
+
             // Keep nodes within canvas bounds
             const margin = node.radius + 10;
-            const canvasWidth = canvas.width / window.devicePixelRatio;
-            const canvasHeight = canvas.height / window.devicePixelRatio;
-            
+
             if (node.x < margin) {
                 node.x = margin;
                 node.vx = 0;
@@ -96,6 +117,9 @@ class GraphPhysics {
                 node.vy = 0;
             }
         });
+
+        // Cool down; a dragged node keeps the simulation warm
+        this.alpha += ((dragNode ? alphaMin * 2 : 0) - this.alpha) * alphaDecay;
     }
 }
 
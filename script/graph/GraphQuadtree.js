@@ -0,0 +1,147 @@
+// NoteMesh Graph Quadtree
+// Spatial tree over graph nodes for Barnes–Hut repulsion (O(n log n) per step)
+
+// Nodes closer than this are treated as coincident and share a leaf
+const QUADTREE_MIN_CELL_SIZE = 1e-3;
+
+class GraphQuadtree {
+    /**
+     * Build a tree over the current node positions
+     * @param {Array} nodes - Graph nodes with x/y
+     */
+    constructor(nodes) {
+        this.root = null;
+        if (nodes.length === 0) return;
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        nodes.forEach(node => {
+            if (node.x < minX) minX = node.x;
+            if (node.y < minY) minY = node.y;
+            if (node.x > maxX) maxX = node.x;
+            if (node.y > maxY) maxY = node.y;
+        });
+
+        const size = Math.max(maxX - minX, maxY - minY, 1);
+        this.root = this.createCell(minX, minY, size);
+        nodes.forEach(node => this.insert(this.root, node));
+        this.accumulate(this.root);
+    }
+
+    createCell(x, y, size) {
+        return { x, y, size, bodies: [], children: null, mass: 0, cx: 0, cy: 0 };
+    }
+
+    insert(cell, node) {
+        if (cell.children) {
+            this.insert(this.childFor(cell, node), node);
+            return;
+        }
+
+        cell.bodies.push(node);
+        if (cell.bodies.length === 1 || cell.size / 2 < QUADTREE_MIN_CELL_SIZE) return;
+
+        // Split the leaf and push its bodies down a level
+        const half = cell.size / 2;
+        cell.children = [
+            this.createCell(cell.x, cell.y, half),
+            this.createCell(cell.x + half, cell.y, half),
+            this.createCell(cell.x, cell.y + half, half),
+            this.createCell(cell.x + half, cell.y + half, half)
+        ];
+        const bodies = cell.bodies;
+        cell.bodies = [];
+        bodies.forEach(body => this.insert(this.childFor(cell, body), body));
+    }
+
+    childFor(cell, node) {
+        const half = cell.size / 2;
+        const right = node.x >= cell.x + half ? 1 : 0;
+        const bottom = node.y >= cell.y + half ? 2 : 0;
+        return cell.children[right + bottom];
+    }
+
+    // Compute each cell's mass (node count) and center of mass, bottom-up
+    accumulate(cell) {
+        let mass = 0, cx = 0, cy = 0;
+
+        if (cell.children) {
+            cell.children.forEach(child => {
+                this.accumulate(child);
+                mass += child.mass;
+                cx += child.cx * child.mass;
+                cy += child.cy * child.mass;
+            });
+        } else {
+            cell.bodies.forEach(body => {
+                mass++;
+                cx += body.x;
+                cy += body.y;
+            });
+        }
+
+        cell.mass = mass;
+        cell.cx = mass > 0 ? cx / mass : 0;
+        cell.cy = mass > 0 ? cy / mass : 0;
+    }
+
+    /**
+     * Approximate the repulsion acting on one node.
+     * A cell is treated as a single body when size / distance < theta;
+     * theta = 0 visits every node (exact).
+     * @param {Object} node - Node to compute the force for
+     * @param {number} strength - Repulsion constant (force = strength / d²)
+     * @param {number} theta - Barnes–Hut accuracy parameter
+     * @param {number} maxDistance - Bodies farther than this exert no force
+     * @returns {Object} { fx, fy }
+     */
+    repulsion(node, strength, theta, maxDistance) {
+        const force = { fx: 0, fy: 0 };
+        if (!this.root) return force;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            if (cell.mass === 0) continue;
+
+            // Skip cells whose bounds lie entirely outside the cutoff
+            const nearestX = Math.max(cell.x, Math.min(node.x, cell.x + cell.size));
+            const nearestY = Math.max(cell.y, Math.min(node.y, cell.y + cell.size));
+            const gapX = node.x - nearestX;
+            const gapY = node.y - nearestY;
+            if (gapX * gapX + gapY * gapY >= maxDistance * maxDistance) continue;
+
+            const dx = node.x - cell.cx;
+            const dy = node.y - cell.cy;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (cell.children && (distance === 0 || cell.size / distance >= theta)) {
+                cell.children.forEach(child => stack.push(child));
+                continue;
+            }
+
+            if (cell.children) {
+                this.addForce(force, dx, dy, distance, strength * cell.mass, maxDistance);
+                continue;
+            }
+
+            cell.bodies.forEach(body => {
+                if (body === node) return;
+                const bx = node.x - body.x;
+                const by = node.y - body.y;
+                this.addForce(force, bx, by, Math.sqrt(bx * bx + by * by), strength, maxDistance);
+            });
+        }
+
+        return force;
+    }
+
+    addForce(force, dx, dy, distance, strength, maxDistance) {
+        if (distance === 0 || distance >= maxDistance) return;
+        const magnitude = strength / (distance * distance);
+        force.fx += (dx / distance) * magnitude;
+        force.fy += (dy / distance) * magnitude;
+    }
+}
+
+// Export for global access
+window.GraphQuadtree = GraphQuadtree;
@@ -8,18 +8,20 @@ class GraphRenderUtils {
     }
 
     /**
-     * Render edges between nodes
+     * Render edges between nodes. Links get an arrow towards the linked note
+     * (both ends when mutual); typed relations are coloured and labelled.
      * @param {Array} edges - Array of graph edges
-     * @param {Array} nodes - Array of graph nodes
+     * @param {Map} nodeById - Graph nodes indexed by id
      * @param {Object} selectedNode - Currently selected node
      * @param {Object} hoveredNode - Currently hovered node
      */
-    renderEdges(edges, nodes, selectedNode, hoveredNode) {
+    renderEdges(edges, nodeById, selectedNode, hoveredNode) {
         const ctx = this.ctx;
+        const labels = [];
         
         edges.forEach(edge => {
-            const sourceNode = nodes.find(n => n.id === edge.source);
-            const targetNode = nodes.find(n => n.id === edge.target);
+            const sourceNode = nodeById.get(edge.source);
+            const targetNode = nodeById.get(edge.target);
             
             if (!sourceNode || !targetNode) return;
             
@@ -29,9 +31,18 @@ class GraphRenderUtils {
                 sourceNode === hoveredNode || 
                 targetNode === hoveredNode;
             
-            ctx.strokeStyle = isHighlighted 
-                ? this.config.edge.colors.highlighted 
-                : this.config.edge.colors.default;
+            const hasRelations = edge.relations && edge.relations.length > 0;
+            let color = this.config.edge.colors.default;
+            if (isHighlighted) {
+                color = this.config.edge.colors.highlighted;
+            } else if (hasRelations) {
+                color = ColorUtils.stringToColor(edge.relations[0].type);
+            } else if (edge.mutual) {
+                color = this.config.edge.colors.mutual;
+            }
+            
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
             ctx.lineWidth = isHighlighted 
                 ? this.config.edge.widthHovered 
                 : this.config.edge.width;
@@ -49,9 +60,75 @@ class GraphRenderUtils {
             ctx.lineTo(targetNode.x, targetNode.y);
             ctx.stroke();
             
+            if (edge.type !== 'tag') {
+                this.renderArrow(sourceNode, targetNode);
+                if (edge.mutual) {
+                    this.renderArrow(targetNode, sourceNode);
+                }
+            }
+            if (hasRelations) {
+                labels.push({ edge, sourceNode, targetNode });
+            }
+            
             ctx.setLineDash([]);
             ctx.globalAlpha = 1;
         });
+        
+        // Labels go on top of every line
+        labels.forEach(({ edge, sourceNode, targetNode }) => {
+            this.renderEdgeLabel(edge, sourceNode, targetNode);
+        });
+    }
+
+    /**
+     * Draw an arrowhead where an edge meets the node it points to
+     * @param {Object} from - Node the edge starts at
+     * @param {Object} to - Node the arrow points to
+     */
+    renderArrow(from, to) {
+        const ctx = this.ctx;
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        if (distance <= to.radius) return;
+        
+        const ux = dx / distance;
+        const uy = dy / distance;
+        const size = this.config.edge.arrowSize;
+        const tipX = to.x - ux * (to.radius + 2);
+        const tipY = to.y - uy * (to.radius + 2);
+        
+        ctx.beginPath();
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(tipX - ux * size - uy * size / 2, tipY - uy * size + ux * size / 2);
+        ctx.lineTo(tipX - ux * size + uy * size / 2, tipY - uy * size - ux * size / 2);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Label an edge with its relation types at the midpoint
+     * @param {Object} edge - Edge with relations
+     * @param {Object} sourceNode - Source node
+     * @param {Object} targetNode - Target node
+     */
+    renderEdgeLabel(edge, sourceNode, targetNode) {
+        const ctx = this.ctx;
+        const text = [...new Set(edge.relations.map(relation => relation.type))].join(', ');
+        const x = (sourceNode.x + targetNode.x) / 2;
+        const y = (sourceNode.y + targetNode.y) / 2;
+        
+        ctx.font = this.config.edge.labelFont;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        const width = ctx.measureText(text).width;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(x - width / 2 - 3, y - 7, width + 6, 14);
+        
+        ctx.fillStyle = this.config.edge.colors.label;
+        ctx.fillText(text, x, y);
     }
 
     /**
@@ -69,15 +146,16 @@ class GraphRenderUtils {
             
             // Determine node appearance
             let radius = node.radius;
-            let fillColor = this.config.node.colors.default;
+            let fillColor = node.color || this.config.node.colors.default;
             let textColor = this.config.node.colors.text;
             
+            // Large nodes never shrink when highlighted
             if (isSelected) {
-                radius = this.config.node.radiusSelected;
+                radius = Math.max(radius, this.config.node.radiusSelected);
                 fillColor = this.config.node.colors.selected;
                 textColor = this.config.node.colors.textSelected;
             } else if (isHovered) {
-                radius = this.config.node.radiusHovered;
+                radius = Math.max(radius, this.config.node.radiusHovered);
                 fillColor = this.config.node.colors.hovered;
             }
             
@@ -91,6 +169,10 @@ class GraphRenderUtils {
             ctx.fill();
             ctx.stroke();
             
+            if (node.fixed) {
+                this.renderPinMarker(node, radius);
+            }
+            
             // Draw node label
             ctx.fillStyle = textColor;
             ctx.font = '12px Inter, sans-serif';
@@ -121,6 +203,43 @@ class GraphRenderUtils {
         });
     }
 
+    /**
+     * Mark a pinned node with a dot on its upper right
+     * @param {Object} node - Pinned node
+     * @param {number} radius - Radius the node is drawn with
+     */
+    renderPinMarker(node, radius) {
+        const ctx = this.ctx;
+        const offset = radius * Math.SQRT1_2;
+        
+        ctx.fillStyle = this.config.node.colors.pinned;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1.5;
+        
+        ctx.beginPath();
+        ctx.arc(node.x + offset, node.y - offset, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    /**
+     * Draw the keyboard focus ring around a node
+     * @param {Object} node - Focused node
+     * @param {number} zoom - Camera zoom, so the ring keeps its on-screen width
+     */
+    renderFocusRing(node, zoom = 1) {
+        const ctx = this.ctx;
+        const radius = Math.max(node.radius, this.config.node.radiusHovered);
+        
+        ctx.strokeStyle = this.config.node.colors.focus;
+        ctx.lineWidth = this.config.node.focusRingWidth / zoom;
+        ctx.setLineDash([]);
+        
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, radius + 4 / zoom, 0, 2 * Math.PI);
+        ctx.stroke();
+    }
+
     /**
      * Render UI elements (statistics, node info)
      * @param {Array} nodes - Array of graph nodes
@@ -1,22 +1,70 @@
 // NoteMesh Graph Renderer (Modular)
 // Main graph visualization class that coordinates all graph modules
 
+// Vault settings layouts are saved under: the current one, and named ones
+const GRAPH_LAYOUT_SETTING = 'graphLayout';
+const GRAPH_SAVED_LAYOUTS_SETTING = 'graphLayouts';
+
 class GraphRenderer {
-    constructor(container, noteManager) {
+    /**
+     * @param {HTMLElement} container - Element the canvas is added to
+     * @param {NoteManager} noteManager - Source of notes
+     * @param {Object} options - { focusId, depth, includeTags } for a local graph
+     *   showing only the focused note and its neighbours up to depth hops;
+     *   onViewChange is called whenever the visible graph changes;
+     *   onLayoutChange once positions or the camera come to rest after moving
+     */
+    constructor(container, noteManager, options = {}) {
         this.container = container;
         this.noteManager = noteManager;
+        this.local = options.focusId ? {
+            focusId: options.focusId,
+            depth: Math.max(1, parseInt(options.depth, 10) || 1),
+            includeTags: !!options.includeTags
+        } : null;
+        this.filter = null; // GraphFilter rules, set with setFilter()
+        this.onViewChange = options.onViewChange || null;
+        this.onLayoutChange = options.onLayoutChange || null;
+        this.layoutChanged = false; // Moved since onLayoutChange was last called
+        this.savedLayout = null; // Restored with applyLayout(); notes loaded later start from it
+        this.analytics = null; // GraphAnalytics of the view, computed on demand
         this.canvas = null;
         this.ctx = null;
         this.nodes = [];
         this.edges = [];
+        this.nodeById = new Map();
+        
+        // Indexes for applying note changes as diffs
+        this.edgeByKey = new Map(); // "idA|idB" -> edge (one per node pair)
+        this.edgeKeysByNode = new Map(); // node id -> Set of edge keys
+        this.nodeByTitle = new Map(); // lowercased title -> node
+        this.nodeOrder = new Map(); // node id -> position in vault order
+        this.linkersByTitle = new Map(); // lowercased link target -> Set of node ids
+        this.nodesByTag = new Map(); // tag -> Set of node ids
+        this.changedNodes = new Set(); // Nodes whose edges changed since the last commit
+        
+        // What is drawn and simulated: the whole graph, or the local neighbourhood
+        this.view = { nodes: [], edges: [], nodeById: new Map() };
+        
         this.camera = { x: 0, y: 0, zoom: 1 };
         this.animation = { frame: null, running: false };
+        this.active = true; // False while the graph view is hidden
         
         // Initialize modular components
         this.config = GraphConfig;
-        this.physics = new GraphPhysics(this.config);
+        this.simulation = null; // Will be initialized after canvas creation
         this.renderUtils = null; // Will be initialized after canvas creation
         this.eventHandler = null; // Will be initialized after canvas creation
+        this.onResize = this.resizeCanvas.bind(this);
+        this.noteListeners = {
+            noteAdded: note => this.addNote(note),
+            noteRestored: note => this.addNote(note),
+            noteUpdated: note => this.updateNote(note),
+            notesUpdated: notes => this.updateNotes(notes),
+            noteDeleted: ({ id }) => this.removeNote(id),
+            notesLoaded: () => this.generateGraph(),
+            notesImported: () => this.generateGraph()
+        };
 
         this.init();
     }
@@ -25,8 +73,7 @@ class GraphRenderer {
         this.createCanvas();
         this.initializeModules();
         this.bindEvents();
-        this.generateGraph();
-        this.startAnimation();
+        this.generateGraph(); // Starts the animation loop via wake()
     }
 
     createCanvas() {
@@ -39,14 +86,24 @@ class GraphRenderer {
         this.canvas.style.height = '100%';
         this.canvas.style.cursor = 'grab';
         
+        // Keyboard focusable; notes are announced through the accessible list
+        this.canvas.tabIndex = 0;
+        this.canvas.setAttribute('role', 'application');
+        this.canvas.setAttribute('aria-label',
+            'Knowledge graph. Tab or arrow keys move between connected notes, Enter opens a note, plus and minus zoom.');
+        
         this.ctx = this.canvas.getContext('2d');
         this.container.appendChild(this.canvas);
+        this.createAccessibleList();
         
         // Set up canvas size
         this.resizeCanvas();
     }
 
     initializeModules() {
+        // Initialize the layout simulation (worker-backed when available)
+        this.simulation = new GraphSimulation(this.config, this.canvas, this.wake.bind(this));
+        
         // Initialize render utilities
         this.renderUtils = new GraphRenderUtils(this.ctx, this.config);
         
@@ -54,126 +111,775 @@ class GraphRenderer {
         this.eventHandler = new GraphEventHandler(
             this.canvas, 
             this.camera, 
-            this.getNodeAt.bind(this)
+            this.getNodeAt.bind(this),
+            this.onInteraction.bind(this),
+            {
+                getNodes: () => this.view.nodes,
+                getNeighbours: node => this.getNeighbours(node).map(({ node: other }) => other)
+            }
         );
     }
 
+    /**
+     * Off-screen mirror of the keyboard-focused note and its neighbours,
+     * so screen readers can follow the canvas
+     */
+    createAccessibleList() {
+        this.accessibleList = document.createElement('div');
+        this.accessibleList.className = 'sr-only';
+        
+        this.accessibleSummary = document.createElement('p');
+        this.accessibleSummary.setAttribute('aria-live', 'polite');
+        
+        this.accessibleNeighbours = document.createElement('ul');
+        this.accessibleNeighbours.setAttribute('aria-label', 'Connected notes');
+        
+        this.accessibleList.appendChild(this.accessibleSummary);
+        this.accessibleList.appendChild(this.accessibleNeighbours);
+        this.container.appendChild(this.accessibleList);
+    }
+
+    updateAccessibleList() {
+        const node = this.eventHandler ? this.eventHandler.focusedNode : null;
+        this.accessibleNeighbours.textContent = '';
+        
+        if (!node) {
+            this.accessibleSummary.textContent = '';
+            return;
+        }
+        
+        const neighbours = this.getNeighbours(node)
+            .sort((a, b) => a.node.title.localeCompare(b.node.title));
+        const selected = this.eventHandler.selectedNode === node ? ', selected' : '';
+        const pinned = node.fixed ? ', pinned' : '';
+        this.accessibleSummary.textContent =
+            `${node.title}${selected}${pinned}, ${neighbours.length} connected ${neighbours.length === 1 ? 'note' : 'notes'}`;
+        
+        neighbours.forEach(({ node: other, edge }) => {
+            const item = document.createElement('li');
+            item.textContent = this.describeConnection(node, other, edge);
+            this.accessibleNeighbours.appendChild(item);
+        });
+    }
+
+    /**
+     * Visible neighbours of a node
+     * @param {Object} node - Graph node
+     * @returns {Array<Object>} { node, edge } per neighbour
+     */
+    getNeighbours(node) {
+        const neighbours = [];
+        this.view.edges.forEach(edge => {
+            const otherId = edge.source === node.id ? edge.target : edge.target === node.id ? edge.source : null;
+            const other = otherId && this.view.nodeById.get(otherId);
+            if (other) neighbours.push({ node: other, edge });
+        });
+        return neighbours;
+    }
+
+    // How two notes are connected, in words
+    describeConnection(node, other, edge) {
+        if (edge.type === 'tag') {
+            return `Shares tags ${edge.commonTags.join(', ')} with ${other.title}`;
+        }
+        
+        let text = edge.mutual ? `Linked both ways with ${other.title}`
+            : edge.source === node.id ? `Links to ${other.title}`
+            : `Linked from ${other.title}`;
+        if (edge.relations && edge.relations.length > 0) {
+            text += ` (${[...new Set(edge.relations.map(relation => relation.type))].join(', ')})`;
+        }
+        return text;
+    }
+
     resizeCanvas() {
         const rect = this.container.getBoundingClientRect();
+        // Hidden containers measure 0x0; keep the last size so nodes are not squashed
+        if (rect.width === 0 || rect.height === 0) return;
+        
         this.canvas.width = rect.width * window.devicePixelRatio;
         this.canvas.height = rect.height * window.devicePixelRatio;
         this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
         this.canvas.style.width = rect.width + 'px';
         this.canvas.style.height = rect.height + 'px';
+        if (this.simulation) this.simulation.resize();
+        this.wake();
     }
 
     bindEvents() {
         // Window events
-        window.addEventListener('resize', this.resizeCanvas.bind(this));
+        window.addEventListener('resize', this.onResize);
+        
+        // Note changes are applied as they happen
+        Object.entries(this.noteListeners).forEach(([event, listener]) => {
+            this.noteManager.on(event, listener);
+        });
     }
 
+    /**
+     * Rebuild the whole graph from the note manager.
+     * Nodes that already exist keep their positions.
+     */
     generateGraph() {
         const notes = this.noteManager.getAllNotes();
+        const previous = this.nodeById;
+        
         this.nodes = [];
         this.edges = [];
+        this.nodeById = new Map();
+        this.edgeByKey = new Map();
+        this.edgeKeysByNode = new Map();
+        this.nodeByTitle = new Map();
+        this.nodeOrder = new Map();
+        this.linkersByTitle = new Map();
+        this.nodesByTag = new Map();
+        this.changedNodes = new Set();
+        let restored = 0;
+        let scattered = 0;
         
-        if (notes.length === 0) {
-            return;
+        notes.forEach(note => {
+            const node = this.createNode(note);
+            const old = previous.get(note.id);
+            
+            if (old) {
+                node.x = old.x;
+                node.y = old.y;
+                node.fixed = old.fixed;
+            } else if (this.restorePosition(node)) {
+                restored++;
+            } else {
+                node.x = Math.random() * this.canvas.width / window.devicePixelRatio;
+                node.y = Math.random() * this.canvas.height / window.devicePixelRatio;
+                scattered++;
+            }
+            
+            this.nodes.push(node);
+            this.nodeById.set(node.id, node);
+            this.nodeOrder.set(node.id, this.nodeOrder.size);
+            this.indexNode(node);
+        });
+        
+        this.nodes.forEach(node => this.syncNode(node));
+        this.nodes.forEach(node => this.updateNodeSize(node));
+        this.edges = Array.from(this.edgeByKey.values());
+        this.changedNodes.clear();
+        
+        // Center the graph the first time it is populated, unless it comes from a saved layout
+        if (previous.size === 0 && restored === 0) {
+            this.centerGraph(this.nodes);
+        }
+        
+        // A restored layout starts (almost) at rest
+        const physics = this.config.physics;
+        if (previous.size === 0 && restored > 0 && scattered === 0) {
+            this.simulation.setAlpha(physics.alphaRestore);
+            this.updateView(physics.alphaRestore);
+        } else {
+            this.updateView(physics.alphaStart);
         }
+    }
 
-        // Create nodes for each note
-        notes.forEach((note, index) => {
-            const node = {
-                id: note.id,
-                title: note.title,
-                content: note.content,
-                tags: note.tags,
-                x: Math.random() * this.canvas.width / window.devicePixelRatio,
-                y: Math.random() * this.canvas.height / window.devicePixelRatio,
-                vx: 0,
-                vy: 0,
-                radius: this.config.node.radius,
-                connections: 0,
-                note: note
-            };
-            this.nodes.push(node);
+    createNode(note) {
+        return {
+            id: note.id,
+            title: note.title,
+            content: note.content,
+            tags: [...note.tags],
+            // Lowercased link targets, kept so the node can be unindexed after the note changes
+            links: note.links.map(link => link.toLowerCase()),
+            relations: (note.relations || []).map(relation => ({
+                target: relation.target.toLowerCase(),
+                type: relation.type
+            })),
+            x: 0,
+            y: 0,
+            vx: 0,
+            vy: 0,
+            fixed: false, // Pinned in place by the user
+            radius: this.config.node.radius,
+            connections: 0,
+            note: note
+        };
+    }
+
+    indexNode(node) {
+        // Links resolve to one note per title: the last one in vault order,
+        // matching a full rebuild
+        const titleKey = node.title.toLowerCase();
+        const holder = this.nodeByTitle.get(titleKey);
+        if (!holder || this.nodeOrder.get(node.id) > this.nodeOrder.get(holder.id)) {
+            this.nodeByTitle.set(titleKey, node);
+        }
+        
+        node.links.forEach(link => {
+            if (!this.linkersByTitle.has(link)) this.linkersByTitle.set(link, new Set());
+            this.linkersByTitle.get(link).add(node.id);
+        });
+        
+        node.tags.forEach(tag => {
+            if (!this.nodesByTag.has(tag)) this.nodesByTag.set(tag, new Set());
+            this.nodesByTag.get(tag).add(node.id);
         });
+    }
 
-        // Create edges based on note links
-        this.nodes.forEach(sourceNode => {
-            sourceNode.note.links.forEach(linkTitle => {
-                const targetNode = this.nodes.find(node => 
-                    node.title.toLowerCase() === linkTitle.toLowerCase()
-                );
-                
-                if (targetNode && sourceNode.id !== targetNode.id) {
-                    // Check if edge already exists
-                    const existingEdge = this.edges.find(edge =>
-                        (edge.source === sourceNode.id && edge.target === targetNode.id) ||
-                        (edge.source === targetNode.id && edge.target === sourceNode.id)
-                    );
-                    
-                    if (!existingEdge) {
-                        this.edges.push({
-                            source: sourceNode.id,
-                            target: targetNode.id,
-                            strength: 1
-                        });
-                        sourceNode.connections++;
-                        targetNode.connections++;
-                    }
-                }
+    unindexNode(node) {
+        const titleKey = node.title.toLowerCase();
+        if (this.nodeByTitle.get(titleKey) === node) {
+            // Hand the title to the last other note that has it, if any
+            let other = null;
+            this.nodes.forEach(n => {
+                if (n === node || n.title.toLowerCase() !== titleKey) return;
+                if (!other || this.nodeOrder.get(n.id) > this.nodeOrder.get(other.id)) other = n;
             });
+            if (other) {
+                this.nodeByTitle.set(titleKey, other);
+            } else {
+                this.nodeByTitle.delete(titleKey);
+            }
+        }
+        
+        node.links.forEach(link => {
+            const linkers = this.linkersByTitle.get(link);
+            if (!linkers) return;
+            linkers.delete(node.id);
+            if (linkers.size === 0) this.linkersByTitle.delete(link);
         });
+        
+        node.tags.forEach(tag => {
+            const tagged = this.nodesByTag.get(tag);
+            if (!tagged) return;
+            tagged.delete(node.id);
+            if (tagged.size === 0) this.nodesByTag.delete(tag);
+        });
+    }
 
-        // Create tag-based connections (weaker)
-        this.nodes.forEach(nodeA => {
-            this.nodes.forEach(nodeB => {
-                if (nodeA.id !== nodeB.id) {
-                    const commonTags = nodeA.tags.filter(tag => 
-                        nodeB.tags.includes(tag)
-                    );
-                    
-                    if (commonTags.length > 0) {
-                        const existingEdge = this.edges.find(edge =>
-                            (edge.source === nodeA.id && edge.target === nodeB.id) ||
-                            (edge.source === nodeB.id && edge.target === nodeA.id)
-                        );
-                        
-                        if (!existingEdge) {
-                            this.edges.push({
-                                source: nodeA.id,
-                                target: nodeB.id,
-                                strength: 0.3,
-                                type: 'tag',
-                                commonTags: commonTags
-                            });
-                        }
-                    }
-                }
+    /**
+     * Nodes that may share an edge with the given node:
+     * current neighbours, link targets, notes linking to it and notes sharing a tag
+     * @param {Object} node - Graph node
+     * @returns {Set} Candidate nodes
+     */
+    getEdgeCandidates(node) {
+        const candidates = new Set();
+        const addId = id => {
+            const other = this.nodeById.get(id);
+            if (other && other !== node) candidates.add(other);
+        };
+        
+        (this.edgeKeysByNode.get(node.id) || new Set()).forEach(key => {
+            const edge = this.edgeByKey.get(key);
+            addId(edge.source === node.id ? edge.target : edge.source);
+        });
+        node.links.forEach(link => {
+            const target = this.nodeByTitle.get(link);
+            if (target) addId(target.id);
+        });
+        (this.linkersByTitle.get(node.title.toLowerCase()) || new Set()).forEach(addId);
+        node.tags.forEach(tag => {
+            (this.nodesByTag.get(tag) || new Set()).forEach(addId);
+        });
+        
+        return candidates;
+    }
+
+    // Whether a's links resolve to b
+    linksTo(a, b) {
+        const titleKey = b.title.toLowerCase();
+        return a.links.includes(titleKey) && this.nodeByTitle.get(titleKey) === b;
+    }
+
+    // Typed relations declared by one node towards another
+    relationsBetween(from, to) {
+        const titleKey = to.title.toLowerCase();
+        return from.relations
+            .filter(relation => relation.target === titleKey)
+            .map(relation => ({ source: from.id, target: to.id, type: relation.type }));
+    }
+
+    /**
+     * The edge a pair of nodes should have: a link edge if either links the other,
+     * otherwise a weaker tag edge if they share tags.
+     * Link edges point from the linking note; `mutual` marks links both ways.
+     * @returns {Object|null} Edge or null
+     */
+    getPairEdge(a, b) {
+        const forward = this.linksTo(a, b);
+        const backward = this.linksTo(b, a);
+        
+        if (forward || backward) {
+            const [source, target] = forward ? [a, b] : [b, a];
+            return {
+                source: source.id,
+                target: target.id,
+                strength: 1,
+                mutual: forward && backward,
+                relations: [
+                    ...(forward ? this.relationsBetween(a, b) : []),
+                    ...(backward ? this.relationsBetween(b, a) : [])
+                ]
+            };
+        }
+        
+        const commonTags = a.tags.filter(tag => b.tags.includes(tag));
+        if (commonTags.length > 0) {
+            return {
+                source: a.id,
+                target: b.id,
+                strength: 0.3,
+                type: 'tag',
+                commonTags: commonTags
+            };
+        }
+        
+        return null;
+    }
+
+    edgeKey(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    }
+
+    // Bring the edge between two nodes up to date
+    syncPair(a, b) {
+        const key = this.edgeKey(a.id, b.id);
+        const edge = this.getPairEdge(a, b);
+        const existing = this.edgeByKey.get(key);
+        
+        if (!edge && !existing) return;
+        
+        if (edge) {
+            this.edgeByKey.set(key, edge);
+            [a, b].forEach(node => {
+                if (!this.edgeKeysByNode.has(node.id)) this.edgeKeysByNode.set(node.id, new Set());
+                this.edgeKeysByNode.get(node.id).add(key);
             });
+        } else {
+            this.removeEdge(key);
+        }
+        
+        this.changedNodes.add(a);
+        this.changedNodes.add(b);
+    }
+
+    removeEdge(key) {
+        const edge = this.edgeByKey.get(key);
+        if (!edge) return;
+        
+        this.edgeByKey.delete(key);
+        [edge.source, edge.target].forEach(id => {
+            const keys = this.edgeKeysByNode.get(id);
+            if (keys) keys.delete(key);
+        });
+    }
+
+    syncNode(node) {
+        this.getEdgeCandidates(node).forEach(other => this.syncPair(node, other));
+    }
+
+    // Re-check notes linking to a title, as it may now resolve to a different note
+    syncTitle(titleKey) {
+        (this.linkersByTitle.get(titleKey) || new Set()).forEach(id => {
+            const linker = this.nodeById.get(id);
+            if (linker) this.syncNode(linker);
         });
+    }
 
-        // Adjust node sizes based on connections
+    // Size nodes by their number of link connections
+    updateNodeSize(node) {
+        const keys = this.edgeKeysByNode.get(node.id) || new Set();
+        node.connections = Array.from(keys).filter(key => this.edgeByKey.get(key).type !== 'tag').length;
+        node.radius = this.linkRadius(node);
+    }
+
+    linkRadius(node) {
+        return Math.max(
+            this.config.node.radius,
+            this.config.node.radius + node.connections * 2
+        );
+    }
+
+    // Place a new node next to the nodes it links with, or randomly when it has none
+    placeNode(node) {
+        const neighbours = Array.from(this.getEdgeCandidates(node)).filter(other =>
+            this.linksTo(node, other) || this.linksTo(other, node)
+        );
+        
+        if (neighbours.length === 0) {
+            node.x = Math.random() * this.canvas.width / window.devicePixelRatio;
+            node.y = Math.random() * this.canvas.height / window.devicePixelRatio;
+            return;
+        }
+        
+        const spread = this.config.physics.minDistance;
+        node.x = neighbours.reduce((sum, other) => sum + other.x, 0) / neighbours.length + (Math.random() - 0.5) * spread;
+        node.y = neighbours.reduce((sum, other) => sum + other.y, 0) / neighbours.length + (Math.random() - 0.5) * spread;
+    }
+
+    // Put a node where the saved layout has it
+    restorePosition(node) {
+        const saved = this.savedLayout ? this.savedLayout.nodes[node.id] : null;
+        if (!saved) return false;
+        
+        node.x = saved[0];
+        node.y = saved[1];
+        node.fixed = saved[2] === 1;
+        node.vx = 0;
+        node.vy = 0;
+        return true;
+    }
+
+    /**
+     * Positions and pins of every note plus the camera, for saving
+     * @returns {Object} { nodes: { id: [x, y, fixed] }, camera: { x, y, zoom } }
+     */
+    getLayout() {
+        const round = value => Math.round(value * 10) / 10;
+        const nodes = {};
         this.nodes.forEach(node => {
-            node.radius = Math.max(
-                this.config.node.radius,
-                this.config.node.radius + node.connections * 2
+            nodes[node.id] = [round(node.x), round(node.y), node.fixed ? 1 : 0];
+        });
+        
+        return { nodes, camera: { x: this.camera.x, y: this.camera.y, zoom: this.camera.zoom } };
+    }
+
+    /**
+     * Move notes and the camera to a saved layout. Notes the layout does not
+     * know start unpinned next to the notes they link with.
+     * @param {Object} layout - getLayout() result
+     */
+    applyLayout(layout) {
+        this.savedLayout = { nodes: layout.nodes || {} };
+        
+        const missing = this.nodes.filter(node => !this.restorePosition(node));
+        missing.forEach(node => {
+            node.fixed = false;
+            this.placeNode(node);
+        });
+        
+        if (layout.camera) {
+            const { x, y, zoom } = layout.camera;
+            if ([x, y, zoom].every(Number.isFinite)) Object.assign(this.camera, { x, y, zoom });
+        }
+        
+        this.simulation.setAlpha(this.config.physics.alphaRestore);
+        this.updateView(this.config.physics.alphaRestore);
+        this.layoutChanged = true;
+    }
+
+    /**
+     * Lay the visible notes out again from scattered positions;
+     * pinned notes stay where they are
+     */
+    rerunLayout() {
+        const width = this.canvas.width / window.devicePixelRatio;
+        const height = this.canvas.height / window.devicePixelRatio;
+        
+        this.view.nodes.forEach(node => {
+            if (node.fixed) return;
+            node.x = Math.random() * width;
+            node.y = Math.random() * height;
+            node.vx = 0;
+            node.vy = 0;
+        });
+        
+        this.simulation.setGraph(this.view.nodes, this.view.edges, this.view.nodeById, this.config.physics.alphaStart);
+        this.wake();
+    }
+
+    /**
+     * Add a node for a new or restored note
+     * @param {Note} note - Note to add
+     */
+    addNote(note) {
+        if (this.nodeById.has(note.id)) {
+            this.updateNote(note);
+            return;
+        }
+        
+        const node = this.createNode(note);
+        // Nodes stay in vault order, so the last one has the highest order
+        const last = this.nodes[this.nodes.length - 1];
+        this.nodes.push(node);
+        this.nodeById.set(node.id, node);
+        this.nodeOrder.set(node.id, last ? this.nodeOrder.get(last.id) + 1 : 0);
+        this.indexNode(node);
+        this.placeNode(node);
+        
+        this.changedNodes.add(node);
+        this.syncNode(node);
+        this.syncTitle(node.title.toLowerCase());
+        this.commitChanges();
+    }
+
+    /**
+     * Apply a note's new title, content, tags and links to its node
+     * @param {Note} note - Updated note
+     */
+    updateNote(note) {
+        const node = this.nodeById.get(note.id);
+        if (!node) {
+            this.addNote(note);
+            return;
+        }
+        
+        this.applyNoteToNode(node, note);
+        this.commitChanges();
+    }
+
+    updateNotes(notes) {
+        notes.forEach(note => {
+            const node = this.nodeById.get(note.id);
+            if (node) {
+                this.applyNoteToNode(node, note);
+            }
+        });
+        this.commitChanges();
+    }
+
+    applyNoteToNode(node, note) {
+        const oldTitleKey = node.title.toLowerCase();
+        
+        this.unindexNode(node);
+        const fresh = this.createNode(note);
+        node.title = fresh.title;
+        node.content = fresh.content;
+        node.tags = fresh.tags;
+        node.links = fresh.links;
+        node.relations = fresh.relations;
+        node.note = note;
+        this.indexNode(node);
+        
+        this.syncNode(node);
+        if (node.title.toLowerCase() !== oldTitleKey) {
+            this.syncTitle(oldTitleKey);
+            this.syncTitle(node.title.toLowerCase());
+        }
+    }
+
+    /**
+     * Remove the node of a deleted note along with its edges
+     * @param {string} id - Note id
+     */
+    removeNote(id) {
+        const node = this.nodeById.get(id);
+        if (!node) return;
+        
+        (this.edgeKeysByNode.get(id) || new Set()).forEach(key => {
+            const edge = this.edgeByKey.get(key);
+            this.changedNodes.add(this.nodeById.get(edge.source === id ? edge.target : edge.source));
+            this.removeEdge(key);
+        });
+        this.edgeKeysByNode.delete(id);
+        
+        this.unindexNode(node);
+        this.nodes = this.nodes.filter(other => other !== node);
+        this.nodeById.delete(id);
+        this.nodeOrder.delete(id);
+        this.syncTitle(node.title.toLowerCase());
+        
+        this.commitChanges();
+    }
+
+    // Resize touched nodes and hand the updated graph to the simulation
+    commitChanges() {
+        this.changedNodes.forEach(node => {
+            if (this.nodeById.get(node.id) === node) this.updateNodeSize(node);
+        });
+        this.changedNodes.clear();
+        
+        this.edges = Array.from(this.edgeByKey.values());
+        this.updateView(this.config.physics.alphaUpdate);
+    }
+
+    /**
+     * Work out which nodes and edges are drawn and simulated and hand them to
+     * the simulation: the local neighbourhood when focused, minus anything the
+     * filter hides. Without either this is the whole graph.
+     * @param {number} alpha - Simulation energy to restart from
+     */
+    updateView(alpha) {
+        const parents = this.local ? this.getLocalNodeIds() : null;
+        const filtering = this.filter !== null && this.filter.isActive();
+        
+        if (!parents && !filtering) {
+            this.view = { nodes: this.nodes, edges: this.edges, nodeById: this.nodeById };
+        } else {
+            const matches = filtering ? this.filter.createMatcher(this.noteManager) : () => true;
+            let nodes = this.nodes.filter(node =>
+                (!parents || parents.has(node.id)) && matches(node.note)
             );
+            let nodeById = GraphPhysics.indexNodes(nodes);
+            const edges = this.edges.filter(edge =>
+                nodeById.has(edge.source) && nodeById.has(edge.target) && this.showsEdge(edge)
+            );
+            
+            if (filtering && this.filter.rules.hideOrphans) {
+                const connected = new Set();
+                edges.forEach(edge => {
+                    connected.add(edge.source);
+                    connected.add(edge.target);
+                });
+                nodes = nodes.filter(node => connected.has(node.id));
+                nodeById = GraphPhysics.indexNodes(nodes);
+            }
+            
+            if (parents) {
+                this.placeLocalNodes(parents, nodeById);
+            }
+            this.view = { nodes, edges, nodeById };
+        }
+        
+        this.analytics = null;
+        this.applyAppearance();
+        
+        this.eventHandler.forgetNodes(this.view.nodeById);
+        this.updateAccessibleList();
+        this.simulation.setGraph(this.view.nodes, this.view.edges, this.view.nodeById, alpha);
+        this.wake();
+        
+        if (this.onViewChange) this.onViewChange();
+    }
+
+    // Colour and size the visible nodes by the filter's rules
+    applyAppearance() {
+        const analytics = this.filter && this.filter.usesAnalytics() ? this.getAnalytics() : null;
+        
+        this.view.nodes.forEach(node => {
+            node.color = this.filter ? this.filter.colorFor(node, analytics) : null;
+            node.radius = (this.filter && this.filter.sizeFor(node, analytics)) || this.linkRadius(node);
         });
+    }
 
-        // Center the graph
-        this.centerGraph();
+    /**
+     * Centrality, communities, orphans and bridges of the visible graph.
+     * Computed on first use after each change to the view.
+     * @returns {Object} GraphAnalytics.analyze() result
+     */
+    getAnalytics() {
+        if (!this.analytics) {
+            this.analytics = GraphAnalytics.analyze(this.view.nodes, this.view.edges);
+        }
+        return this.analytics;
     }
 
-    centerGraph() {
-        if (this.nodes.length === 0) return;
+    showsEdge(edge) {
+        if (edge.type !== 'tag') return true;
+        if (this.local && !this.local.includeTags) return false;
+        return !this.filter || this.filter.showsEdge(edge);
+    }
+
+    // Nodes coming into a local view start next to the node that reached them
+    placeLocalNodes(parents, nodeById) {
+        const spread = this.config.physics.minDistance;
+        
+        parents.forEach((parentId, id) => {
+            const node = nodeById.get(id);
+            if (!node || this.view.nodeById.has(id)) return;
+            
+            const parent = parentId ? nodeById.get(parentId) : null;
+            node.x = parent ? parent.x + (Math.random() - 0.5) * spread : this.canvas.width / (2 * window.devicePixelRatio);
+            node.y = parent ? parent.y + (Math.random() - 0.5) * spread : this.canvas.height / (2 * window.devicePixelRatio);
+        });
+    }
+
+    /**
+     * Apply new filter and colouring rules
+     * @param {Object} rules - GraphFilter rules
+     */
+    setFilter(rules) {
+        this.filter = new GraphFilter(rules);
+        this.updateView(this.config.physics.alphaUpdate);
+    }
+
+    /**
+     * Colour groups among the visible nodes, for a legend
+     * @returns {Array<Object>} { group, color, count }, largest first
+     */
+    getColorGroups() {
+        const groups = new Map();
+        this.view.nodes.forEach(node => {
+            const group = node.color && this.filter.groupFor(node, this.analytics);
+            if (!group) return;
+            if (!groups.has(group)) groups.set(group, { group, color: node.color, count: 0 });
+            groups.get(group).count++;
+        });
+        return Array.from(groups.values()).sort((a, b) => b.count - a.count || a.group.localeCompare(b.group, undefined, { numeric: true }));
+    }
+
+    /**
+     * Breadth-first walk from the focused note over links and backlinks
+     * (and shared tags when enabled), up to the local depth
+     * @returns {Map} Visible node id -> id of the node it was reached from (null for the focus)
+     */
+    getLocalNodeIds() {
+        const { focusId, depth, includeTags } = this.local;
+        const parents = new Map();
+        if (!this.nodeById.has(focusId)) return parents;
+        
+        parents.set(focusId, null);
+        let frontier = [focusId];
+        for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+            const next = [];
+            frontier.forEach(id => {
+                (this.edgeKeysByNode.get(id) || new Set()).forEach(key => {
+                    const edge = this.edgeByKey.get(key);
+                    if (edge.type === 'tag' && !includeTags) return;
+                    
+                    const other = edge.source === id ? edge.target : edge.source;
+                    if (!parents.has(other)) {
+                        parents.set(other, id);
+                        next.push(other);
+                    }
+                });
+            });
+            frontier = next;
+        }
+        
+        return parents;
+    }
+
+    /**
+     * Re-centre a local graph on another note
+     * @param {string} noteId - Note to focus
+     */
+    setFocus(noteId) {
+        if (!this.local || this.local.focusId === noteId) return;
+        
+        this.local.focusId = noteId;
+        this.updateView(this.config.physics.alphaStart);
+        
+        // Bring the focused note to the middle of the panel
+        const focus = this.view.nodeById.get(noteId);
+        if (focus) {
+            const offsetX = this.canvas.width / (2 * window.devicePixelRatio) - focus.x;
+            const offsetY = this.canvas.height / (2 * window.devicePixelRatio) - focus.y;
+            this.view.nodes.forEach(node => {
+                node.x += offsetX;
+                node.y += offsetY;
+            });
+            this.simulation.setGraph(this.view.nodes, this.view.edges, this.view.nodeById);
+        }
+    }
+
+    setDepth(depth) {
+        if (!this.local) return;
+        this.local.depth = Math.max(1, parseInt(depth, 10) || 1);
+        this.updateView(this.config.physics.alphaUpdate);
+    }
+
+    setIncludeTags(includeTags) {
+        if (!this.local) return;
+        this.local.includeTags = includeTags;
+        this.updateView(this.config.physics.alphaUpdate);
+    }
+
+    centerGraph(nodes = this.view.nodes) {
+        if (nodes.length === 0) return;
         
         const centerX = this.canvas.width / (2 * window.devicePixelRatio);
         const centerY = this.canvas.height / (2 * window.devicePixelRatio);
         
         // Calculate current center
-        const bounds = this.getGraphBounds();
+        const bounds = this.getGraphBounds(nodes);
         const currentCenterX = (bounds.minX + bounds.maxX) / 2;
         const currentCenterY = (bounds.minY + bounds.maxY) / 2;
         
@@ -181,40 +887,55 @@ class GraphRenderer {
         const offsetX = centerX - currentCenterX;
         const offsetY = centerY - currentCenterY;
         
-        this.nodes.forEach(node => {
+        nodes.forEach(node => {
             node.x += offsetX;
             node.y += offsetY;
         });
     }
 
-    getGraphBounds() {
-        if (this.nodes.length === 0) {
+    getGraphBounds(nodes = this.view.nodes) {
+        if (nodes.length === 0) {
             return { minX: 0, maxX: 0, minY: 0, maxY: 0 };
         }
         
-        return this.nodes.reduce((bounds, node) => ({
+        return nodes.reduce((bounds, node) => ({
             minX: Math.min(bounds.minX, node.x),
             maxX: Math.max(bounds.maxX, node.x),
             minY: Math.min(bounds.minY, node.y),
             maxY: Math.max(bounds.maxY, node.y)
         }), {
-            minX: this.nodes[0].x,
-            maxX: this.nodes[0].x,
-            minY: this.nodes[0].y,
-            maxY: this.nodes[0].y
+            minX: nodes[0].x,
+            maxX: nodes[0].x,
+            minY: nodes[0].y,
+            maxY: nodes[0].y
         });
     }
 
+    // The loop stops once the simulation has cooled and nothing is being
+    // dragged; wake() restarts it for interactions and graph changes.
     startAnimation() {
-        if (!this.config.animation.enabled) return;
+        if (!this.config.animation.enabled) {
+            this.render();
+            return;
+        }
         
         this.animation.running = true;
         const animate = () => {
             if (!this.animation.running) return;
             
-            this.updatePhysics();
+            const dragNode = this.eventHandler ? this.eventHandler.dragNode : null;
+            if (!this.simulation.isSettled() || dragNode) {
+                this.updatePhysics();
+                this.layoutChanged = true;
+            }
             this.render();
             
+            if (this.simulation.isSettled() && !dragNode) {
+                this.animation.running = false;
+                this.animation.frame = null;
+                this.reportLayoutChange();
+                return;
+            }
             this.animation.frame = requestAnimationFrame(animate);
         };
         
@@ -225,16 +946,62 @@ class GraphRenderer {
         this.animation.running = false;
         if (this.animation.frame) {
             cancelAnimationFrame(this.animation.frame);
+            this.animation.frame = null;
+        }
+    }
+
+    wake() {
+        if (this.active && !this.animation.running && this.renderUtils) {
+            this.startAnimation();
         }
     }
 
+    reportLayoutChange() {
+        if (!this.layoutChanged) return;
+        
+        this.layoutChanged = false;
+        if (this.onLayoutChange) this.onLayoutChange();
+    }
+
+    onInteraction(type, node) {
+        if (type === 'dragstart') {
+            this.simulation.reheat(this.config.physics.alphaDrag);
+            this.simulation.pin(node);
+        } else if (type === 'drag') {
+            this.simulation.pin(node);
+        } else if (type === 'release' && node) {
+            this.simulation.unpin();
+        } else if (type === 'pintoggle' && node) {
+            this.togglePin(node);
+        } else if (type === 'select' && node && this.local) {
+            // Clicking a neighbour in a local graph re-centres on it
+            this.eventHandler.selectedNode = null;
+            this.setFocus(node.id);
+        }
+        if (type === 'focus' || type === 'select' || type === 'pintoggle') {
+            this.updateAccessibleList();
+        }
+        // Focus moves can scroll the camera
+        if (['pan', 'zoom', 'focus', 'release', 'pintoggle'].includes(type)) {
+            this.layoutChanged = true;
+        }
+        this.wake();
+    }
+
+    /**
+     * Pin a node where it is, or release a pinned one back into the layout
+     * @param {Object} node - Graph node
+     */
+    togglePin(node) {
+        node.fixed = !node.fixed;
+        node.vx = 0;
+        node.vy = 0;
+        this.simulation.setFixed(node);
+    }
+
+    // Steps in-thread; with a worker, positions arrive via the simulation
     updatePhysics() {
-        this.physics.updatePhysics(
-            this.nodes, 
-            this.edges, 
-            this.canvas, 
-            this.eventHandler ? this.eventHandler.dragNode : null
-        );
+        this.simulation.step();
     }
 
     render() {
@@ -244,48 +1011,69 @@ class GraphRenderer {
         // Clear canvas
         this.ctx.clearRect(0, 0, canvasWidth, canvasHeight);
         
-        if (this.nodes.length === 0) {
+        if (this.view.nodes.length === 0) {
             this.renderUtils.renderEmptyState(this.canvas);
             return;
         }
         
-        // Apply camera transform
-        this.ctx.save();
-        this.ctx.translate(this.camera.x, this.camera.y);
-        this.ctx.scale(this.camera.zoom, this.camera.zoom);
+        const selectedNode = this.eventHandler ? this.eventHandler.selectedNode : null;
+        // A local graph highlights its focused note
+        const highlightedNode = selectedNode || (this.local ? this.view.nodeById.get(this.local.focusId) : null);
         
-        // Render edges and nodes
-        this.renderUtils.renderEdges(
-            this.edges, 
-            this.nodes, 
-            this.eventHandler ? this.eventHandler.selectedNode : null,
-            this.eventHandler ? this.eventHandler.hoveredNode : null
-        );
+        // The focused note's connections light up like a hovered one's;
+        // its ring only shows while the canvas has keyboard focus
+        const focusedNode = this.eventHandler ? this.eventHandler.focusedNode : null;
+        const hoveredNode = this.eventHandler ? this.eventHandler.hoveredNode : null;
         
-        this.renderUtils.renderNodes(
-            this.nodes,
-            this.eventHandler ? this.eventHandler.selectedNode : null,
-            this.eventHandler ? this.eventHandler.hoveredNode : null
+        this.drawGraph(
+            this.renderUtils,
+            highlightedNode,
+            hoveredNode || focusedNode,
+            document.activeElement === this.canvas ? focusedNode : null
         );
         
-        this.ctx.restore();
-        
-        // Render UI elements
+        // Render UI elements (the node info box would cover a local panel)
         this.renderUtils.renderUI(
-            this.nodes, 
-            this.edges, 
+            this.view.nodes, 
+            this.view.edges, 
             this.camera,
-            this.eventHandler ? this.eventHandler.selectedNode : null,
+            this.local ? null : selectedNode,
             this.canvas
         );
     }
 
+    /**
+     * Draw the visible edges and nodes through the camera.
+     * Exports call this with render utilities for another context.
+     * @param {GraphRenderUtils} renderUtils - Render utilities bound to the target context
+     * @param {Object} highlightedNode - Node drawn as selected
+     * @param {Object} hoveredNode - Node drawn as hovered
+     * @param {Object} focusedNode - Node given a keyboard focus ring
+     */
+    drawGraph(renderUtils, highlightedNode = null, hoveredNode = null, focusedNode = null) {
+        const ctx = renderUtils.ctx;
+        
+        // Apply camera transform
+        ctx.save();
+        ctx.translate(this.camera.x, this.camera.y);
+        ctx.scale(this.camera.zoom, this.camera.zoom);
+        
+        // Render edges and nodes
+        renderUtils.renderEdges(this.view.edges, this.view.nodeById, highlightedNode, hoveredNode);
+        renderUtils.renderNodes(this.view.nodes, highlightedNode, hoveredNode);
+        if (focusedNode) {
+            renderUtils.renderFocusRing(focusedNode, this.camera.zoom);
+        }
+        
+        ctx.restore();
+    }
+
     // Utility methods
     getNodeAt(x, y) {
         const transformedX = (x - this.camera.x) / this.camera.zoom;
         const transformedY = (y - this.camera.y) / this.camera.zoom;
         
-        return this.nodes.find(node => {
+        return this.view.nodes.find(node => {
             const dx = transformedX - node.x;
             const dy = transformedY - node.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
@@ -298,14 +1086,36 @@ class GraphRenderer {
         this.generateGraph();
     }
 
+    /**
+     * Pause drawing while the graph view is hidden; the graph keeps
+     * tracking note changes and resumes from where it was
+     * @param {boolean} active - Whether the graph view is visible
+     */
+    setActive(active) {
+        if (active === this.active) return;
+        
+        this.active = active;
+        if (active) {
+            this.resizeCanvas(); // The container may have changed size while hidden
+        } else {
+            this.stopAnimation();
+        }
+    }
+
     destroy() {
         this.stopAnimation();
         // Remove event listeners
-        window.removeEventListener('resize', this.resizeCanvas.bind(this));
+        window.removeEventListener('resize', this.onResize);
+        Object.entries(this.noteListeners).forEach(([event, listener]) => {
+            this.noteManager.off(event, listener);
+        });
+        this.simulation.destroy();
+        this.canvas.remove();
+        this.accessibleList.remove();
     }
 
     zoomToFit() {
-        if (this.nodes.length === 0) return;
+        if (this.view.nodes.length === 0) return;
         
         const bounds = this.getGraphBounds();
         const padding = 50;
@@ -322,6 +1132,8 @@ class GraphRenderer {
         this.camera.zoom = scale;
         this.camera.x = (canvasWidth - (bounds.maxX + bounds.minX) * scale) / 2;
         this.camera.y = (canvasHeight - (bounds.maxY + bounds.minY) * scale) / 2;
+        this.layoutChanged = true;
+        this.wake();
     }
 }
 
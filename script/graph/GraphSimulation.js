@@ -0,0 +1,249 @@
+// NoteMesh Graph Simulation
+// Runs the layout in a Web Worker when possible, in-thread otherwise
+
+class GraphSimulation {
+    /**
+     * @param {Object} config - GraphConfig
+     * @param {HTMLCanvasElement} canvas - Canvas whose size bounds the layout
+     * @param {Function} onTick - Called when new positions arrive from the worker
+     */
+    constructor(config, canvas, onTick = () => {}) {
+        this.config = config;
+        this.canvas = canvas;
+        this.onTick = onTick;
+        this.physics = new GraphPhysics(config); // In-thread fallback
+        this.nodes = [];
+        this.edges = [];
+        this.nodeById = new Map();
+        this.indexById = new Map();
+        this.pinned = null;
+        this.worker = null;
+        this.version = 0; // Bumped per graph so stale ticks are ignored
+        this.settled = true;
+
+        this.startWorker();
+    }
+
+    startWorker() {
+        if (!this.config.worker.enabled || typeof Worker === 'undefined') return;
+
+        try {
+            this.worker = new Worker(this.config.worker.script);
+        } catch (error) {
+            // e.g. pages opened from file://
+            console.warn('Graph layout worker unavailable, running in-thread:', error);
+            return;
+        }
+
+        this.worker.onmessage = (e) => this.onWorkerMessage(e.data);
+        this.worker.onerror = (e) => {
+            e.preventDefault();
+            this.fallBack(e.message);
+        };
+        this.worker.postMessage({
+            type: 'init',
+            physics: this.config.physics,
+            fps: this.config.animation.fps
+        });
+    }
+
+    usesWorker() {
+        return this.worker !== null;
+    }
+
+    // Continue in-thread from the last positions the worker sent
+    fallBack(reason) {
+        console.warn('Graph layout worker failed, running in-thread:', reason);
+        this.worker.terminate();
+        this.worker = null;
+        this.physics.reheat();
+        this.onTick();
+    }
+
+    getBounds() {
+        return {
+            width: this.canvas.width / window.devicePixelRatio,
+            height: this.canvas.height / window.devicePixelRatio
+        };
+    }
+
+    /**
+     * Start simulating a new set of nodes and edges
+     * @param {Array} nodes - Graph nodes (positions are read and updated in place)
+     * @param {Array} edges - Graph edges referencing node ids
+     * @param {Map} nodeById - id -> node index
+     * @param {number} alpha - Energy to restart from; lower for small changes
+     */
+    setGraph(nodes, edges, nodeById, alpha = this.config.physics.alphaStart) {
+        const pinned = this.pinned ? nodeById.get(this.pinned.id) : null;
+
+        this.nodes = nodes;
+        this.edges = edges;
+        this.nodeById = nodeById;
+        this.indexById = new Map(nodes.map((node, i) => [node.id, i]));
+        this.pinned = null;
+        this.version++;
+        this.physics.reheat(alpha);
+
+        if (!this.worker) {
+            this.pinned = pinned || null;
+            return;
+        }
+
+        this.settled = nodes.length === 0;
+
+        const positions = new Float32Array(nodes.length * 2);
+        const radii = new Float32Array(nodes.length);
+        const fixed = new Uint8Array(nodes.length);
+        nodes.forEach((node, i) => {
+            positions[i * 2] = node.x;
+            positions[i * 2 + 1] = node.y;
+            radii[i] = node.radius;
+            fixed[i] = node.fixed ? 1 : 0;
+        });
+
+        const linked = edges.filter(edge =>
+            this.indexById.has(edge.source) && this.indexById.has(edge.target)
+        );
+        const edgeIndex = new Int32Array(linked.length * 2);
+        const edgeStrength = new Float32Array(linked.length);
+        const edgeTag = new Uint8Array(linked.length);
+        linked.forEach((edge, i) => {
+            edgeIndex[i * 2] = this.indexById.get(edge.source);
+            edgeIndex[i * 2 + 1] = this.indexById.get(edge.target);
+            edgeStrength[i] = edge.strength;
+            edgeTag[i] = edge.type === 'tag' ? 1 : 0;
+        });
+
+        const bounds = this.getBounds();
+        this.worker.postMessage({
+            type: 'graph',
+            version: this.version,
+            positions,
+            radii,
+            fixed,
+            edgeIndex,
+            edgeStrength,
+            edgeTag,
+            width: bounds.width,
+            height: bounds.height,
+            alpha
+        }, [positions.buffer, radii.buffer, fixed.buffer, edgeIndex.buffer, edgeStrength.buffer, edgeTag.buffer]);
+
+        // Keep holding a node that is being dragged
+        if (pinned) this.pin(pinned);
+    }
+
+    onWorkerMessage(message) {
+        // Ticks can still arrive after the worker is terminated
+        if (message.type !== 'tick' || !this.worker) return;
+
+        const positions = message.positions;
+        if (message.version === this.version) {
+            this.nodes.forEach((node, i) => {
+                if (node === this.pinned) return; // The pointer owns dragged nodes
+                node.x = positions[i * 2];
+                node.y = positions[i * 2 + 1];
+            });
+            this.settled = message.settled;
+        }
+
+        // Hand the buffer back for the next tick
+        this.worker.postMessage({ type: 'buffer', positions }, [positions.buffer]);
+        this.onTick();
+    }
+
+    /**
+     * Advance one step. A no-op while the worker drives the layout.
+     */
+    step() {
+        if (this.worker) return;
+        this.physics.updatePhysics(this.nodes, this.edges, this.canvas, this.pinned, this.nodeById);
+    }
+
+    isSettled() {
+        return this.worker ? this.settled : this.physics.isSettled();
+    }
+
+    reheat(alpha = this.config.physics.alphaStart) {
+        this.physics.reheat(alpha);
+        if (!this.worker || this.nodes.length === 0) return;
+
+        this.settled = false;
+        this.worker.postMessage({ type: 'reheat', alpha });
+    }
+
+    /**
+     * Set the energy outright rather than only raising it,
+     * e.g. low so a restored layout stays as it was saved
+     * @param {number} alpha - Simulation energy (0..1)
+     */
+    setAlpha(alpha) {
+        this.physics.alpha = alpha;
+        if (!this.worker) return;
+
+        if (this.nodes.length > 0) this.settled = false;
+        this.worker.postMessage({ type: 'alpha', alpha });
+    }
+
+    /**
+     * Hold a node at its current position (while it is dragged)
+     * @param {Object} node - Graph node
+     */
+    pin(node) {
+        this.pinned = node;
+        if (!this.worker || !this.indexById.has(node.id)) return;
+
+        this.settled = false;
+        this.worker.postMessage({
+            type: 'pin',
+            version: this.version,
+            index: this.indexById.get(node.id),
+            x: node.x,
+            y: node.y
+        });
+    }
+
+    /**
+     * Apply a change to node.fixed (a pinned node stays put until unpinned)
+     * @param {Object} node - Graph node
+     */
+    setFixed(node) {
+        // Neighbours settle around a new pin, or the node rejoins the layout
+        this.reheat(this.config.physics.alphaDrag);
+        if (!this.worker || !this.indexById.has(node.id)) return;
+
+        this.worker.postMessage({
+            type: 'fix',
+            version: this.version,
+            index: this.indexById.get(node.id),
+            fixed: !!node.fixed,
+            x: node.x,
+            y: node.y
+        });
+    }
+
+    unpin() {
+        this.pinned = null;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'unpin' });
+        }
+    }
+
+    resize() {
+        if (!this.worker) return;
+
+        const bounds = this.getBounds();
+        this.worker.postMessage({ type: 'resize', width: bounds.width, height: bounds.height });
+    }
+
+    destroy() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// Export for global access
+window.GraphSimulation = GraphSimulation;
@@ -0,0 +1,218 @@
+// NoteMesh Graph SVG Context
+// Records the canvas drawing calls GraphRenderUtils makes as SVG elements
+
+class GraphSvgContext {
+    /**
+     * @param {number} width - Drawing width in CSS pixels
+     * @param {number} height - Drawing height in CSS pixels
+     * @param {CanvasRenderingContext2D} measureCtx - Real context used to measure text
+     */
+    constructor(width, height, measureCtx) {
+        this.width = width;
+        this.height = height;
+        this.measureCtx = measureCtx;
+        this.elements = [];
+        this.path = [];
+        this.lineDash = [];
+        this.transform = { x: 0, y: 0, scale: 1 };
+        this.stack = [];
+
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.globalAlpha = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+    }
+
+    // State
+
+    save() {
+        this.stack.push({
+            transform: { ...this.transform },
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            lineDash: this.lineDash,
+            globalAlpha: this.globalAlpha,
+            font: this.font,
+            textAlign: this.textAlign,
+            textBaseline: this.textBaseline
+        });
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    translate(x, y) {
+        this.transform.x += x * this.transform.scale;
+        this.transform.y += y * this.transform.scale;
+    }
+
+    // Only uniform scaling is used by the renderer
+    scale(x) {
+        this.transform.scale *= x;
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    measureText(text) {
+        this.measureCtx.font = this.font;
+        return this.measureCtx.measureText(text);
+    }
+
+    // Paths
+
+    beginPath() {
+        this.path = [];
+    }
+
+    moveTo(x, y) {
+        this.path.push(`M${this.round(x)} ${this.round(y)}`);
+    }
+
+    lineTo(x, y) {
+        this.path.push(`L${this.round(x)} ${this.round(y)}`);
+    }
+
+    closePath() {
+        this.path.push('Z');
+    }
+
+    // Full circles become two half arcs; partial arcs a single arc command
+    arc(x, y, radius, startAngle, endAngle) {
+        const r = this.round(radius);
+        const point = angle => `${this.round(x + radius * Math.cos(angle))} ${this.round(y + radius * Math.sin(angle))}`;
+
+        if (endAngle - startAngle >= 2 * Math.PI) {
+            this.path.push(
+                `M${point(startAngle)}`,
+                `A${r} ${r} 0 1 1 ${point(startAngle + Math.PI)}`,
+                `A${r} ${r} 0 1 1 ${point(startAngle)}`,
+                'Z'
+            );
+            return;
+        }
+
+        const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+        this.path.push(
+            `${this.path.length > 0 ? 'L' : 'M'}${point(startAngle)}`,
+            `A${r} ${r} 0 ${largeArc} 1 ${point(endAngle)}`
+        );
+    }
+
+    fill() {
+        if (this.path.length === 0) return;
+        this.addElement('path', { d: this.path.join(' '), ...this.paint('fill', this.fillStyle) });
+    }
+
+    stroke() {
+        if (this.path.length === 0) return;
+        this.addElement('path', {
+            d: this.path.join(' '),
+            fill: 'none',
+            ...this.paint('stroke', this.strokeStyle),
+            'stroke-width': this.lineWidth,
+            'stroke-dasharray': this.lineDash.length > 0 ? this.lineDash.join(' ') : null
+        });
+    }
+
+    // Rectangles and text
+
+    fillRect(x, y, width, height) {
+        this.addElement('rect', {
+            x: this.round(x),
+            y: this.round(y),
+            width: this.round(width),
+            height: this.round(height),
+            ...this.paint('fill', this.fillStyle)
+        });
+    }
+
+    strokeRect(x, y, width, height) {
+        this.addElement('rect', {
+            x: this.round(x),
+            y: this.round(y),
+            width: this.round(width),
+            height: this.round(height),
+            fill: 'none',
+            ...this.paint('stroke', this.strokeStyle),
+            'stroke-width': this.lineWidth
+        });
+    }
+
+    // Nothing is drawn before clearing in an export, so there is nothing to remove
+    clearRect() {}
+
+    fillText(text, x, y) {
+        const anchors = { center: 'middle', right: 'end', end: 'end' };
+        const baselines = { middle: 'central', top: 'hanging', hanging: 'hanging', bottom: 'text-after-edge' };
+
+        this.addElement('text', {
+            x: this.round(x),
+            y: this.round(y),
+            'text-anchor': anchors[this.textAlign] || 'start',
+            'dominant-baseline': baselines[this.textBaseline] || null,
+            style: `font: ${this.font}`,
+            ...this.paint('fill', this.fillStyle)
+        }, GraphExport.escapeXml(text));
+    }
+
+    // Output
+
+    /**
+     * Paint attributes for a colour; rgba() colours are split into
+     * rgb() plus an opacity, which more SVG editors understand
+     * @param {string} attribute - 'fill' or 'stroke'
+     * @param {string} color - CSS colour
+     * @returns {Object} Attributes
+     */
+    paint(attribute, color) {
+        const match = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(color);
+        const alpha = (match ? parseFloat(match[4]) : 1) * this.globalAlpha;
+
+        return {
+            [attribute]: match ? `rgb(${match[1]}, ${match[2]}, ${match[3]})` : color,
+            [`${attribute}-opacity`]: alpha < 1 ? alpha : null
+        };
+    }
+
+    addElement(tag, attributes, text = null) {
+        const { x, y, scale } = this.transform;
+        if (x !== 0 || y !== 0 || scale !== 1) {
+            attributes.transform = `matrix(${this.round(scale, 4)} 0 0 ${this.round(scale, 4)} ${this.round(x)} ${this.round(y)})`;
+        }
+
+        const attrs = Object.entries(attributes)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => `${name}="${GraphExport.escapeXml(String(value))}"`)
+            .join(' ');
+
+        this.elements.push(text === null ? `<${tag} ${attrs}/>` : `<${tag} ${attrs}>${text}</${tag}>`);
+    }
+
+    round(value, digits = 2) {
+        return Number(value.toFixed(digits));
+    }
+
+    /**
+     * The recorded drawing as a standalone SVG document
+     * @returns {string} SVG markup
+     */
+    toString() {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            ...this.elements.map(element => `  ${element}`),
+            '</svg>'
+        ].join('\n');
+    }
+}
+
+// Export for global access
+window.GraphSvgContext = GraphSvgContext;
@@ -0,0 +1,88 @@
+/* Draft Manager
+   Autosaved editor contents, kept until the note is saved or the draft discarded
+*/
+
+class DraftManager {
+    constructor(storage) {
+        this.storage = storage;
+        this.drafts = new Map(); // draft id -> { id, noteId, title, content, tags, savedAt, baseUpdatedAt }
+    }
+
+    /**
+     * Draft id for an editor session: one per existing note, a fresh one for each new note
+     * @param {string|null} noteId - Note being edited, or null for a new note
+     * @returns {string} Draft id
+     */
+    static draftId(noteId) {
+        if (noteId) return `note:${noteId}`;
+        return `new:${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+    }
+
+    serializeDraft(draft) {
+        return {
+            ...draft,
+            savedAt: draft.savedAt.toISOString(),
+            baseUpdatedAt: draft.baseUpdatedAt ? draft.baseUpdatedAt.toISOString() : null
+        };
+    }
+
+    deserializeDraft(record) {
+        return {
+            ...record,
+            savedAt: new Date(record.savedAt),
+            baseUpdatedAt: record.baseUpdatedAt ? new Date(record.baseUpdatedAt) : null
+        };
+    }
+
+    async load() {
+        const records = await this.storage.getAll('drafts');
+
+        this.drafts.clear();
+        records.forEach(record => this.drafts.set(record.id, this.deserializeDraft(record)));
+    }
+
+    get(id) {
+        return this.drafts.get(id) || null;
+    }
+
+    getForNote(noteId) {
+        return this.get(`note:${noteId}`);
+    }
+
+    /**
+     * Stored drafts, most recently saved first
+     * @returns {Array<Object>} Drafts
+     */
+    getAll() {
+        return Array.from(this.drafts.values()).sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Keep a draft in memory (caller persists via save)
+     * @param {Object} draft - { id, noteId, title, content, tags, savedAt, baseUpdatedAt }
+     */
+    add(draft) {
+        this.drafts.set(draft.id, draft);
+    }
+
+    remove(id) {
+        const draft = this.drafts.get(id);
+        this.drafts.delete(id);
+        return draft || null;
+    }
+
+    async save(draft) {
+        await this.storage.put('drafts', this.serializeDraft(draft));
+    }
+
+    async delete(id) {
+        await this.storage.delete('drafts', id);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DraftManager;
+} else {
+    window.DraftManager = DraftManager;
+}
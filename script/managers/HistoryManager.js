@@ -0,0 +1,96 @@
+/* History Manager
+   Records note revisions and enforces the revision retention limit
+*/
+
+const DEFAULT_REVISION_LIMIT = 50;
+
+class HistoryManager {
+    constructor(storage) {
+        this.storage = storage;
+        // NoteManager loads and saves the vault's own limit (see setRevisionLimit)
+        this.limit = DEFAULT_REVISION_LIMIT;
+    }
+
+    /**
+     * Set how many revisions are kept per note (0 keeps every revision)
+     * @param {number} limit - Revisions to keep
+     */
+    setLimit(limit) {
+        this.limit = Math.max(0, parseInt(limit, 10) || 0);
+    }
+
+    getLimit() {
+        return this.limit;
+    }
+
+    /**
+     * Capture the versioned fields of a note
+     * @param {Note} note - Note to snapshot
+     * @returns {Object} Revision record
+     */
+    static snapshot(note) {
+        return {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 6),
+            title: note.title,
+            content: note.content,
+            tags: [...note.tags],
+            timestamp: new Date(note.updatedAt).toISOString()
+        };
+    }
+
+    static isSameVersion(a, b) {
+        return a.title === b.title &&
+            a.content === b.content &&
+            a.tags.join('\u0000') === b.tags.join('\u0000');
+    }
+
+    /**
+     * Read a note's revisions, oldest first
+     * @param {string} noteId - Note id
+     * @returns {Promise<Array>} Revisions
+     */
+    async getRevisions(noteId) {
+        const record = await this.storage.get('revisions', noteId);
+        return record ? record.revisions : [];
+    }
+
+    /**
+     * Append a revision to a note's history.
+     * Snapshots are taken by the caller at save time, because writes are queued
+     * and the note may have changed again before this runs.
+     * @param {string} noteId - Note id
+     * @param {Object} current - Snapshot of the note after the change
+     * @param {Object} previous - Snapshot taken before the change, used to seed
+     *                            the history of notes saved before history existed
+     * @returns {Promise<void>}
+     */
+    async record(noteId, current, previous = null) {
+        const record = await this.storage.get('revisions', noteId) || { id: noteId, revisions: [] };
+        const revisions = record.revisions;
+
+        if (revisions.length === 0 && previous) {
+            revisions.push(previous);
+        }
+
+        const latest = revisions[revisions.length - 1];
+        if (latest && HistoryManager.isSameVersion(latest, current)) return;
+
+        revisions.push(current);
+        if (this.limit > 0 && revisions.length > this.limit) {
+            revisions.splice(0, revisions.length - this.limit);
+        }
+
+        await this.storage.put('revisions', record);
+    }
+
+    async remove(noteId) {
+        await this.storage.delete('revisions', noteId);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryManager;
+} else {
+    window.HistoryManager = HistoryManager;
+}
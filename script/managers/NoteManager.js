@@ -2,16 +2,43 @@
    Handles all note operations, storage, and business logic
 */
 
+// Vault setting holding HistoryManager's revisions-per-note limit
+const REVISION_LIMIT_SETTING = 'revisionLimit';
+
+// Front matter keys that Markdown vault files map to note fields
+const VAULT_FIELD_KEYS = ['id', 'title', 'tags', 'createdAt', 'created', 'updatedAt', 'updated', 'modified'];
+
 class NoteManager {
-    constructor() {
+    constructor(storage = NoteManager.createDefaultStorage()) {
         this.notes = new Map();
         this.listeners = new Map();
-        this.loadNotes();
+        this.storage = storage;
+        this.writeQueue = Promise.resolve();
+        this.searchIndex = new SearchIndex(this);
+        this.history = new HistoryManager(storage);
+        this.trash = new TrashManager(storage);
+        this.drafts = new DraftManager(storage);
+        this.undoManager = new UndoManager();
+        this.ready = this.loadNotes();
+    }
+
+    static createDefaultStorage() {
+        if (typeof IndexedDBStorageAdapter !== 'undefined' && IndexedDBStorageAdapter.isSupported()) {
+            return new IndexedDBStorageAdapter();
+        }
+        if (typeof LocalStorageAdapter !== 'undefined' && LocalStorageAdapter.isSupported()) {
+            return new LocalStorageAdapter();
+        }
+        // Nothing is saved; UIManager warns about this for as long as the page is open
+        return new MemoryStorageAdapter();
     }
 
     addNote(note) {
+        const before = this.captureStates([note.id]);
         this.notes.set(note.id, note);
-        this.saveNotes();
+        this.saveNote(note);
+        this.recordRevision(note);
+        this.recordChange('Add note', before);
         this.emit('noteAdded', note);
         this.emit('notesChanged');
     }
@@ -20,31 +47,488 @@ class NoteManager {
         const note = this.notes.get(id);
         if (!note) return false;
 
+        const before = this.captureStates([id]);
+        const previous = HistoryManager.snapshot(note);
         Object.assign(note, updates);
         note.updatedAt = new Date();
         
         if (updates.content) {
             note.links = note.extractLinks(updates.content);
+            note.relations = note.extractRelations(updates.content);
             note.wordCount = note.calculateWordCount(updates.content);
         }
 
-        this.saveNotes();
+        this.saveNote(note);
+        this.recordRevision(note, previous);
+        this.recordChange('Edit note', before);
         this.emit('noteUpdated', note);
         this.emit('notesChanged');
         return true;
     }
 
+    /**
+     * Move a note to the trash. Its revisions stay until it is deleted for good.
+     * @param {string} id - Note id
+     * @returns {boolean} Success status
+     */
     deleteNote(id) {
         const note = this.notes.get(id);
         if (!note) return false;
 
+        const before = this.captureStates([id]);
+        const entry = {
+            note,
+            deletedAt: new Date(),
+            backlinks: this.getNotesLinkingTo(note.title)
+                .filter(linking => linking.id !== id)
+                .map(linking => ({ id: linking.id, title: linking.title }))
+        };
+
         this.notes.delete(id);
-        this.saveNotes();
+        this.trash.add(entry);
+        this.removeStoredNote(id);
+        this.persist(() => this.trash.save(entry));
+        this.recordChange('Delete note', before);
         this.emit('noteDeleted', { id, note });
+        this.emit('trashChanged');
         this.emit('notesChanged');
         return true;
     }
 
+    // Drafts
+
+    /**
+     * Autosave what is typed in the editor
+     * @param {Object} draft - { id, noteId, title, content, tags, baseUpdatedAt }
+     *   where baseUpdatedAt is the note's updatedAt when editing started
+     */
+    saveDraft(draft) {
+        const entry = { ...draft, savedAt: new Date() };
+        this.drafts.add(entry);
+        return this.persist(() => this.drafts.save(entry));
+    }
+
+    /**
+     * Drop a draft once its note is saved, or when it isn't wanted
+     * @param {string} id - Draft id
+     * @returns {boolean} Whether there was a draft
+     */
+    discardDraft(id) {
+        if (!this.drafts.remove(id)) return false;
+
+        this.persist(() => this.drafts.delete(id));
+        return true;
+    }
+
+    getDraft(id) {
+        return this.drafts.get(id);
+    }
+
+    getDraftForNote(noteId) {
+        return this.drafts.getForNote(noteId);
+    }
+
+    getDrafts() {
+        return this.drafts.getAll();
+    }
+
+    /**
+     * How a draft relates to its note now
+     * @param {Object} draft - Stored draft
+     * @returns {string} 'new' (draft of a note never saved), 'current', 'changed'
+     *   (the note was saved after the draft was taken) or 'deleted'
+     */
+    getDraftStatus(draft) {
+        if (!draft.noteId) return 'new';
+
+        const note = this.notes.get(draft.noteId);
+        if (!note) return 'deleted';
+        if (draft.baseUpdatedAt && new Date(note.updatedAt) > draft.baseUpdatedAt) return 'changed';
+        return 'current';
+    }
+
+    // Trash
+
+    getTrashedNotes() {
+        return this.trash.getAll();
+    }
+
+    /**
+     * Move a note out of the trash
+     * @param {string} id - Note id
+     * @returns {boolean} Success status
+     */
+    restoreNote(id) {
+        if (!this.trash.has(id) || this.notes.has(id)) return false;
+
+        const before = this.captureStates([id]);
+        const { note } = this.trash.remove(id);
+        this.notes.set(id, note);
+        this.saveNote(note);
+        this.persist(() => this.trash.delete(id));
+        this.recordChange('Restore note', before);
+        this.emit('noteRestored', note);
+        this.emit('trashChanged');
+        this.emit('notesChanged');
+        return true;
+    }
+
+    /**
+     * Delete a trashed note and its revisions for good
+     * @param {string} id - Note id
+     * @returns {boolean} Success status
+     */
+    deleteNotePermanently(id) {
+        if (!this.trash.remove(id)) return false;
+
+        this.persist(async () => {
+            await this.trash.delete(id);
+            await this.history.remove(id);
+        });
+        this.forgetChanges([id]);
+        this.emit('trashChanged');
+        return true;
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     * @returns {number} Notes deleted
+     */
+    emptyTrash() {
+        const entries = this.trash.removeAll();
+        if (entries.length === 0) return 0;
+
+        this.persist(async () => {
+            await this.trash.clearStored();
+            for (const { note } of entries) {
+                await this.history.remove(note.id);
+            }
+        });
+        this.forgetChanges(entries.map(({ note }) => note.id));
+        this.emit('trashChanged');
+        return entries.length;
+    }
+
+    /**
+     * Permanently delete trashed notes older than the retention period
+     * @param {Date} now - Reference time
+     * @returns {number} Notes purged
+     */
+    purgeExpiredTrash(now = new Date()) {
+        const expired = this.trash.getExpired(now);
+        expired.forEach(({ note }) => this.deleteNotePermanently(note.id));
+        return expired.length;
+    }
+
+    /**
+     * Notes that contain a [[link]] to the given title (case-insensitive)
+     * @param {string} title - Linked title
+     * @returns {Array<Note>} Linking notes
+     */
+    getNotesLinkingTo(title) {
+        const target = title.trim().toLowerCase();
+        return this.getAllNotes().filter(note =>
+            note.links.some(link => link.toLowerCase() === target)
+        );
+    }
+
+    /**
+     * Point every [[oldTitle]] link at newTitle, preserving |alias text.
+     * All touched notes are saved in one batch followed by a single notesChanged.
+     * @param {string} oldTitle - Previous note title
+     * @param {string} newTitle - New note title
+     * @returns {Object} { notesUpdated, linksUpdated }
+     */
+    rewriteLinks(oldTitle, newTitle) {
+        const changed = [];
+        let linksUpdated = 0;
+        const linkingNotes = this.getNotesLinkingTo(oldTitle);
+        const before = this.captureStates(linkingNotes.map(note => note.id));
+
+        linkingNotes.forEach(note => {
+            const { content, count } = Note.renameLinks(note.content, oldTitle, newTitle);
+            if (count === 0) return;
+
+            const previous = HistoryManager.snapshot(note);
+            note.updateContent(content);
+            this.recordRevision(note, previous);
+            changed.push(note);
+            linksUpdated += count;
+        });
+
+        if (changed.length > 0) {
+            this.saveNotes(changed);
+            this.recordChange('Update links', before);
+            this.emit('notesUpdated', changed);
+            this.emit('notesChanged');
+        }
+
+        return { notesUpdated: changed.length, linksUpdated };
+    }
+
+    // Unlinked mentions
+
+    /**
+     * Notes that mention a note's title or aliases in plain text, without a [[link]]
+     * @param {string} noteId - Mentioned note
+     * @returns {Array<Object>} { note, mentions } (see Note.findMentions), most mentions first
+     */
+    getUnlinkedMentions(noteId) {
+        const target = this.notes.get(noteId);
+        if (!target) return [];
+
+        const terms = [target.title, ...target.getAliases()];
+        const lowerTerms = terms.map(term => term.trim().toLowerCase());
+        return this.getAllNotes()
+            .filter(note => note.id !== noteId)
+            .filter(note => lowerTerms.some(term => note.content.toLowerCase().includes(term)))
+            .map(note => ({ note, mentions: Note.findMentions(note.content, terms) }))
+            .filter(({ mentions }) => mentions.length > 0)
+            .sort((a, b) => b.mentions.length - a.mentions.length);
+    }
+
+    /**
+     * Likely missing links across the vault: every pair of notes where one
+     * mentions the other's title or aliases without linking to it
+     * @returns {Array<Object>} { source, target, mentions }, most mentions first
+     */
+    getMissingLinks() {
+        const notes = this.getAllNotes();
+        // A cheap substring test rules out most pairs before the full scan
+        const lowered = new Map(notes.map(note => [note.id, note.content.toLowerCase()]));
+        const report = [];
+
+        notes.forEach(target => {
+            const terms = [target.title, ...target.getAliases()];
+            const lowerTerms = terms.map(term => term.trim().toLowerCase()).filter(term => term.length > 1);
+            if (lowerTerms.length === 0) return;
+
+            notes.forEach(source => {
+                if (source.id === target.id) return;
+                if (!lowerTerms.some(term => lowered.get(source.id).includes(term))) return;
+
+                const mentions = Note.findMentions(source.content, terms);
+                if (mentions.length > 0) report.push({ source, target, mentions });
+            });
+        });
+
+        return report.sort((a, b) =>
+            b.mentions.length - a.mentions.length || a.target.title.localeCompare(b.target.title)
+        );
+    }
+
+    /**
+     * Turn unlinked mentions of one note into [[links]] inside another
+     * @param {string} sourceId - Note containing the mentions
+     * @param {string} targetId - Mentioned note
+     * @param {number|null} start - Offset of the single mention to link, or null for all of them
+     * @returns {number} Mentions linked
+     */
+    linkMentions(sourceId, targetId, start = null) {
+        const source = this.notes.get(sourceId);
+        const target = this.notes.get(targetId);
+        if (!source || !target || source === target) return 0;
+
+        const mentions = Note.findMentions(source.content, [target.title, ...target.getAliases()])
+            .filter(mention => start === null || mention.start === start);
+        if (mentions.length === 0) return 0;
+
+        const before = this.captureStates([sourceId]);
+        const previous = HistoryManager.snapshot(source);
+        source.updateContent(Note.linkMentions(source.content, mentions, target.title));
+        this.recordRevision(source, previous);
+
+        this.saveNote(source);
+        this.recordChange(`Link mentions of "${target.title}"`, before);
+        this.emit('notesUpdated', [source]);
+        this.emit('notesChanged');
+        return mentions.length;
+    }
+
+    // Bulk tag operations (tags match case-insensitively, like getNotesWithTag)
+
+    /**
+     * Rename a tag on every note carrying it; notes that already have the
+     * new tag keep a single copy
+     * @param {string} oldTag - Tag to rename
+     * @param {string} newTag - Replacement tag
+     * @returns {number} Notes changed
+     */
+    renameTag(oldTag, newTag) {
+        const target = newTag.trim();
+        if (!target || target === oldTag) return 0;
+
+        return this.updateTagsOfNotes(`Rename tag "${oldTag}"`, oldTag, tags => [
+            ...new Set(tags.map(tag => tag.toLowerCase() === oldTag.toLowerCase() ? target : tag))
+        ]);
+    }
+
+    /**
+     * Remove a tag from every note carrying it
+     * @param {string} tag - Tag to remove
+     * @returns {number} Notes changed
+     */
+    removeTag(tag) {
+        return this.updateTagsOfNotes(`Remove tag "${tag}"`, tag, tags =>
+            tags.filter(noteTag => noteTag.toLowerCase() !== tag.toLowerCase())
+        );
+    }
+
+    updateTagsOfNotes(label, tag, transform) {
+        const notes = this.getNotesWithTag(tag);
+        if (notes.length === 0) return 0;
+
+        const before = this.captureStates(notes.map(note => note.id));
+        notes.forEach(note => {
+            const previous = HistoryManager.snapshot(note);
+            note.updateTags(transform(note.tags));
+            this.recordRevision(note, previous);
+        });
+
+        this.saveNotes(notes);
+        this.recordChange(label, before);
+        this.emit('notesUpdated', notes);
+        this.emit('notesChanged');
+        return notes.length;
+    }
+
+    // Undo / redo
+    // A change is recorded as the state of every note it touched, before and
+    // after: { note, trash } holding the serialized live note and trash entry
+    // (null when absent). Undo and redo write one set of states back.
+
+    captureState(id) {
+        const note = this.notes.get(id);
+        const trashEntry = this.trash.get(id);
+        return {
+            note: note ? note.serialize() : null,
+            trash: trashEntry ? this.trash.serializeEntry(trashEntry) : null
+        };
+    }
+
+    captureStates(ids) {
+        return new Map(ids.map(id => [id, this.captureState(id)]));
+    }
+
+    recordChange(label, before) {
+        const after = this.captureStates(Array.from(before.keys()));
+        this.undoManager.push({
+            label,
+            ids: Array.from(before.keys()),
+            undo: () => this.restoreStates(before),
+            redo: () => this.restoreStates(after)
+        });
+        this.emit('undoChanged');
+    }
+
+    // Notes deleted for good can't be brought back by undo or redo
+    forgetChanges(ids) {
+        if (this.undoManager.forget(ids) > 0) this.emit('undoChanged');
+    }
+
+    /**
+     * Revert the most recent change
+     * @returns {Object|null} The undone command ({ label }), or null if there was nothing to undo
+     */
+    undo() {
+        const command = this.undoManager.undo();
+        if (command) this.emit('undoChanged');
+        return command;
+    }
+
+    /**
+     * Re-apply the most recently undone change
+     * @returns {Object|null} The redone command ({ label }), or null if there was nothing to redo
+     */
+    redo() {
+        const command = this.undoManager.redo();
+        if (command) this.emit('undoChanged');
+        return command;
+    }
+
+    canUndo() {
+        return this.undoManager.canUndo();
+    }
+
+    canRedo() {
+        return this.undoManager.canRedo();
+    }
+
+    /**
+     * Put notes back into captured states (the undo and redo path). Emits a
+     * single notesReverted rather than the per-note events, so listeners can
+     * tell an undo from a fresh change.
+     * @param {Map} states - Note id -> { note, trash } from captureStates
+     */
+    restoreStates(states) {
+        const reverted = { added: [], updated: [], removed: [] };
+        states.forEach((state, id) => {
+            const existing = this.notes.get(id);
+            const record = state.note;
+
+            if (state.trash) {
+                const entry = this.trash.deserializeEntry(state.trash);
+                this.trash.add(entry);
+                this.persist(() => this.trash.save(entry));
+            } else if (this.trash.remove(id)) {
+                this.persist(() => this.trash.delete(id));
+            }
+
+            if (!record) {
+                if (!existing) return;
+                this.notes.delete(id);
+                this.removeStoredNote(id);
+                reverted.removed.push({ id, note: existing });
+                return;
+            }
+
+            const note = Note.deserialize(record);
+            this.notes.set(id, note);
+            this.saveNote(note);
+            this.recordRevision(note, existing ? HistoryManager.snapshot(existing) : null);
+            (existing ? reverted.updated : reverted.added).push(note);
+        });
+        this.emit('notesReverted', reverted);
+        this.emit('trashChanged');
+        this.emit('notesChanged');
+    }
+
+    // Version history
+
+    /**
+     * Revisions of a note, oldest first
+     * @param {string} id - Note id
+     * @returns {Promise<Array>} Revisions: { id, title, content, tags, timestamp }
+     */
+    async getRevisions(id) {
+        await this.flush();
+        return this.history.getRevisions(id);
+    }
+
+    // Store the note's current state as a revision; previous is its snapshot before the change
+    recordRevision(note, previous = null) {
+        const current = HistoryManager.snapshot(note);
+        return this.persist(() => this.history.record(note.id, current, previous));
+    }
+
+    /**
+     * Restore a note to an earlier revision (recorded as a new revision)
+     * @param {string} id - Note id
+     * @param {string} revisionId - Revision to restore
+     * @returns {Promise<boolean>} Success status
+     */
+    async restoreRevision(id, revisionId) {
+        const revisions = await this.getRevisions(id);
+        const revision = revisions.find(r => r.id === revisionId);
+        if (!revision) return false;
+
+        return this.updateNote(id, {
+            title: revision.title,
+            content: revision.content,
+            tags: [...revision.tags]
+        });
+    }
+
     getNote(id) {
         return this.notes.get(id);
     }
@@ -55,7 +539,16 @@ class NoteManager {
 
     searchNotes(query) {
         if (!query.trim()) return this.getAllNotes();
-        return this.getAllNotes().filter(note => note.matches(query));
+        return this.search(query).map(hit => hit.note);
+    }
+
+    /**
+     * Ranked full-text search (see SearchQuery for the supported syntax)
+     * @param {string} query - Search query
+     * @returns {Array<Object>} Hits: { note, score, terms }
+     */
+    search(query) {
+        return this.searchIndex.search(query);
     }
 
     getNotesWithTag(tag) {
@@ -129,57 +622,431 @@ class NoteManager {
     }
 
     exportNotes() {
-        const data = {
-            notes: Array.from(this.notes.values()).map(note => note.serialize()),
-            exportDate: new Date().toISOString(),
-            version: '1.0'
-        };
-        return JSON.stringify(data, null, 2);
+        return JSON.stringify(NoteSchema.createEnvelope(this.getAllNotes()), null, 2);
     }
 
+    /**
+     * Import a JSON export, resolving collisions with the default strategy
+     * (see previewImport/applyImport for interactive resolution)
+     * @param {string} jsonData - Contents of a NoteMesh JSON export
+     * @returns {Object} Import report (see applyImport)
+     */
     importNotes(jsonData) {
         try {
-            const data = JSON.parse(jsonData);
-            if (data.notes && Array.isArray(data.notes)) {
-                data.notes.forEach(noteData => {
-                    const note = Note.deserialize(noteData);
-                    this.notes.set(note.id, note);
-                });
-                this.saveNotes();
-                this.emit('notesChanged');
-                return true;
-            }
+            const records = NoteManager.parseNotesExport(jsonData);
+            return this.applyImport(this.previewImport(records));
         } catch (error) {
             console.error('Import failed:', error);
+            return { ...NoteManager.createImportReport(0), errors: [error.message] };
         }
-        return false;
     }
 
-    saveNotes() {
-        try {
-            const data = Array.from(this.notes.values()).map(note => note.serialize());
-            localStorage.setItem('notemesh_notes', JSON.stringify(data));
-            localStorage.setItem('notemesh_lastSaved', new Date().toISOString());
-        } catch (error) {
-            console.error('Failed to save notes:', error);
+    /**
+     * Read the note records out of a JSON export of any supported version
+     * @param {string} jsonData - Contents of a NoteMesh JSON export
+     * @returns {Array<Object>} Serialized note records, stamped with their schema version
+     */
+    static parseNotesExport(jsonData) {
+        return NoteSchema.readEnvelope(JSON.parse(jsonData));
+    }
+
+    // Import conflict resolution
+    //   new          no local note with the same id or title
+    //   identical    same title, content and tags as the local note
+    //   newer/older  same id, incoming was updated after/before the local note
+    //   conflicting  same title but a different id, or same timestamp with different content
+    //   invalid      record failed schema validation and is always rejected
+
+    static defaultResolution(status) {
+        return {
+            new: 'take-incoming',
+            identical: 'keep-local',
+            newer: 'take-incoming',
+            older: 'keep-local',
+            conflicting: 'keep-both'
+        }[status];
+    }
+
+    static createImportReport(total) {
+        return { total, added: 0, updated: 0, merged: 0, keptBoth: 0, skipped: 0, rejected: 0, errors: [], items: [] };
+    }
+
+    /**
+     * Classify incoming records against the vault without changing anything.
+     * Records are migrated to the current schema first; malformed ones come
+     * back as 'invalid' items carrying the validation errors.
+     * @param {Array<Object>} records - Serialized notes (id may be missing)
+     * @returns {Array<Object>} Items: { incoming, local, matchedBy, status, resolution, errors }
+     */
+    previewImport(records) {
+        const notesByTitle = new Map(this.getAllNotes().map(note => [note.title.toLowerCase(), note]));
+        const { valid, invalid } = NoteSchema.prepare(records);
+
+        const rejected = invalid.map(({ record, errors }) => ({
+            incoming: null,
+            record,
+            local: null,
+            matchedBy: null,
+            status: 'invalid',
+            resolution: 'reject',
+            errors
+        }));
+
+        return valid.map(record => {
+            const incoming = Note.deserialize(record);
+            let local = record.id ? this.notes.get(record.id) || null : null;
+            let matchedBy = local ? 'id' : null;
+
+            if (!local) {
+                local = notesByTitle.get(incoming.title.toLowerCase()) || null;
+                matchedBy = local ? 'title' : null;
+            }
+
+            const status = this.classifyImport(incoming, local, matchedBy);
+            return { incoming, local, matchedBy, status, resolution: NoteManager.defaultResolution(status) };
+        }).concat(rejected);
+    }
+
+    classifyImport(incoming, local, matchedBy) {
+        if (!local) return 'new';
+        if (HistoryManager.isSameVersion(local, incoming)) {
+            return 'identical';
         }
+        if (matchedBy === 'title') return 'conflicting';
+
+        const age = incoming.updatedAt - local.updatedAt;
+        if (age > 0) return 'newer';
+        if (age < 0) return 'older';
+        return 'conflicting';
     }
 
-    loadNotes() {
+    /**
+     * Apply an import preview. Each item's `resolution` is one of
+     * 'keep-local', 'take-incoming', 'keep-both' or 'merge'.
+     * @param {Array<Object>} preview - Items from previewImport (resolutions may be edited)
+     * @returns {Object} Report: { total, added, updated, merged, keptBoth, skipped, rejected, errors, items }
+     */
+    applyImport(preview) {
+        const report = NoteManager.createImportReport(preview.length);
+        const touched = [];
+        const before = new Map();
+        const remember = (id) => {
+            if (!before.has(id)) before.set(id, this.captureState(id));
+        };
+
+        preview.forEach(({ incoming, local, status, resolution, record, errors }) => {
+            let note = null;
+
+            if (status === 'invalid') {
+                const title = NoteManager.describeRecord(record);
+                report.rejected++;
+                report.errors.push(`${title}: ${errors.join(', ')}`);
+                report.items.push({ title, status, resolution: 'reject', noteId: null, errors });
+                return;
+            }
+
+            if (resolution === 'take-incoming' && !local) {
+                note = incoming;
+                remember(note.id);
+                // An incoming note replaces a trashed note with the same id
+                if (this.trash.remove(note.id)) {
+                    this.persist(() => this.trash.delete(note.id));
+                }
+                this.notes.set(note.id, note);
+                this.recordRevision(note);
+                report.added++;
+            } else if (resolution === 'take-incoming') {
+                remember(local.id);
+                const previous = HistoryManager.snapshot(local);
+                // updateContent re-derives links, relations and the word count
+                local.updateContent(incoming.content);
+                local.title = incoming.title;
+                local.tags = [...incoming.tags];
+                local.updatedAt = incoming.updatedAt;
+                note = local;
+                this.recordRevision(note, previous);
+                report.updated++;
+            } else if (resolution === 'merge' && local) {
+                remember(local.id);
+                const previous = HistoryManager.snapshot(local);
+                local.updateContent(DiffUtils.mergeLines(local.content, incoming.content));
+                local.tags = [...new Set([...local.tags, ...incoming.tags])];
+                note = local;
+                this.recordRevision(note, previous);
+                report.merged++;
+            } else if (resolution === 'keep-both') {
+                const titleTaken = this.getAllNotes().some(existing =>
+                    existing.title.toLowerCase() === incoming.title.toLowerCase()
+                );
+                note = new Note(
+                    titleTaken ? `${incoming.title} (imported)` : incoming.title,
+                    incoming.content,
+                    [...incoming.tags]
+                );
+                note.createdAt = incoming.createdAt;
+                note.updatedAt = incoming.updatedAt;
+                remember(note.id);
+                this.notes.set(note.id, note);
+                this.recordRevision(note);
+                report.keptBoth++;
+            } else {
+                report.skipped++;
+            }
+
+            if (note) touched.push(note);
+            report.items.push({
+                title: incoming.title,
+                status,
+                resolution: note ? resolution : 'keep-local',
+                noteId: note ? note.id : local && local.id
+            });
+        });
+
+        if (touched.length > 0) {
+            this.saveNotes(touched);
+            this.recordChange('Import', before);
+            this.emit('notesImported', touched);
+            this.emit('trashChanged');
+            this.emit('notesChanged');
+        }
+
+        return report;
+    }
+
+    // Markdown vaults (folders of .md files with YAML front matter)
+
+    /**
+     * Export every note as a .md file with front matter, bundled in a zip
+     * @returns {Uint8Array} Zip archive bytes
+     */
+    exportMarkdownVault() {
+        const usedNames = new Set();
+
+        const files = this.getAllNotes().map(note => {
+            const baseName = FileUtils.sanitizeFilename(note.title);
+            let name = baseName;
+            for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+                name = `${baseName} (${n})`;
+            }
+            usedNames.add(name.toLowerCase());
+
+            // The file name is the title; only spell it out when it had to change
+            const fields = {
+                id: note.id,
+                title: name !== note.title ? note.title : undefined,
+                tags: note.tags,
+                createdAt: note.createdAt.toISOString(),
+                updatedAt: note.updatedAt.toISOString()
+            };
+            // The note's own front matter (aliases, relations) goes in the same block
+            const { lines, body } = FrontMatterUtils.split(note.content);
+            const ownLines = FrontMatterUtils.withoutKeys(lines || [], VAULT_FIELD_KEYS);
+            const frontMatter = FrontMatterUtils.stringify(fields, ownLines);
+
+            return {
+                name: `${name}.md`,
+                data: `${frontMatter}\n${body}`,
+                date: note.updatedAt
+            };
+        });
+
+        return FileUtils.createZip(files);
+    }
+
+    static describeRecord(record) {
+        return record && typeof record.title === 'string' && record.title.trim()
+            ? record.title
+            : 'Untitled record';
+    }
+
+    /**
+     * Read Markdown files (e.g. the entries of a zipped vault) into note records
+     * @param {Array<Object>} files - { name, data: string|Uint8Array, date }
+     * @returns {Array<Object>} Serialized note records, ready for previewImport
+     */
+    static readMarkdownVault(files) {
+        return files
+            .filter(file => NoteManager.isVaultMarkdownFile(file.name))
+            .map(file => NoteManager.markdownFileToRecord(file));
+    }
+
+    /**
+     * Import Markdown files with the default conflict resolution
+     * @param {Array<Object>} files - { name, data: string|Uint8Array, date }
+     * @returns {Object} Import report (see applyImport)
+     */
+    importMarkdownVault(files) {
+        return this.applyImport(this.previewImport(NoteManager.readMarkdownVault(files)));
+    }
+
+    static isVaultMarkdownFile(path) {
+        const segments = path.split('/');
+        // Skip app folders such as .obsidian/ and .trash/, and macOS zip metadata
+        if (segments.some(segment => segment.startsWith('.') || segment === '__MACOSX')) {
+            return false;
+        }
+        return /\.(md|markdown)$/i.test(path);
+    }
+
+    static markdownFileToRecord(file) {
+        const text = typeof file.data === 'string' ? file.data : new TextDecoder().decode(file.data);
+        const { data } = FrontMatterUtils.parse(text);
+        const { lines, body } = FrontMatterUtils.split(text);
+        const fileName = file.name.split('/').pop().replace(/\.(md|markdown)$/i, '');
+        const fileDate = file.date ? new Date(file.date) : new Date();
+
+        const toDate = (value) => {
+            const date = value ? new Date(value) : null;
+            return date && !isNaN(date) ? date : fileDate;
+        };
+
+        const rawTags = Array.isArray(data.tags) ? data.tags : String(data.tags || '').split(/[,\s]+/);
+
+        return {
+            // Ids that aren't safe to keep are reissued, so the file imports as a new note
+            id: data.id && NoteSchema.isSafeId(String(data.id)) ? String(data.id) : null,
+            title: String(data.title || fileName).trim(),
+            // Keys that became record fields are taken out; the rest (aliases, relations) stay
+            content: FrontMatterUtils.join(
+                FrontMatterUtils.withoutKeys(lines || [], VAULT_FIELD_KEYS),
+                body.replace(/^\r?\n/, '')
+            ),
+            tags: rawTags.map(tag => String(tag).replace(/^#/, '').trim()).filter(tag => tag.length > 0),
+            createdAt: toDate(data.createdAt || data.created).toISOString(),
+            updatedAt: toDate(data.updatedAt || data.updated || data.modified).toISOString(),
+            schemaVersion: NoteSchema.CURRENT_VERSION
+        };
+    }
+
+    // Persistence
+    // Writes are queued so they reach the storage adapter in call order
+
+    persist(operation) {
+        this.writeQueue = this.writeQueue
+            .then(() => this.ready)
+            .then(operation)
+            .then(() => this.storage.put('meta', { id: 'lastSaved', value: new Date().toISOString() }))
+            .catch(error => {
+                console.error('Failed to save notes:', error);
+                this.emit('storageError', error);
+            });
+        return this.writeQueue;
+    }
+
+    saveNote(note) {
+        return this.persist(() => this.storage.put('notes', note.serialize()));
+    }
+
+    saveNotes(notes = this.getAllNotes()) {
+        return this.persist(() => this.storage.putMany('notes', notes.map(note => note.serialize())));
+    }
+
+    removeStoredNote(id) {
+        return this.persist(() => this.storage.delete('notes', id));
+    }
+
+    // Vault settings
+    // Kept in the 'meta' store so each vault has its own
+
+    /**
+     * Read a vault setting
+     * @param {string} key - Setting name
+     * @returns {Promise<*>} Stored value, or undefined when unset
+     */
+    async getSetting(key) {
+        await this.ready;
+        return this.readSetting(key);
+    }
+
+    // getSetting without waiting for the load, for use while loading
+    async readSetting(key) {
+        const record = await this.storage.get('meta', `setting:${key}`);
+        return record ? record.value : undefined;
+    }
+
+    saveSetting(key, value) {
+        return this.persist(() => this.storage.put('meta', { id: `setting:${key}`, value }));
+    }
+
+    /**
+     * Set how many revisions are kept per note in this vault (0 keeps every revision)
+     * @param {number} limit - Revisions to keep
+     * @returns {Promise<void>} Resolves once the setting is stored
+     */
+    setRevisionLimit(limit) {
+        this.history.setLimit(limit);
+        return this.saveSetting(REVISION_LIMIT_SETTING, this.history.getLimit());
+    }
+
+    /**
+     * Resolve once every queued write has reached storage
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.writeQueue;
+    }
+
+    async loadNotes() {
         try {
-            const data = localStorage.getItem('notemesh_notes');
-            if (data) {
-                const notesData = JSON.parse(data);
-                notesData.forEach(noteData => {
-                    const note = Note.deserialize(noteData);
-                    this.notes.set(note.id, note);
-                });
+            await this.storage.open();
+            const { valid, migrated, invalid } = NoteSchema.prepare(await this.storage.getAll('notes'));
+            valid.forEach(noteData => {
+                const note = Note.deserialize(noteData);
+                this.notes.set(note.id, note);
+            });
+
+            // Write upgraded records back so migrations only run once
+            if (migrated.length > 0) {
+                this.saveNotes(migrated.map(id => this.notes.get(id)));
+            }
+            if (invalid.length > 0) {
+                this.quarantine(invalid);
             }
+
+            await this.trash.load();
+            this.purgeExpiredTrash();
+            await this.drafts.load();
+            const revisionLimit = await this.readSetting(REVISION_LIMIT_SETTING);
+            if (revisionLimit !== undefined) this.history.setLimit(revisionLimit);
+
+            this.emit('notesLoaded');
+            this.emit('trashChanged');
+            this.emit('notesChanged');
         } catch (error) {
             console.error('Failed to load notes:', error);
+            this.emit('storageError', error);
         }
     }
 
+    /**
+     * Move malformed stored records out of the notes store, keeping them for inspection
+     * @param {Array<Object>} invalid - { record, errors } from NoteSchema.prepare
+     */
+    quarantine(invalid) {
+        const quarantinedAt = new Date().toISOString();
+        const entries = invalid.map(({ record, errors }, index) => ({
+            id: record && record.id !== undefined ? String(record.id) : `unknown-${quarantinedAt}-${index}`,
+            record,
+            errors,
+            quarantinedAt
+        }));
+
+        this.persist(async () => {
+            await this.storage.putMany('quarantine', entries);
+            for (const { record } of invalid) {
+                if (record && record.id !== undefined) {
+                    await this.storage.delete('notes', record.id);
+                }
+            }
+        });
+        this.emit('notesQuarantined', entries);
+    }
+
+    async getQuarantinedRecords() {
+        await this.flush();
+        return this.storage.getAll('quarantine');
+    }
+
     // Event system
     on(event, callback) {
         if (!this.listeners.has(event)) {
@@ -0,0 +1,149 @@
+/* Trash Manager
+   Keeps soft-deleted notes until they are restored, deleted for good or expire
+*/
+
+const TRASH_RETENTION_KEY = 'notemesh_trash_retention_days';
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashManager {
+    constructor(storage) {
+        this.storage = storage;
+        this.entries = new Map(); // noteId -> { note, deletedAt, backlinks }
+        this.retentionDays = TrashManager.loadRetentionDays();
+    }
+
+    static loadRetentionDays() {
+        if (typeof localStorage === 'undefined') return DEFAULT_TRASH_RETENTION_DAYS;
+        const stored = parseInt(localStorage.getItem(TRASH_RETENTION_KEY), 10);
+        return Number.isFinite(stored) && stored >= 0 ? stored : DEFAULT_TRASH_RETENTION_DAYS;
+    }
+
+    /**
+     * Set how many days notes stay in the trash (0 keeps them until emptied)
+     * @param {number} days - Retention in days
+     */
+    setRetentionDays(days) {
+        this.retentionDays = Math.max(0, parseInt(days, 10) || 0);
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(TRASH_RETENTION_KEY, String(this.retentionDays));
+        }
+    }
+
+    getRetentionDays() {
+        return this.retentionDays;
+    }
+
+    serializeEntry(entry) {
+        return {
+            id: entry.note.id,
+            note: entry.note.serialize(),
+            deletedAt: entry.deletedAt.toISOString(),
+            backlinks: entry.backlinks
+        };
+    }
+
+    deserializeEntry(record) {
+        return {
+            note: Note.deserialize(record.note),
+            deletedAt: new Date(record.deletedAt),
+            backlinks: record.backlinks || []
+        };
+    }
+
+    /**
+     * Load stored entries, migrating the notes they hold.
+     * Entries whose note fails validation are skipped (and dropped on emptyTrash).
+     * @returns {Promise<void>}
+     */
+    async load() {
+        const records = await this.storage.getAll('trash');
+
+        this.entries.clear();
+        records.forEach(record => {
+            const { valid, invalid } = NoteSchema.prepare([record.note]);
+            if (valid.length === 0) {
+                console.warn(`Skipping damaged trash entry ${record.id}:`, invalid[0].errors);
+                return;
+            }
+            this.entries.set(record.id, this.deserializeEntry({ ...record, note: valid[0] }));
+        });
+    }
+
+    has(noteId) {
+        return this.entries.has(noteId);
+    }
+
+    get(noteId) {
+        return this.entries.get(noteId);
+    }
+
+    /**
+     * Trashed entries, most recently deleted first
+     * @returns {Array<Object>} { note, deletedAt, backlinks }
+     */
+    getAll() {
+        return Array.from(this.entries.values()).sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+
+    /**
+     * Put an entry in the trash (caller persists via save)
+     * @param {Object} entry - { note, deletedAt, backlinks }
+     */
+    add(entry) {
+        this.entries.set(entry.note.id, entry);
+    }
+
+    remove(noteId) {
+        const entry = this.entries.get(noteId);
+        this.entries.delete(noteId);
+        return entry || null;
+    }
+
+    removeAll() {
+        const entries = this.getAll();
+        this.entries.clear();
+        return entries;
+    }
+
+    /**
+     * When an entry will be purged automatically
+     * @param {Object} entry - Trash entry
+     * @returns {Date|null} Expiry date, or null when retention is unlimited
+     */
+    expiresAt(entry) {
+        if (this.retentionDays === 0) return null;
+        return new Date(entry.deletedAt.getTime() + this.retentionDays * DAY_MS);
+    }
+
+    /**
+     * Entries whose retention period is over
+     * @param {Date} now - Reference time
+     * @returns {Array<Object>} Expired entries
+     */
+    getExpired(now = new Date()) {
+        return this.getAll().filter(entry => {
+            const expiry = this.expiresAt(entry);
+            return expiry && expiry <= now;
+        });
+    }
+
+    async save(entry) {
+        await this.storage.put('trash', this.serializeEntry(entry));
+    }
+
+    async delete(noteId) {
+        await this.storage.delete('trash', noteId);
+    }
+
+    async clearStored() {
+        await this.storage.clear('trash');
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrashManager;
+} else {
+    window.TrashManager = TrashManager;
+}
@@ -2,6 +2,11 @@
    Handles all user interface interactions, rendering, and event management
 */
 
+// Typing pause before the editor contents are autosaved as a draft
+const DRAFT_SAVE_DELAY = 500;
+// How long the offer to restore a draft stays up after loading
+const DRAFT_OFFER_DURATION = 15000;
+
 class UIManager {
     constructor(noteManager, themeManager) {
         this.noteManager = noteManager;
@@ -12,6 +17,17 @@ class UIManager {
         this.currentFilter = '';
         this.searchQuery = '';
         this.currentEditingNote = null;
+        this.currentDraftId = null;
+        this.editorBaseline = null; // Field values and updatedAt of the note as it was opened
+        this.offeredDrafts = new Set(); // Drafts already offered for restore this session
+        this.recoveringDrafts = false;
+        this.currentDetailNote = null;
+        this.currentRevisions = [];
+        this.pendingImport = null;
+        this.graphRenderer = null;
+        this.localGraph = null;
+        this.graphFilterRules = null; // Loaded from the vault when the graph is first shown
+        this.graphLayouts = null; // Named layouts [{ name, layout }], loaded with the filter
 
         this.initializeElements();
         this.bindEvents();
@@ -24,6 +40,7 @@ class UIManager {
         // Main elements
         this.app = document.getElementById('app');
         this.loadingScreen = document.getElementById('loading-screen');
+        this.storageWarning = document.getElementById('storage-warning');
         
         // Navigation
         this.navButtons = document.querySelectorAll('.nav-btn');
@@ -41,6 +58,12 @@ class UIManager {
         this.newNoteSidebarBtn = document.getElementById('new-note-sidebar');
         this.randomNoteBtn = document.getElementById('random-note');
         
+        // Import & export
+        this.exportMarkdownBtn = document.getElementById('export-markdown');
+        this.exportJsonBtn = document.getElementById('export-json');
+        this.importNotesBtn = document.getElementById('import-notes');
+        this.importFileInput = document.getElementById('import-file');
+        
         // Controls
         this.sortSelect = document.getElementById('sort-select');
         this.tagFilter = document.getElementById('tag-filter');
@@ -50,6 +73,10 @@ class UIManager {
         this.notesContainer = document.getElementById('notes-container');
         this.graphContainer = document.getElementById('graph-container');
         this.tagsContainer = document.getElementById('tags-container');
+        this.missingLinksContainer = document.getElementById('missing-links-container');
+        this.trashContainer = document.getElementById('trash-container');
+        this.trashRetentionSelect = document.getElementById('trash-retention');
+        this.emptyTrashBtn = document.getElementById('empty-trash');
         this.recentNotesContainer = document.getElementById('recent-notes');
         
         // Stats
@@ -60,6 +87,7 @@ class UIManager {
         // Modals
         this.noteEditorModal = document.getElementById('note-editor-modal');
         this.noteDetailModal = document.getElementById('note-detail-modal');
+        this.importPreviewModal = document.getElementById('import-preview-modal');
         
         // Editor elements
         this.editorTitle = document.getElementById('editor-title');
@@ -67,6 +95,10 @@ class UIManager {
         this.noteContentInput = document.getElementById('note-content');
         this.noteTagsInput = document.getElementById('note-tags');
         this.suggestedTags = document.getElementById('suggested-tags');
+        this.linkSuggestions = document.getElementById('link-suggestions');
+        this.editorPanes = document.getElementById('editor-panes');
+        this.notePreview = document.getElementById('note-preview');
+        this.editorModeButtons = document.querySelectorAll('[data-editor-mode]');
         this.saveNoteBtn = document.getElementById('save-note');
         this.cancelEditorBtn = document.getElementById('cancel-editor');
         this.closeEditorBtn = document.getElementById('close-editor');
@@ -78,13 +110,54 @@ class UIManager {
         this.detailContent = document.getElementById('detail-content');
         this.detailTags = document.getElementById('detail-tags');
         this.linkedNotesEl = document.getElementById('linked-notes');
+        this.unlinkedMentionsEl = document.getElementById('unlinked-mentions');
         this.editNoteBtn = document.getElementById('edit-note');
         this.deleteNoteBtn = document.getElementById('delete-note');
         this.closeDetailBtn = document.getElementById('close-detail');
         
+        // Graph filter elements
+        this.graphFilterTag = document.getElementById('graph-filter-tag');
+        this.graphFilterQuery = document.getElementById('graph-filter-query');
+        this.graphFilterFrom = document.getElementById('graph-filter-from');
+        this.graphFilterTo = document.getElementById('graph-filter-to');
+        this.graphHideOrphans = document.getElementById('graph-hide-orphans');
+        this.graphTagEdges = document.getElementById('graph-tag-edges');
+        this.graphColorBy = document.getElementById('graph-color-by');
+        this.graphSizeBy = document.getElementById('graph-size-by');
+        this.graphFilterResetBtn = document.getElementById('graph-filter-reset');
+        this.graphLegend = document.getElementById('graph-legend');
+        this.graphExportSelect = document.getElementById('graph-export');
+        this.graphLayoutSelect = document.getElementById('graph-layout');
+        this.graphRelayoutBtn = document.getElementById('graph-relayout');
+        this.graphInsightsToggle = document.getElementById('graph-insights-toggle');
+        this.graphInsights = document.getElementById('graph-insights');
+        
+        // Local graph elements
+        this.localGraphContainer = document.getElementById('local-graph-container');
+        this.localGraphDepthInput = document.getElementById('local-graph-depth');
+        this.localGraphDepthValue = document.getElementById('local-graph-depth-value');
+        this.localGraphTagsToggle = document.getElementById('local-graph-tags');
+        
+        // History elements
+        this.toggleHistoryBtn = document.getElementById('toggle-history');
+        this.historyPanel = document.getElementById('note-history');
+        this.historyLimitSelect = document.getElementById('history-limit');
+        this.historyList = document.getElementById('history-list');
+        this.historyFromSelect = document.getElementById('history-from');
+        this.historyToSelect = document.getElementById('history-to');
+        this.historyDiff = document.getElementById('history-diff');
+        
+        // Import preview elements
+        this.importPreviewSummary = document.getElementById('import-preview-summary');
+        this.importPreviewList = document.getElementById('import-preview-list');
+        this.applyImportBtn = document.getElementById('apply-import');
+        this.cancelImportBtn = document.getElementById('cancel-import');
+        this.closeImportPreviewBtn = document.getElementById('close-import-preview');
+        
         // Notification
         this.notification = document.getElementById('notification');
         this.notificationText = document.querySelector('.notification-text');
+        this.notificationAction = document.querySelector('.notification-action');
         
         // Mobile elements
         this.mobileMenuBtn = document.getElementById('mobile-menu-btn');
@@ -117,6 +190,15 @@ class UIManager {
         // Random note
         this.randomNoteBtn?.addEventListener('click', () => this.openRandomNote());
 
+        // Import & export
+        this.exportMarkdownBtn?.addEventListener('click', () => this.exportMarkdownVault());
+        this.exportJsonBtn?.addEventListener('click', () => this.exportJson());
+        this.importNotesBtn?.addEventListener('click', () => this.importFileInput?.click());
+        this.importFileInput?.addEventListener('change', (e) => {
+            this.importFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+
         // Search
         this.globalSearch?.addEventListener('input', (e) => {
             this.handleSearch(e.target.value);
@@ -156,12 +238,156 @@ class UIManager {
         this.saveNoteBtn?.addEventListener('click', () => this.saveNote());
         this.cancelEditorBtn?.addEventListener('click', () => this.closeNoteEditor());
         this.closeEditorBtn?.addEventListener('click', () => this.closeNoteEditor());
+        if (this.noteContentInput && this.linkSuggestions) {
+            this.linkAutocomplete = new LinkAutocomplete(this.noteContentInput, this.linkSuggestions, {
+                getTitles: () => this.getLinkableTitles(),
+                onCreate: (title) => this.createStubNote(title)
+            });
+        }
+        if (this.noteContentInput && this.notePreview && this.editorPanes) {
+            this.editorPreview = new EditorPreview(this.noteContentInput, this.notePreview, this.editorPanes,
+                content => this.renderNoteContent(content));
+            this.updateEditorModeButtons();
+        }
+        this.editorModeButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.setEditorMode(btn.dataset.editorMode));
+        });
+        
+        // Autosave drafts while typing, and straight away when the page is hidden or closed
+        const scheduleDraft = PerformanceUtils.debounce(() => this.saveDraft(), DRAFT_SAVE_DELAY);
+        [this.noteTitleInput, this.noteContentInput, this.noteTagsInput].forEach(input => {
+            input?.addEventListener('input', scheduleDraft);
+        });
+        window.addEventListener('pagehide', () => this.saveDraft());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveDraft();
+        });
 
         // Detail events
         this.editNoteBtn?.addEventListener('click', () => this.editCurrentNote());
         this.deleteNoteBtn?.addEventListener('click', () => this.deleteCurrentNote());
         this.closeDetailBtn?.addEventListener('click', () => this.closeNoteDetail());
 
+        // Graph filter events
+        this.graphFilterTag?.addEventListener('change', (e) => this.updateGraphFilter({ tag: e.target.value }));
+        this.graphFilterQuery?.addEventListener('input', PerformanceUtils.debounce((e) => {
+            this.updateGraphFilter({ query: e.target.value });
+        }, 300));
+        this.graphFilterFrom?.addEventListener('change', (e) => this.updateGraphFilter({ from: e.target.value }));
+        this.graphFilterTo?.addEventListener('change', (e) => this.updateGraphFilter({ to: e.target.value }));
+        this.graphHideOrphans?.addEventListener('change', (e) => this.updateGraphFilter({ hideOrphans: e.target.checked }));
+        this.graphTagEdges?.addEventListener('change', (e) => this.updateGraphFilter({ tagEdges: e.target.checked }));
+        this.graphColorBy?.addEventListener('change', (e) => this.updateGraphFilter({ colorBy: e.target.value }));
+        this.graphSizeBy?.addEventListener('change', (e) => this.updateGraphFilter({ sizeBy: e.target.value }));
+        this.graphFilterResetBtn?.addEventListener('click', () => {
+            this.updateGraphFilter(GraphFilter.defaults());
+            this.renderGraphFilterControls();
+        });
+
+        this.graphInsightsToggle?.addEventListener('click', () => this.toggleGraphInsights());
+        this.graphInsights?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-note-id]');
+            if (item) this.openNoteDetail(item.dataset.noteId);
+        });
+        this.graphExportSelect?.addEventListener('change', (e) => {
+            const format = e.target.value;
+            e.target.value = '';
+            if (format) this.exportGraph(format);
+        });
+        this.graphLayoutSelect?.addEventListener('change', (e) => {
+            const [action, index] = e.target.value.split(':');
+            e.target.value = '';
+            if (action === 'load') this.applyGraphLayout(this.graphLayouts[index]);
+            if (action === 'save') this.saveNamedGraphLayout();
+            if (action === 'delete') this.deleteNamedGraphLayout();
+        });
+        this.graphRelayoutBtn?.addEventListener('click', () => this.graphRenderer?.rerunLayout());
+
+        // Local graph events
+        this.localGraphDepthInput?.addEventListener('input', (e) => {
+            if (this.localGraphDepthValue) this.localGraphDepthValue.textContent = e.target.value;
+            this.localGraph?.setDepth(e.target.value);
+        });
+        this.localGraphTagsToggle?.addEventListener('change', (e) => {
+            this.localGraph?.setIncludeTags(e.target.checked);
+        });
+
+        // History events
+        this.toggleHistoryBtn?.addEventListener('click', () => this.toggleHistory());
+        this.historyLimitSelect?.addEventListener('change', (e) => {
+            this.noteManager.setRevisionLimit(e.target.value);
+        });
+        this.historyFromSelect?.addEventListener('change', () => this.renderHistoryDiff());
+        this.historyToSelect?.addEventListener('change', () => this.renderHistoryDiff());
+
+        // Import preview events
+        this.applyImportBtn?.addEventListener('click', () => this.applyPendingImport());
+        this.cancelImportBtn?.addEventListener('click', () => this.closeImportPreview());
+        this.closeImportPreviewBtn?.addEventListener('click', () => this.closeImportPreview());
+        this.importPreviewList?.addEventListener('change', (e) => {
+            const index = e.target.dataset.importIndex;
+            if (index !== undefined && this.pendingImport) {
+                this.pendingImport[index].resolution = e.target.value;
+                this.renderImportSummary();
+            }
+        });
+
+        // Tag view actions (rename / remove across all notes)
+        this.tagsContainer?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-tag-action]');
+            if (!button) return;
+            
+            const tag = button.closest('.tag-group')?.dataset.tag;
+            if (button.dataset.tagAction === 'rename') {
+                this.renameTag(tag);
+            } else {
+                this.removeTag(tag);
+            }
+        });
+
+        // Unlinked mentions in the note detail, and the vault-wide missing links view
+        this.unlinkedMentionsEl?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-mention-action]');
+            if (!button) return;
+            
+            if (button.dataset.mentionAction === 'open') {
+                e.preventDefault();
+                this.openNoteDetail(button.dataset.sourceId);
+                return;
+            }
+            
+            const start = button.dataset.mentionAction === 'link' ? parseInt(button.dataset.start, 10) : null;
+            this.linkMentions(button.dataset.sourceId, this.currentDetailNote, start);
+        });
+        this.missingLinksContainer?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-missing-link-action]');
+            if (!button) return;
+            
+            if (button.dataset.missingLinkAction === 'link') {
+                this.linkMentions(button.dataset.sourceId, button.dataset.targetId);
+            } else {
+                this.openNoteDetail(button.dataset.sourceId);
+            }
+        });
+
+        // Trash view actions
+        this.trashContainer?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-trash-action]');
+            if (!button) return;
+            
+            if (button.dataset.trashAction === 'restore') {
+                this.noteManager.restoreNote(button.dataset.noteId);
+            } else {
+                this.deleteNotePermanently(button.dataset.noteId);
+            }
+        });
+        this.trashRetentionSelect?.addEventListener('change', (e) => {
+            this.noteManager.trash.setRetentionDays(e.target.value);
+            this.noteManager.purgeExpiredTrash();
+            this.renderTrash();
+        });
+        this.emptyTrashBtn?.addEventListener('click', () => this.emptyTrash());
+
         // Tags input suggestions
         this.noteTagsInput?.addEventListener('input', (e) => {
             this.showTagSuggestions(e.target.value);
@@ -180,6 +406,12 @@ class UIManager {
             }
         });
 
+        this.importPreviewModal?.addEventListener('click', (e) => {
+            if (e.target === this.importPreviewModal) {
+                this.closeImportPreview();
+            }
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             this.handleKeyboardShortcuts(e);
@@ -233,17 +465,54 @@ class UIManager {
         this.noteManager.on('notesChanged', () => {
             this.render();
         });
+        
+        this.noteManager.on('notesLoaded', () => {
+            // Stays up: with no browser storage every note is lost on reload
+            this.storageWarning?.classList.toggle('hidden', this.noteManager.storage.isPersistent());
+            this.offerDraftRecovery();
+        });
 
         this.noteManager.on('noteAdded', (note) => {
-            this.showNotification(`Note "${note.title}" created successfully!`);
+            this.showNotification(`Note "${note.title}" created successfully!`, 'success', this.undoAction());
         });
 
         this.noteManager.on('noteUpdated', (note) => {
-            this.showNotification(`Note "${note.title}" updated successfully!`);
+            this.showNotification(`Note "${note.title}" updated successfully!`, 'success', this.undoAction());
         });
 
         this.noteManager.on('noteDeleted', (data) => {
-            this.showNotification(`Note "${data.note.title}" deleted successfully!`);
+            if (data.id === this.currentDetailNote) {
+                this.closeNoteDetail();
+            }
+            this.showNotification(`Note "${data.note.title}" moved to trash`, 'success', this.undoAction());
+        });
+
+        this.noteManager.on('noteRestored', (note) => {
+            this.showNotification(`Note "${note.title}" restored`, 'success', this.undoAction());
+        });
+        
+        // Undo and redo report themselves (see undo()/redo()); only follow removals here
+        this.noteManager.on('notesReverted', ({ removed }) => {
+            if (removed.some(({ id }) => id === this.currentDetailNote)) {
+                this.closeNoteDetail();
+            }
+        });
+
+        this.noteManager.on('trashChanged', () => {
+            if (this.currentView === 'trash') {
+                this.renderTrash();
+            }
+        });
+
+        this.noteManager.on('storageError', () => {
+            this.showNotification('Could not save your notes to browser storage', 'error');
+        });
+        
+        this.noteManager.on('notesQuarantined', (entries) => {
+            this.showNotification(
+                `${entries.length} damaged note${entries.length !== 1 ? 's were' : ' was'} set aside and not loaded`,
+                'error'
+            );
         });
     }
 
@@ -264,6 +533,10 @@ class UIManager {
             this.renderTags();
         } else if (this.currentView === 'graph') {
             this.renderGraph();
+        } else if (this.currentView === 'links') {
+            this.renderMissingLinks();
+        } else if (this.currentView === 'trash') {
+            this.renderTrash();
         }
     }
 
@@ -285,6 +558,10 @@ class UIManager {
             viewEl.classList.toggle('active', viewEl.id === `${view}-view`);
         });
         
+        if (this.graphRenderer) {
+            this.graphRenderer.setActive(view === 'graph');
+        }
+        
         this.render();
     }
 
@@ -308,8 +585,8 @@ class UIManager {
         this.searchQuery = query;
         
         if (query.trim()) {
-            const results = this.noteManager.searchNotes(query);
-            this.renderSearchResults(results);
+            const hits = this.noteManager.search(query);
+            this.renderSearchResults(hits);
             this.searchResults?.classList.remove('hidden');
         } else {
             this.searchResults?.classList.add('hidden');
@@ -320,22 +597,28 @@ class UIManager {
         }
     }
 
-    renderSearchResults(results) {
+    renderSearchResults(hits) {
         if (!this.searchResults) return;
         
         this.searchResults.innerHTML = '';
         
-        if (results.length === 0) {
+        if (hits.length === 0) {
             this.searchResults.innerHTML = '<div class="search-result-item">No results found</div>';
             return;
         }
         
-        results.slice(0, 5).forEach(note => {
+        hits.slice(0, 8).forEach(({ note, terms }) => {
+            const snippet = SearchIndex.createSnippet(note.content, terms);
             const item = document.createElement('div');
             item.className = 'search-result-item';
             item.innerHTML = `
-                <div class="search-result-title">${this.escapeHtml(note.title)}</div>
-                <div class="search-result-content">${this.escapeHtml(note.content.substring(0, 100))}...</div>
+                <div class="search-result-title">${StringUtils.highlightSearchTerm(note.title, terms)}</div>
+                <div class="search-result-content">${StringUtils.highlightSearchTerm(snippet, terms)}</div>
+                ${note.tags.length > 0 ? `
+                    <div class="search-result-tags">
+                        ${note.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('')}
+                    </div>
+                ` : ''}
             `;
             item.addEventListener('click', () => {
                 this.openNoteDetail(note.id);
@@ -343,6 +626,13 @@ class UIManager {
             });
             this.searchResults.appendChild(item);
         });
+        
+        if (hits.length > 8) {
+            const more = document.createElement('div');
+            more.className = 'search-result-more';
+            more.textContent = `${hits.length - 8} more result${hits.length - 8 !== 1 ? 's' : ''}`;
+            this.searchResults.appendChild(more);
+        }
     }
 
     updateStats() {
@@ -489,8 +779,19 @@ class UIManager {
                 tagEl.className = 'tag-group';
                 
                 const notes = this.noteManager.getNotesWithTag(tag);
+                tagEl.dataset.tag = tag;
                 tagEl.innerHTML = `
-                    <h3 class="tag-group-title">${this.escapeHtml(tag)}</h3>
+                    <div class="tag-group-header">
+                        <h3 class="tag-group-title">${this.escapeHtml(tag)}</h3>
+                        <div class="tag-group-actions">
+                            <button class="note-action" data-tag-action="rename" title="Rename tag">
+                                <span class="material-icons">edit</span>
+                            </button>
+                            <button class="note-action danger" data-tag-action="remove" title="Remove tag from all notes">
+                                <span class="material-icons">delete</span>
+                            </button>
+                        </div>
+                    </div>
                     <div class="tag-group-count">${count} note${count !== 1 ? 's' : ''}</div>
                     <div class="tag-group-notes">
                         ${notes.slice(0, 5).map(note => `
@@ -506,13 +807,185 @@ class UIManager {
             });
     }
 
+    renderMissingLinks() {
+        if (!this.missingLinksContainer) return;
+        
+        const report = this.noteManager.getMissingLinks();
+        if (report.length === 0) {
+            this.missingLinksContainer.innerHTML = `
+                <div class="empty-state">
+                    <h3>No missing links</h3>
+                    <p>Notes whose title or aliases appear in another note without a [[link]] are listed here.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        this.missingLinksContainer.innerHTML = report.map(({ source, target, mentions }) => `
+            <div class="note-card missing-link-card">
+                <div class="note-card-header">
+                    <h3 class="note-title">
+                        ${this.escapeHtml(source.title)}
+                        <span class="material-icons missing-link-arrow">arrow_forward</span>
+                        ${this.escapeHtml(target.title)}
+                    </h3>
+                    <div class="note-actions">
+                        <button class="note-action" data-missing-link-action="open" data-source-id="${this.escapeHtml(source.id)}" title="Open note">
+                            <span class="material-icons">open_in_new</span>
+                        </button>
+                        <button class="note-action" data-missing-link-action="link" data-source-id="${this.escapeHtml(source.id)}" data-target-id="${this.escapeHtml(target.id)}" title="Link all mentions">
+                            <span class="material-icons">add_link</span>
+                        </button>
+                    </div>
+                </div>
+                ${mentions.slice(0, 3).map(mention => `
+                    <div class="mention-context">${this.mentionSnippet(source.content, mention)}</div>
+                `).join('')}
+                <div class="note-meta">
+                    <span class="meta-item">
+                        <span class="material-icons">link_off</span>
+                        ${mentions.length} unlinked mention${mentions.length !== 1 ? 's' : ''}
+                    </span>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * A mention with some of the text around it, on one line
+     * @param {string} content - Content of the mentioning note
+     * @param {Object} mention - { start, end, text } from Note.findMentions
+     * @returns {string} HTML with the mention marked
+     */
+    mentionSnippet(content, mention) {
+        const from = Math.max(0, mention.start - 40);
+        const to = Math.min(content.length, mention.end + 40);
+        const flat = text => this.escapeHtml(text.replace(/\s+/g, ' '));
+        
+        return `${from > 0 ? '…' : ''}${flat(content.slice(from, mention.start))}` +
+            `<mark>${flat(mention.text)}</mark>` +
+            `${flat(content.slice(mention.end, to))}${to < content.length ? '…' : ''}`;
+    }
+    
+    /**
+     * Turn unlinked mentions of a note into [[links]]
+     * @param {string} sourceId - Note containing the mentions
+     * @param {string} targetId - Mentioned note
+     * @param {number|null} start - Offset of a single mention, or null for all in the note
+     */
+    linkMentions(sourceId, targetId, start = null) {
+        const count = this.noteManager.linkMentions(sourceId, targetId, start);
+        if (count === 0) return;
+        
+        const source = this.noteManager.getNote(sourceId);
+        this.showNotification(
+            `Linked ${count} mention${count !== 1 ? 's' : ''} in "${source.title}"`,
+            'success',
+            this.undoAction()
+        );
+        this.refreshDetailAfterUndo();
+    }
+
+    renderTrash() {
+        if (!this.trashContainer) return;
+        
+        const trash = this.noteManager.trash;
+        if (this.trashRetentionSelect) {
+            this.trashRetentionSelect.value = String(trash.getRetentionDays());
+        }
+        
+        const entries = this.noteManager.getTrashedNotes();
+        if (this.emptyTrashBtn) this.emptyTrashBtn.disabled = entries.length === 0;
+        
+        if (entries.length === 0) {
+            this.trashContainer.innerHTML = `
+                <div class="empty-state">
+                    <h3>Trash is empty</h3>
+                    <p>Deleted notes are kept here until you restore them or they expire.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        this.trashContainer.innerHTML = entries.map(entry => {
+            const { note, deletedAt, backlinks } = entry;
+            const expiresAt = trash.expiresAt(entry);
+            
+            return `
+                <div class="note-card trash-card">
+                    <div class="note-card-header">
+                        <h3 class="note-title">${this.escapeHtml(note.title)}</h3>
+                        <div class="note-actions">
+                            <button class="note-action" data-trash-action="restore" data-note-id="${this.escapeHtml(note.id)}" title="Restore">
+                                <span class="material-icons">restore_from_trash</span>
+                            </button>
+                            <button class="note-action danger" data-trash-action="delete" data-note-id="${this.escapeHtml(note.id)}" title="Delete forever">
+                                <span class="material-icons">delete_forever</span>
+                            </button>
+                        </div>
+                    </div>
+                    <div class="note-content">${this.escapeHtml(note.content)}</div>
+                    ${backlinks.length > 0 ? `
+                        <div class="trash-backlinks">
+                            Linked from ${backlinks.map(link => this.escapeHtml(link.title)).join(', ')}
+                        </div>
+                    ` : ''}
+                    <div class="note-meta">
+                        <span class="meta-item">
+                            <span class="material-icons">delete</span>
+                            Deleted ${DateUtils.getRelativeTime(deletedAt)}
+                        </span>
+                        ${expiresAt ? `
+                            <span class="meta-item">
+                                <span class="material-icons">timer</span>
+                                Removed for good on ${this.formatDate(expiresAt)}
+                            </span>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    deleteNotePermanently(noteId) {
+        const entry = this.noteManager.trash.get(noteId);
+        if (!entry) return;
+        
+        if (confirm(`Delete "${entry.note.title}" for good? This cannot be undone.`)) {
+            this.noteManager.deleteNotePermanently(noteId);
+            this.showNotification(`Note "${entry.note.title}" deleted permanently`);
+        }
+    }
+
+    emptyTrash() {
+        const count = this.noteManager.getTrashedNotes().length;
+        if (count === 0) return;
+        
+        if (confirm(`Permanently delete ${count} note${count !== 1 ? 's' : ''} in the trash? This cannot be undone.`)) {
+            this.noteManager.emptyTrash();
+            this.showNotification('Trash emptied');
+        }
+    }
+
     renderGraph() {
         if (!this.graphContainer) return;
         
         // Graph rendering will be handled by graph.js
         if (window.GraphRenderer) {
-            const graphRenderer = new GraphRenderer(this.graphContainer, this.noteManager);
-            graphRenderer.render();
+            // One renderer for the session; it follows note changes itself
+            if (this.graphRenderer) {
+                this.graphRenderer.setActive(true);
+                this.renderGraphFilterControls();
+                this.renderGraphInsights();
+            } else {
+                this.graphRenderer = new GraphRenderer(this.graphContainer, this.noteManager, {
+                    // Analytics are recomputed at most once per burst of changes
+                    onViewChange: PerformanceUtils.debounce(() => this.onGraphViewChange(), 300),
+                    onLayoutChange: PerformanceUtils.debounce(() => this.saveGraphLayout(), 1000)
+                });
+                this.loadGraphFilter();
+                this.loadGraphLayout();
+            }
         } else {
             this.graphContainer.innerHTML = `
                 <div class="graph-placeholder">
@@ -523,32 +996,400 @@ class UIManager {
         }
     }
 
-    openNoteEditor(noteId = null) {
-        this.currentEditingNote = noteId;
+    // Graph filters are saved per vault
+    async loadGraphFilter() {
+        const rules = await this.noteManager.getSetting(GRAPH_FILTER_SETTING);
+        this.graphFilterRules = new GraphFilter(rules).rules;
+        this.graphRenderer?.setFilter(this.graphFilterRules);
+        this.renderGraphFilterControls();
+    }
+
+    updateGraphFilter(changes) {
+        if (!this.graphFilterRules) return;
         
-        if (noteId) {
-            const note = this.noteManager.getNote(noteId);
-            if (note) {
-                if (this.editorTitle) this.editorTitle.textContent = 'Edit Note';
-                if (this.noteTitleInput) this.noteTitleInput.value = note.title;
-                if (this.noteContentInput) this.noteContentInput.value = note.content;
-                if (this.noteTagsInput) this.noteTagsInput.value = note.tags.join(', ');
-            }
-        } else {
-            if (this.editorTitle) this.editorTitle.textContent = 'New Note';
-            if (this.noteTitleInput) this.noteTitleInput.value = '';
-            if (this.noteContentInput) this.noteContentInput.value = '';
-            if (this.noteTagsInput) this.noteTagsInput.value = '';
+        this.graphFilterRules = { ...this.graphFilterRules, ...changes };
+        this.graphRenderer?.setFilter(this.graphFilterRules);
+        this.noteManager.saveSetting(GRAPH_FILTER_SETTING, this.graphFilterRules);
+        this.renderGraphLegend();
+    }
+
+    // Positions, pins and the camera are saved per vault, as are named layouts
+    async loadGraphLayout() {
+        const [layout, layouts] = await Promise.all([
+            this.noteManager.getSetting(GRAPH_LAYOUT_SETTING),
+            this.noteManager.getSetting(GRAPH_SAVED_LAYOUTS_SETTING)
+        ]);
+        this.graphLayouts = Array.isArray(layouts) ? layouts : [];
+        if (layout) this.graphRenderer?.applyLayout(layout);
+        this.renderGraphLayoutOptions();
+    }
+
+    saveGraphLayout() {
+        // Don't overwrite the saved layout before it has been restored
+        if (!this.graphRenderer || !this.graphLayouts || this.graphRenderer.nodes.length === 0) return;
+        this.noteManager.saveSetting(GRAPH_LAYOUT_SETTING, this.graphRenderer.getLayout());
+    }
+
+    applyGraphLayout(entry) {
+        if (!entry || !this.graphRenderer) return;
+        
+        this.graphRenderer.applyLayout(entry.layout);
+        this.showNotification(`Layout "${entry.name}" restored`);
+    }
+
+    saveNamedGraphLayout() {
+        if (!this.graphRenderer || !this.graphLayouts) return;
+        
+        const name = prompt('Save the current layout as:');
+        if (!name || !name.trim()) return;
+        
+        const trimmed = name.trim();
+        const exists = this.graphLayouts.some(entry => entry.name === trimmed);
+        if (exists && !confirm(`Replace the saved layout "${trimmed}"?`)) return;
+        
+        this.graphLayouts = this.graphLayouts
+            .filter(entry => entry.name !== trimmed)
+            .concat({ name: trimmed, layout: this.graphRenderer.getLayout() })
+            .sort((a, b) => a.name.localeCompare(b.name));
+        this.noteManager.saveSetting(GRAPH_SAVED_LAYOUTS_SETTING, this.graphLayouts);
+        this.renderGraphLayoutOptions();
+        this.showNotification(`Layout "${trimmed}" saved`);
+    }
+
+    deleteNamedGraphLayout() {
+        if (!this.graphLayouts || this.graphLayouts.length === 0) return;
+        
+        const names = this.graphLayouts.map(entry => entry.name);
+        const name = prompt(`Delete which layout?\n${names.join(', ')}`, names[0]);
+        if (!name || !names.includes(name.trim())) return;
+        
+        this.graphLayouts = this.graphLayouts.filter(entry => entry.name !== name.trim());
+        this.noteManager.saveSetting(GRAPH_SAVED_LAYOUTS_SETTING, this.graphLayouts);
+        this.renderGraphLayoutOptions();
+        this.showNotification(`Layout "${name.trim()}" deleted`);
+    }
+
+    renderGraphLayoutOptions() {
+        if (!this.graphLayoutSelect || !this.graphLayouts) return;
+        
+        const saved = this.graphLayouts.map((entry, i) =>
+            `<option value="load:${i}">${this.escapeHtml(entry.name)}</option>`
+        ).join('');
+        this.graphLayoutSelect.innerHTML = `
+            <option value="">Layouts…</option>
+            ${saved ? `<optgroup label="Restore">${saved}</optgroup>` : ''}
+            <option value="save">Save current layout…</option>
+            ${saved ? '<option value="delete">Delete a saved layout…</option>' : ''}
+        `;
+    }
+
+    renderGraphFilterControls() {
+        const rules = this.graphFilterRules;
+        if (!rules) return;
+        
+        if (this.graphFilterTag) {
+            // Keep a saved tag selectable even if no note uses it any more
+            const tags = this.noteManager.getAllTags();
+            if (rules.tag && !tags.includes(rules.tag)) tags.push(rules.tag);
+            this.graphFilterTag.innerHTML = '<option value="">All Tags</option>' + tags.map(tag =>
+                `<option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</option>`
+            ).join('');
+            this.graphFilterTag.value = rules.tag;
+        }
+        // Don't overwrite a query that is being typed
+        if (this.graphFilterQuery && document.activeElement !== this.graphFilterQuery) {
+            this.graphFilterQuery.value = rules.query;
+        }
+        if (this.graphFilterFrom) this.graphFilterFrom.value = rules.from;
+        if (this.graphFilterTo) this.graphFilterTo.value = rules.to;
+        if (this.graphHideOrphans) this.graphHideOrphans.checked = rules.hideOrphans;
+        if (this.graphTagEdges) this.graphTagEdges.checked = rules.tagEdges;
+        if (this.graphColorBy) this.graphColorBy.value = rules.colorBy;
+        if (this.graphSizeBy) this.graphSizeBy.value = rules.sizeBy;
+        
+        this.renderGraphLegend();
+    }
+
+    renderGraphLegend() {
+        if (!this.graphLegend || !this.graphRenderer) return;
+        
+        // Metric colours run on a scale rather than in groups
+        const colorBy = this.graphFilterRules ? this.graphFilterRules.colorBy : 'none';
+        if (GRAPH_METRICS.includes(colorBy)) {
+            const [low, high] = GraphConfig.analytics.colorRange;
+            this.graphLegend.innerHTML = `
+                <span class="graph-legend-item">
+                    Low ${this.escapeHtml(this.graphMetricLabel(colorBy))}
+                    <span class="graph-legend-scale" style="background: linear-gradient(to right, ${low}, ${high})"></span>
+                    High
+                </span>
+            `;
+            return;
         }
         
+        this.graphLegend.innerHTML = this.graphRenderer.getColorGroups().map(({ group, color, count }) => `
+            <span class="graph-legend-item">
+                <span class="graph-legend-swatch" style="background-color: ${color}"></span>
+                ${this.escapeHtml(group)} (${count})
+            </span>
+        `).join('');
+    }
+
+    graphMetricLabel(metric) {
+        return { degree: 'degree', pagerank: 'PageRank', betweenness: 'betweenness' }[metric];
+    }
+
+    onGraphViewChange() {
+        this.renderGraphLegend();
+        this.renderGraphInsights();
+    }
+
+    toggleGraphInsights() {
+        if (!this.graphInsights) return;
+        
+        this.graphInsights.classList.toggle('hidden');
+        const open = !this.graphInsights.classList.contains('hidden');
+        this.graphInsightsToggle?.classList.toggle('active', open);
+        
+        // The canvas shares the row with the sidebar
+        this.graphRenderer?.resizeCanvas();
+        if (open) this.renderGraphInsights();
+    }
+
+    // Centrality, communities, orphans and bridges of the graph as shown
+    renderGraphInsights() {
+        if (!this.graphInsights || this.graphInsights.classList.contains('hidden')) return;
+        // Hidden graphs catch up when shown again
+        if (!this.graphRenderer || !this.graphRenderer.active) return;
+        
+        const { nodeById } = this.graphRenderer.view;
+        if (nodeById.size === 0) {
+            this.graphInsights.innerHTML = '<div class="graph-insights-empty">No notes in the graph</div>';
+            return;
+        }
+        
+        const analytics = this.graphRenderer.getAnalytics();
+        const topCount = GraphConfig.analytics.topCount;
+        const noteItem = (id, value = '') => `
+            <button class="graph-insights-note" data-note-id="${id}">
+                <span class="graph-insights-title">${this.escapeHtml(nodeById.get(id).title)}</span>
+                ${value !== '' ? `<span class="graph-insights-value">${value}</span>` : ''}
+            </button>
+        `;
+        const ranking = (metric, format) => Array.from(analytics.metrics)
+            .filter(([, values]) => values[metric] > 0)
+            .sort((a, b) => b[1][metric] - a[1][metric])
+            .slice(0, topCount)
+            .map(([id, values]) => noteItem(id, format(values[metric])))
+            .join('') || '<div class="graph-insights-empty">None</div>';
+        const list = ids => ids.slice(0, topCount).map(id => noteItem(id)).join('') +
+            (ids.length > topCount ? `<div class="graph-insights-more">and ${ids.length - topCount} more</div>` : '');
+        const byPageRank = ids => [...ids].sort((a, b) =>
+            analytics.metrics.get(b).pagerank - analytics.metrics.get(a).pagerank
+        );
+        const section = (title, body, hint = '') => `
+            <section class="graph-insights-section">
+                <h4>${title}</h4>
+                ${hint ? `<p class="graph-insights-hint">${hint}</p>` : ''}
+                ${body}
+            </section>
+        `;
+        
+        const communities = analytics.communities.filter(community => community.nodeIds.length > 1);
+        
+        this.graphInsights.innerHTML = `
+            <h3 class="graph-insights-heading">Insights</h3>
+            <div class="graph-insights-summary">
+                <span>${nodeById.size} notes</span>
+                <span>${communities.length} communities</span>
+                <span>${analytics.orphans.length} orphans</span>
+                <span>${analytics.bridges.length} bridges</span>
+            </div>
+            ${section('Most central', ranking('pagerank', value => (value * 100).toFixed(1) + '%'), 'PageRank: notes linked from other well-linked notes')}
+            ${section('Most connected', ranking('degree', value => value), 'Links and shared tags')}
+            ${section('Connectors', ranking('betweenness', value => value.toFixed(3)),
+                `Betweenness: notes on many shortest paths${analytics.sampled ? ' (estimated from a sample)' : ''}`)}
+            ${section('Communities', communities.slice(0, topCount).map(community => `
+                <div class="graph-insights-community">
+                    <span class="graph-legend-swatch" style="background-color: ${GraphFilter.communityColor(community.id)}"></span>
+                    Community ${community.id + 1} (${community.nodeIds.length})
+                </div>
+                ${byPageRank(community.nodeIds).slice(0, 3).map(id => noteItem(id)).join('')}
+            `).join('') || '<div class="graph-insights-empty">None</div>', `Modularity ${analytics.modularity.toFixed(2)}`)}
+            ${section('Bridges', list(byPageRank(analytics.bridges)) || '<div class="graph-insights-empty">None</div>',
+                'Removing one of these would split the graph')}
+            ${section('Orphans', list(analytics.orphans) || '<div class="graph-insights-empty">None</div>',
+                'No connections in the graph as shown')}
+        `;
+    }
+
+    /**
+     * Open the editor on a note, or on a new one
+     * @param {string|null} noteId - Note to edit, or null for a new note
+     * @param {Object|null} draft - Stored draft to restore into the editor. Without
+     *   one, a draft left over for the note is picked up automatically.
+     */
+    openNoteEditor(noteId = null, draft = null) {
+        const note = noteId ? this.noteManager.getNote(noteId) : null;
+        const leftover = !draft && note ? this.noteManager.getDraftForNote(noteId) : null;
+        draft = draft || leftover;
+        
+        this.currentEditingNote = noteId;
+        this.editorBaseline = {
+            title: note ? note.title : '',
+            content: note ? note.content : '',
+            tags: note ? note.tags.join(', ') : '',
+            updatedAt: note ? new Date(note.updatedAt) : null
+        };
+        if (draft && note) {
+            // Keep comparing against the version the draft was started from
+            this.editorBaseline.updatedAt = draft.baseUpdatedAt;
+        }
+        // A draft whose note is gone carries on as the draft of a new note
+        this.currentDraftId = draft && draft.noteId === noteId ? draft.id : DraftManager.draftId(noteId);
+        
+        if (this.editorTitle) this.editorTitle.textContent = note ? 'Edit Note' : 'New Note';
+        this.setEditorFields(draft || this.editorBaseline);
+        
+        this.editorPreview?.applyMode();
         this.noteEditorModal?.classList.remove('hidden');
         this.noteTitleInput?.focus();
+        
+        if (draft && draft.id !== this.currentDraftId) {
+            this.saveDraft();
+            this.noteManager.discardDraft(draft.id);
+        }
+        if (leftover) {
+            this.offeredDrafts.add(leftover.id);
+            const warning = this.draftWarning(this.noteManager.getDraftStatus(leftover));
+            this.showNotification(
+                `Restored your unsaved draft from ${DateUtils.getRelativeTime(leftover.savedAt)}.${warning}`,
+                warning ? 'error' : 'info',
+                { label: 'Discard', handler: () => this.discardEditorDraft() }
+            );
+        }
+    }
+    
+    getEditorFields() {
+        return {
+            title: this.noteTitleInput?.value || '',
+            content: this.noteContentInput?.value || '',
+            tags: this.noteTagsInput?.value || ''
+        };
+    }
+    
+    setEditorFields({ title, content, tags }) {
+        if (this.noteTitleInput) this.noteTitleInput.value = title;
+        if (this.noteContentInput) this.noteContentInput.value = content;
+        if (this.noteTagsInput) this.noteTagsInput.value = tags;
+    }
+    
+    /**
+     * Store what is in the open editor as a draft. Once it matches the note
+     * again there is nothing to keep and the draft is dropped.
+     * @returns {boolean} Whether a draft was kept
+     */
+    saveDraft() {
+        if (!this.currentDraftId || this.noteEditorModal?.classList.contains('hidden')) return false;
+        
+        const fields = this.getEditorFields();
+        const base = this.editorBaseline;
+        if (fields.title === base.title && fields.content === base.content && fields.tags === base.tags) {
+            this.noteManager.discardDraft(this.currentDraftId);
+            return false;
+        }
+        
+        this.noteManager.saveDraft({
+            id: this.currentDraftId,
+            noteId: this.currentEditingNote,
+            ...fields,
+            baseUpdatedAt: base.updatedAt
+        });
+        return true;
+    }
+    
+    // Throw away the restored draft and go back to the note as saved
+    discardEditorDraft() {
+        if (!this.currentDraftId) return;
+        
+        this.noteManager.discardDraft(this.currentDraftId);
+        this.openNoteEditor(this.currentEditingNote);
+    }
+    
+    draftWarning(status) {
+        if (status === 'changed') return ' The note has changed since this draft was taken.';
+        if (status === 'deleted') return ' Its note has been deleted, so it would be saved as a new note.';
+        return '';
+    }
+    
+    /**
+     * Offer to restore the most recent draft that hasn't been offered yet
+     * @returns {boolean} Whether there was one to offer
+     */
+    offerDraftRecovery() {
+        const drafts = this.noteManager.getDrafts().filter(draft => !this.offeredDrafts.has(draft.id));
+        const editorOpen = this.noteEditorModal && !this.noteEditorModal.classList.contains('hidden');
+        if (drafts.length === 0 || editorOpen) {
+            this.recoveringDrafts = false;
+            return false;
+        }
+        
+        const [draft] = drafts;
+        this.offeredDrafts.add(draft.id);
+        const status = this.noteManager.getDraftStatus(draft);
+        const warning = this.draftWarning(status);
+        const more = drafts.length > 1 ? ` (${drafts.length - 1} more after this)` : '';
+        this.showNotification(
+            `Unsaved draft of "${draft.title.trim() || 'Untitled'}" from ${DateUtils.getRelativeTime(draft.savedAt)}${more}.${warning}`,
+            warning ? 'error' : 'info',
+            {
+                label: 'Restore',
+                handler: () => {
+                    this.recoveringDrafts = true;
+                    this.openNoteEditor(status === 'deleted' ? null : draft.noteId, draft);
+                }
+            },
+            DRAFT_OFFER_DURATION
+        );
+        return true;
+    }
+
+    setEditorMode(mode) {
+        if (!this.editorPreview) return;
+        
+        this.editorPreview.setMode(mode);
+        this.updateEditorModeButtons();
+    }
+
+    updateEditorModeButtons() {
+        const mode = this.editorPreview.mode;
+        this.editorModeButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.editorMode === mode);
+            btn.setAttribute('aria-pressed', String(btn.dataset.editorMode === mode));
+        });
+        // Side by side needs the room
+        this.noteEditorModal?.querySelector('.modal-content')?.classList.toggle('wide', mode === 'split');
     }
 
     closeNoteEditor() {
+        // Closing without saving keeps what was typed as a draft
+        const draftId = this.currentDraftId;
+        const kept = this.saveDraft();
+        const title = this.noteTitleInput?.value.trim() || 'Untitled';
+        
         this.noteEditorModal?.classList.add('hidden');
         this.currentEditingNote = null;
+        this.currentDraftId = null;
         this.suggestedTags?.classList.remove('show');
+        this.linkAutocomplete?.close();
+        
+        if (this.recoveringDrafts && this.offerDraftRecovery()) return;
+        if (kept) {
+            this.showNotification(`Draft of "${title}" kept`, 'info', {
+                label: 'Discard',
+                handler: () => this.noteManager.discardDraft(draftId)
+            });
+        }
     }
 
     saveNote() {
@@ -563,24 +1404,63 @@ class UIManager {
         
         if (this.currentEditingNote) {
             // Update existing note
+            const oldTitle = this.noteManager.getNote(this.currentEditingNote)?.title;
             this.noteManager.updateNote(this.currentEditingNote, {
                 title,
                 content,
                 tags: tags ? tags.split(',').map(tag => tag.trim()) : []
             });
+            
+            if (oldTitle && oldTitle.toLowerCase() !== title.toLowerCase()) {
+                this.offerLinkRewrite(oldTitle, title);
+            }
         } else {
             // Create new note
             const note = new Note(title, content, tags);
             this.noteManager.addNote(note);
         }
         
+        this.noteManager.discardDraft(this.currentDraftId);
+        this.currentDraftId = null;
         this.closeNoteEditor();
     }
 
+    // Titles for [[ completion, most recently updated first, without the note being edited
+    getLinkableTitles() {
+        const titles = this.noteManager.getAllNotes()
+            .filter(note => note.id !== this.currentEditingNote)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .map(note => note.title);
+        return [...new Set(titles)];
+    }
+
+    // Linking to a title that doesn't exist yet creates an empty note for it
+    createStubNote(title) {
+        this.noteManager.addNote(new Note(title, '', []));
+    }
+
+    offerLinkRewrite(oldTitle, newTitle) {
+        const linkingNotes = this.noteManager.getNotesLinkingTo(oldTitle);
+        if (linkingNotes.length === 0) return;
+        
+        const count = linkingNotes.length;
+        const message = `${count} note${count !== 1 ? 's' : ''} link${count === 1 ? 's' : ''} to "${oldTitle}". ` +
+            `Update ${count === 1 ? 'it' : 'them'} to point to "${newTitle}"?`;
+        if (!confirm(message)) return;
+        
+        const { notesUpdated, linksUpdated } = this.noteManager.rewriteLinks(oldTitle, newTitle);
+        this.showNotification(
+            `Updated ${linksUpdated} link${linksUpdated !== 1 ? 's' : ''} in ${notesUpdated} note${notesUpdated !== 1 ? 's' : ''}`,
+            'success',
+            this.undoAction()
+        );
+    }
+
     openNoteDetail(noteId) {
         const note = this.noteManager.getNote(noteId);
         if (!note) return;
         
+        this.currentDetailNote = noteId;
         if (this.detailTitle) this.detailTitle.textContent = note.title;
         if (this.detailCreated) this.detailCreated.textContent = this.formatDate(note.createdAt);
         if (this.detailUpdated) this.detailUpdated.textContent = this.formatDate(note.updatedAt);
@@ -610,15 +1490,202 @@ class UIManager {
             }
         }
         
+        this.renderUnlinkedMentions(noteId);
+        
         // Set up action buttons
         if (this.editNoteBtn) this.editNoteBtn.onclick = () => this.openNoteEditor(noteId);
         if (this.deleteNoteBtn) this.deleteNoteBtn.onclick = () => this.deleteNote(noteId);
         
+        if (this.historyPanel && !this.historyPanel.classList.contains('hidden')) {
+            this.renderHistory(noteId);
+        }
+        
         this.noteDetailModal?.classList.remove('hidden');
+        this.renderLocalGraph(noteId);
+    }
+
+    renderUnlinkedMentions(noteId) {
+        if (!this.unlinkedMentionsEl) return;
+        
+        const groups = this.noteManager.getUnlinkedMentions(noteId);
+        if (groups.length === 0) {
+            this.unlinkedMentionsEl.innerHTML = '';
+            return;
+        }
+        
+        this.unlinkedMentionsEl.innerHTML = `
+            <h3>Unlinked Mentions</h3>
+            ${groups.map(({ note, mentions }) => `
+                <div class="mention-group">
+                    <div class="mention-group-header">
+                        <a href="#" class="mention-source" data-mention-action="open" data-source-id="${this.escapeHtml(note.id)}">
+                            ${this.escapeHtml(note.title)}
+                        </a>
+                        ${mentions.length > 1 ? `
+                            <button class="note-action" data-mention-action="link-all" data-source-id="${this.escapeHtml(note.id)}" title="Link all ${mentions.length} mentions">
+                                <span class="material-icons">done_all</span>
+                            </button>
+                        ` : ''}
+                    </div>
+                    ${mentions.map(mention => `
+                        <div class="mention">
+                            <span class="mention-context">${this.mentionSnippet(note.content, mention)}</span>
+                            <button class="note-action" data-mention-action="link" data-source-id="${this.escapeHtml(note.id)}" data-start="${mention.start}" title="Link this mention">
+                                <span class="material-icons">add_link</span>
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    // Called once the detail modal is visible, so the panel has its size
+    renderLocalGraph(noteId) {
+        if (!this.localGraphContainer || !window.GraphRenderer) return;
+        
+        // Reused while the detail view moves between notes
+        if (this.localGraph) {
+            this.localGraph.setFocus(noteId);
+        } else {
+            this.localGraph = new GraphRenderer(this.localGraphContainer, this.noteManager, {
+                focusId: noteId,
+                depth: this.localGraphDepthInput?.value,
+                includeTags: this.localGraphTagsToggle?.checked
+            });
+        }
+    }
+
+    // Version history
+    toggleHistory() {
+        if (!this.historyPanel || !this.currentDetailNote) return;
+        
+        this.historyPanel.classList.toggle('hidden');
+        this.toggleHistoryBtn?.classList.toggle('active', !this.historyPanel.classList.contains('hidden'));
+        if (!this.historyPanel.classList.contains('hidden')) {
+            this.renderHistory(this.currentDetailNote);
+        }
+    }
+
+    async renderHistory(noteId) {
+        if (!this.historyList) return;
+        
+        const revisions = await this.noteManager.getRevisions(noteId);
+        if (noteId !== this.currentDetailNote) return;
+        this.currentRevisions = revisions;
+        
+        if (this.historyLimitSelect) {
+            this.historyLimitSelect.value = String(this.noteManager.history.getLimit());
+        }
+        
+        this.historyList.innerHTML = '';
+        if (revisions.length === 0) {
+            this.historyList.innerHTML = '<div class="history-empty">No earlier versions yet. Revisions are recorded each time the note is saved.</div>';
+        }
+        
+        // Newest first
+        revisions.slice().reverse().forEach((revision, reverseIndex) => {
+            const index = revisions.length - 1 - reverseIndex;
+            const previous = revisions[index - 1];
+            const summary = previous
+                ? DiffUtils.summarize(DiffUtils.diffLines(previous.content, revision.content))
+                : null;
+            const isCurrent = index === revisions.length - 1;
+            
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.innerHTML = `
+                <div class="history-item-info">
+                    <div class="history-item-date">${this.formatDate(revision.timestamp)}${isCurrent ? ' <span class="history-current">current</span>' : ''}</div>
+                    <div class="history-item-title">${this.escapeHtml(revision.title)}</div>
+                    <div class="history-item-summary">
+                        ${summary ? `<span class="diff-stat added">+${summary.added}</span> <span class="diff-stat removed">−${summary.removed}</span>` : 'Initial version'}
+                    </div>
+                </div>
+                ${isCurrent ? '' : `
+                    <button class="secondary-btn history-restore" title="Restore this version">
+                        <span class="material-icons btn-icon">restore</span>
+                        Restore
+                    </button>
+                `}
+            `;
+            
+            item.addEventListener('click', (e) => {
+                if (e.target.closest('.history-restore')) {
+                    this.restoreRevision(noteId, revision.id);
+                    return;
+                }
+                this.selectRevisionPair(previous ? previous.id : revision.id, revision.id);
+            });
+            this.historyList.appendChild(item);
+        });
+        
+        const options = revisions.slice().reverse().map(revision =>
+            `<option value="${revision.id}">${this.escapeHtml(this.formatDate(revision.timestamp))}</option>`
+        ).join('');
+        if (this.historyFromSelect) this.historyFromSelect.innerHTML = options;
+        if (this.historyToSelect) this.historyToSelect.innerHTML = options;
+        
+        if (revisions.length > 0) {
+            const latest = revisions[revisions.length - 1];
+            const before = revisions[revisions.length - 2] || latest;
+            this.selectRevisionPair(before.id, latest.id);
+        } else if (this.historyDiff) {
+            this.historyDiff.innerHTML = '';
+        }
+    }
+
+    selectRevisionPair(fromId, toId) {
+        if (this.historyFromSelect) this.historyFromSelect.value = fromId;
+        if (this.historyToSelect) this.historyToSelect.value = toId;
+        this.renderHistoryDiff();
+    }
+
+    renderHistoryDiff() {
+        if (!this.historyDiff) return;
+        
+        const from = this.currentRevisions.find(r => r.id === this.historyFromSelect?.value);
+        const to = this.currentRevisions.find(r => r.id === this.historyToSelect?.value);
+        if (!from || !to) {
+            this.historyDiff.innerHTML = '';
+            return;
+        }
+        
+        const lines = [];
+        if (from.title !== to.title) {
+            lines.push(`<div class="diff-meta">Title: <del>${this.escapeHtml(from.title)}</del> → <ins>${this.escapeHtml(to.title)}</ins></div>`);
+        }
+        if (from.tags.join(', ') !== to.tags.join(', ')) {
+            lines.push(`<div class="diff-meta">Tags: <del>${this.escapeHtml(from.tags.join(', ') || 'none')}</del> → <ins>${this.escapeHtml(to.tags.join(', ') || 'none')}</ins></div>`);
+        }
+        
+        const operations = DiffUtils.diffLines(from.content, to.content);
+        const markers = { equal: ' ', added: '+', removed: '−' };
+        lines.push(...operations.map(operation =>
+            `<div class="diff-line ${operation.type}"><span class="diff-marker">${markers[operation.type]}</span>${this.escapeHtml(operation.text) || '&nbsp;'}</div>`
+        ));
+        
+        this.historyDiff.innerHTML = from.id === to.id
+            ? '<div class="history-empty">Select two different versions to compare.</div>'
+            : lines.join('');
+    }
+
+    async restoreRevision(noteId, revisionId) {
+        if (!confirm('Restore this version? The current version stays in the history.')) return;
+        
+        const restored = await this.noteManager.restoreRevision(noteId, revisionId);
+        if (restored) {
+            this.openNoteDetail(noteId);
+        } else {
+            this.showNotification('That version is no longer available', 'error');
+        }
     }
 
     closeNoteDetail() {
         this.noteDetailModal?.classList.add('hidden');
+        // A hidden local graph would keep its worker and follow every note change
+        this.localGraph?.destroy();
+        this.localGraph = null;
     }
 
     editCurrentNote() {
@@ -637,10 +1704,9 @@ class UIManager {
         }
     }
 
+    // Deleting only moves the note to the trash, so no confirmation is needed
     deleteNote(noteId) {
-        if (confirm('Are you sure you want to delete this note?')) {
-            this.noteManager.deleteNote(noteId);
-        }
+        this.noteManager.deleteNote(noteId);
     }
 
     filterByTag(tag) {
@@ -650,6 +1716,29 @@ class UIManager {
         this.renderNotes();
     }
 
+    renameTag(tag) {
+        const newTag = prompt(`Rename tag "${tag}" to:`, tag);
+        if (!newTag || !newTag.trim() || newTag.trim() === tag) return;
+        
+        const count = this.noteManager.renameTag(tag, newTag);
+        this.showNotification(
+            `Renamed "${tag}" to "${newTag.trim()}" in ${count} note${count !== 1 ? 's' : ''}`,
+            'success',
+            this.undoAction()
+        );
+    }
+
+    removeTag(tag) {
+        if (!confirm(`Remove the tag "${tag}" from every note?`)) return;
+        
+        const count = this.noteManager.removeTag(tag);
+        this.showNotification(
+            `Removed "${tag}" from ${count} note${count !== 1 ? 's' : ''}`,
+            'success',
+            this.undoAction()
+        );
+    }
+
     openRandomNote() {
         const randomNote = this.noteManager.getRandomNote();
         if (randomNote) {
@@ -659,6 +1748,213 @@ class UIManager {
         }
     }
 
+    // Import & export
+    exportJson() {
+        const date = new Date().toISOString().split('T')[0];
+        FileUtils.downloadAsFile(this.noteManager.exportNotes(), `notemesh-export-${date}.json`);
+    }
+
+    exportMarkdownVault() {
+        if (this.noteManager.getAllNotes().length === 0) {
+            this.showNotification('No notes to export', 'info');
+            return;
+        }
+        
+        const date = new Date().toISOString().split('T')[0];
+        FileUtils.downloadAsFile(
+            this.noteManager.exportMarkdownVault(),
+            `notemesh-vault-${date}.zip`,
+            'application/zip'
+        );
+    }
+
+    /**
+     * Download the graph as shown (filters, layout and camera) in one of
+     * 'svg', 'png', 'graphml' or 'gexf'
+     * @param {string} format - Export format
+     */
+    async exportGraph(format) {
+        const renderer = this.graphRenderer;
+        if (!renderer || renderer.view.nodes.length === 0) {
+            this.showNotification('No notes in the graph to export', 'info');
+            return;
+        }
+        
+        const name = `notemesh-graph-${new Date().toISOString().split('T')[0]}`;
+        try {
+            switch (format) {
+                case 'svg':
+                    FileUtils.downloadAsFile(GraphExport.toSVG(renderer), `${name}.svg`, 'image/svg+xml');
+                    break;
+                case 'png':
+                    FileUtils.downloadAsFile(await GraphExport.toPNG(renderer), `${name}.png`, 'image/png');
+                    break;
+                case 'graphml':
+                    FileUtils.downloadAsFile(GraphExport.toGraphML(renderer), `${name}.graphml`, 'application/graphml+xml');
+                    break;
+                case 'gexf':
+                    FileUtils.downloadAsFile(GraphExport.toGEXF(renderer), `${name}.gexf`, 'application/gexf+xml');
+                    break;
+            }
+        } catch (error) {
+            console.error('Graph export failed:', error);
+            this.showNotification('Could not export the graph', 'error');
+        }
+    }
+
+    async importFiles(files) {
+        if (files.length === 0) return;
+        
+        const records = [];
+        const markdownFiles = [];
+        try {
+            for (const file of files) {
+                const name = file.name.toLowerCase();
+                if (name.endsWith('.json')) {
+                    records.push(...NoteManager.parseNotesExport(await FileUtils.readAsText(file)));
+                } else if (name.endsWith('.zip')) {
+                    const entries = await FileUtils.readZip(await FileUtils.readAsArrayBuffer(file));
+                    records.push(...NoteManager.readMarkdownVault(entries));
+                } else {
+                    markdownFiles.push({
+                        name: file.name,
+                        data: await FileUtils.readAsText(file),
+                        date: new Date(file.lastModified)
+                    });
+                }
+            }
+            records.push(...NoteManager.readMarkdownVault(markdownFiles));
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.showNotification(`Import failed: ${error.message}`, 'error');
+            return;
+        }
+        
+        if (records.length === 0) {
+            this.showNotification('No notes found to import', 'info');
+            return;
+        }
+        
+        this.openImportPreview(this.noteManager.previewImport(records));
+    }
+
+    openImportPreview(preview) {
+        this.pendingImport = preview;
+        this.renderImportPreview();
+        this.importPreviewModal?.classList.remove('hidden');
+    }
+
+    closeImportPreview() {
+        this.pendingImport = null;
+        this.importPreviewModal?.classList.add('hidden');
+    }
+
+    renderImportPreview() {
+        if (!this.importPreviewList || !this.pendingImport) return;
+        
+        const statusLabels = {
+            new: 'New',
+            identical: 'Identical',
+            newer: 'Newer',
+            older: 'Older',
+            conflicting: 'Conflict',
+            invalid: 'Invalid'
+        };
+        const resolutionLabels = {
+            'keep-local': 'Keep local',
+            'take-incoming': 'Use incoming',
+            'keep-both': 'Keep both',
+            merge: 'Merge'
+        };
+        
+        this.importPreviewList.innerHTML = this.pendingImport.map((item, index) => {
+            const { incoming, local, status } = item;
+            if (status === 'invalid') {
+                return `
+                    <div class="import-item invalid">
+                        <div class="import-item-info">
+                            <div class="import-item-title">
+                                ${this.escapeHtml(NoteManager.describeRecord(item.record))}
+                                <span class="import-status invalid">${statusLabels[status]}</span>
+                            </div>
+                            <div class="import-item-meta">${this.escapeHtml(item.errors.join(', '))}</div>
+                        </div>
+                        <span class="import-item-meta">Will be skipped</span>
+                    </div>
+                `;
+            }
+            
+            const options = status === 'new'
+                ? [['take-incoming', 'Import'], ['keep-local', 'Skip']]
+                : Object.entries(resolutionLabels);
+            const comparison = local
+                ? `Local: ${this.escapeHtml(local.title)}, updated ${this.formatDate(local.updatedAt)} · Incoming: updated ${this.formatDate(incoming.updatedAt)}`
+                : `Updated ${this.formatDate(incoming.updatedAt)}`;
+            
+            return `
+                <div class="import-item">
+                    <div class="import-item-info">
+                        <div class="import-item-title">
+                            ${this.escapeHtml(incoming.title)}
+                            <span class="import-status ${status}">${statusLabels[status]}</span>
+                        </div>
+                        <div class="import-item-meta">${comparison}</div>
+                    </div>
+                    <select class="filter-select" data-import-index="${index}">
+                        ${options.map(([value, label]) => `
+                            <option value="${value}" ${value === item.resolution ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `;
+        }).join('');
+        
+        this.renderImportSummary();
+    }
+
+    renderImportSummary() {
+        if (!this.importPreviewSummary || !this.pendingImport) return;
+        
+        const counts = {};
+        this.pendingImport.forEach(({ status }) => {
+            counts[status] = (counts[status] || 0) + 1;
+        });
+        const changes = this.pendingImport.filter(item =>
+            item.resolution !== 'keep-local' && item.resolution !== 'reject'
+        ).length;
+        
+        this.importPreviewSummary.innerHTML = `
+            ${['new', 'newer', 'older', 'conflicting', 'identical', 'invalid']
+                .filter(status => counts[status])
+                .map(status => `<span class="import-status ${status}">${counts[status]} ${status}</span>`)
+                .join('')}
+            <span class="import-summary-changes">${changes} of ${this.pendingImport.length} will be imported</span>
+        `;
+    }
+
+    applyPendingImport() {
+        if (!this.pendingImport) return;
+        
+        const report = this.noteManager.applyImport(this.pendingImport);
+        const changed = report.added + report.updated + report.merged + report.keptBoth;
+        this.closeImportPreview();
+        
+        const parts = [
+            [report.added, 'added'],
+            [report.updated, 'updated'],
+            [report.merged, 'merged'],
+            [report.keptBoth, 'kept as copies'],
+            [report.skipped, 'skipped'],
+            [report.rejected, 'rejected as invalid']
+        ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+        
+        this.showNotification(
+            `Import complete: ${parts.join(', ')}`,
+            report.rejected > 0 ? 'info' : 'success',
+            changed > 0 ? this.undoAction() : null
+        );
+    }
+
     showTagSuggestions(input) {
         if (!this.suggestedTags) return;
         
@@ -697,16 +1993,19 @@ class UIManager {
     }
 
     renderNoteContent(content) {
-        // Convert [[Note Title]] links to clickable links
-        return content.replace(/\[\[([^\]]+)\]\]/g, (match, noteTitle) => {
-            const linkedNote = this.noteManager.getAllNotes().find(note => 
-                note.title.toLowerCase() === noteTitle.toLowerCase()
-            );
-            
-            if (linkedNote) {
-                return `<a href="#" class="note-link" onclick="app.openNoteDetail('${linkedNote.id}'); return false;">${this.escapeHtml(noteTitle)}</a>`;
-            } else {
-                return `<span class="note-link-missing" title="Note not found">${this.escapeHtml(noteTitle)}</span>`;
+        // Render Markdown (sanitized) and turn [[Note Title]] links into clickable links
+        return MarkdownUtils.render(content, {
+            resolveWikiLink: (noteTitle, alias) => {
+                const label = this.escapeHtml(alias || noteTitle);
+                const linkedNote = this.noteManager.getAllNotes().find(note => 
+                    note.title.toLowerCase() === noteTitle.toLowerCase()
+                );
+                
+                if (linkedNote) {
+                    return `<a href="#" class="note-link" onclick="app.openNoteDetail('${linkedNote.id}'); return false;">${label}</a>`;
+                } else {
+                    return `<span class="note-link-missing" title="Note not found">${label}</span>`;
+                }
             }
         });
     }
@@ -735,6 +2034,21 @@ class UIManager {
             this.openNoteEditor();
         }
         
+        // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y: Redo
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        }
+        
+        if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+        
         // Ctrl/Cmd + K: Focus search
         if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
             e.preventDefault();
@@ -747,20 +2061,77 @@ class UIManager {
                 this.closeNoteEditor();
             } else if (this.noteDetailModal && !this.noteDetailModal.classList.contains('hidden')) {
                 this.closeNoteDetail();
+            } else if (this.importPreviewModal && !this.importPreviewModal.classList.contains('hidden')) {
+                this.closeImportPreview();
             }
         }
     }
 
-    showNotification(message, type = 'success') {
+    /**
+     * Show a toast message
+     * @param {string} message - Text to show
+     * @param {string} type - 'success', 'error' or 'info'
+     * @param {Object} action - Optional button: { label, handler }
+     * @param {number} duration - Optional time shown in ms
+     */
+    showNotification(message, type = 'success', action = null, duration = null) {
         if (!this.notificationText || !this.notification) return;
         
         this.notificationText.textContent = message;
         this.notification.className = `notification ${type}`;
         this.notification.classList.remove('hidden');
         
-        setTimeout(() => {
+        if (this.notificationAction) {
+            this.notificationAction.textContent = action ? action.label : '';
+            this.notificationAction.classList.toggle('hidden', !action);
+            this.notificationAction.onclick = action ? () => {
+                this.notification.classList.add('hidden');
+                action.handler();
+            } : null;
+        }
+        
+        // Leave toasts with an action up longer, and don't let an older timer hide a newer toast
+        clearTimeout(this.notificationTimer);
+        this.notificationTimer = setTimeout(() => {
             this.notification.classList.add('hidden');
-        }, 3000);
+        }, duration || (action ? 6000 : 3000));
+    }
+
+    undoAction() {
+        return { label: 'Undo', handler: () => this.undo() };
+    }
+
+    // Undo / redo
+    undo() {
+        const command = this.noteManager.undo();
+        if (!command) {
+            this.showNotification('Nothing to undo', 'info');
+            return;
+        }
+        this.refreshDetailAfterUndo();
+        this.showNotification(`Undid ${this.describeCommand(command)}`, 'info', { label: 'Redo', handler: () => this.redo() });
+    }
+
+    redo() {
+        const command = this.noteManager.redo();
+        if (!command) {
+            this.showNotification('Nothing to redo', 'info');
+            return;
+        }
+        this.refreshDetailAfterUndo();
+        this.showNotification(`Redid ${this.describeCommand(command)}`, 'info', this.undoAction());
+    }
+    
+    // 'Add note' -> 'add note', to follow "Undid"/"Redid"
+    describeCommand(command) {
+        return command.label.charAt(0).toLowerCase() + command.label.slice(1);
+    }
+
+    refreshDetailAfterUndo() {
+        const detailOpen = this.noteDetailModal && !this.noteDetailModal.classList.contains('hidden');
+        if (detailOpen && this.noteManager.getNote(this.currentDetailNote)) {
+            this.openNoteDetail(this.currentDetailNote);
+        }
     }
 
     formatDate(date) {
@@ -773,10 +2144,11 @@ class UIManager {
         });
     }
 
+    // Safe in element content and in quoted attributes
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     // Mobile Navigation Methods
@@ -0,0 +1,86 @@
+/* Undo Manager
+   Undo/redo stacks of reversible commands
+*/
+
+const UNDO_LIMIT = 100;
+
+class UndoManager {
+    constructor(limit = UNDO_LIMIT) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record a command that has just been performed.
+     * Recording a new command discards anything that could be redone.
+     * @param {Object} command - { label, ids, undo(), redo() }; ids are the notes it touches
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Revert the most recent command
+     * @returns {Object|null} The command that was undone
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Re-apply the most recently undone command
+     * @returns {Object|null} The command that was redone
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.redo();
+        this.undoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Drop every command that touches one of the ids, from both stacks
+     * @param {Array<string>} ids - Notes that can no longer be brought back
+     * @returns {number} Commands dropped
+     */
+    forget(ids) {
+        const gone = new Set(ids);
+        const keep = command => !(command.ids || []).some(id => gone.has(id));
+        const count = this.undoStack.length + this.redoStack.length;
+        this.undoStack = this.undoStack.filter(keep);
+        this.redoStack = this.redoStack.filter(keep);
+        return count - this.undoStack.length - this.redoStack.length;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UndoManager;
+} else {
+    window.UndoManager = UndoManager;
+}
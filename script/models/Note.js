@@ -11,6 +11,7 @@ class Note {
         this.createdAt = new Date();
         this.updatedAt = new Date();
         this.links = this.extractLinks(content);
+        this.relations = this.extractRelations(content);
         this.wordCount = this.calculateWordCount(content);
     }
 
@@ -26,16 +27,190 @@ class Note {
     }
 
     extractLinks(content) {
-        // Extract [[Note Title]] style links
+        // Extract [[Note Title]], [[Note Title|Alias]] and [[Note Title|rel:type]] style links
         const linkRegex = /\[\[([^\]]+)\]\]/g;
         const links = [];
         let match;
         while ((match = linkRegex.exec(content)) !== null) {
-            links.push(match[1].trim());
+            const { target } = Note.parseLink(match[1]);
+            if (target) links.push(target);
         }
         return [...new Set(links)]; // Remove duplicates
     }
 
+    /**
+     * Typed relations to other notes: [[Target|rel:type]] links, and front
+     * matter keys whose values are links (e.g. `supports: "[[Target]]"`)
+     * @param {string} content - Note content
+     * @returns {Array<Object>} { target, type }, one per target and type
+     */
+    extractRelations(content) {
+        const relations = Note.frontMatterRelations(content);
+        const linkRegex = /\[\[([^\]]+)\]\]/g;
+        let match;
+        while ((match = linkRegex.exec(content)) !== null) {
+            const { target, rel } = Note.parseLink(match[1]);
+            if (target && rel) relations.push({ target, type: rel });
+        }
+
+        const seen = new Set();
+        return relations.filter(relation => {
+            const key = `${relation.target.toLowerCase()}|${relation.type}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Relations declared in a leading front matter block; the key is the type
+     * @param {string} content - Note content
+     * @returns {Array<Object>} { target, type }
+     */
+    static frontMatterRelations(content) {
+        const match = content.match(/^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+        if (!match) return [];
+
+        const relations = [];
+        let key = null;
+        match[1].split(/\r?\n/).forEach(line => {
+            // Block list items continue the previous key
+            const pair = line.match(/^([\w-]+)\s*:(.*)$/);
+            if (pair) key = pair[1].toLowerCase();
+            if (!key) return;
+
+            (line.match(/\[\[([^\]]+)\]\]/g) || []).forEach(link => {
+                const { target } = Note.parseLink(link.slice(2, -2));
+                if (target) relations.push({ target, type: key });
+            });
+        });
+        return relations;
+    }
+
+    /**
+     * Split the inside of a [[...]] link into its target, optional relation
+     * type and optional alias
+     * @param {string} inner - Text between the brackets, e.g. 'Target|Alias' or 'Target|rel:supports'
+     * @returns {Object} { target, alias, rel }
+     */
+    static parseLink(inner) {
+        const [target, ...rest] = inner.split('|');
+        const rel = rest.length > 0 && /^rel:/i.test(rest[0].trim())
+            ? rest.shift().trim().slice(4).trim().toLowerCase()
+            : null;
+        return {
+            target: target.trim(),
+            alias: rest.join('|').trim() || null,
+            rel: rel || null
+        };
+    }
+
+    /**
+     * Replace [[oldTitle]] links (any case) with [[newTitle]], keeping aliases
+     * @param {string} content - Note content
+     * @param {string} oldTitle - Title being renamed
+     * @param {string} newTitle - Replacement title
+     * @returns {Object} { content, count } - Rewritten content and links changed
+     */
+    static renameLinks(content, oldTitle, newTitle) {
+        let count = 0;
+        const renamed = content.replace(/\[\[([^\]]+)\]\]/g, (match, inner) => {
+            const { target } = Note.parseLink(inner);
+            if (target.toLowerCase() !== oldTitle.trim().toLowerCase()) return match;
+
+            count++;
+            const separator = inner.indexOf('|');
+            return `[[${newTitle}${separator === -1 ? '' : inner.slice(separator)}]]`;
+        });
+        return { content: renamed, count };
+    }
+
+    /**
+     * Other names the note goes by, from an `aliases` (or `alias`) front
+     * matter key holding a list or a comma-separated string
+     * @returns {Array<string>} Aliases
+     */
+    getAliases() {
+        const { data } = FrontMatterUtils.parse(this.content);
+        const value = data.aliases !== undefined ? data.aliases : data.alias;
+        const aliases = Array.isArray(value) ? value : String(value || '').split(',');
+        return aliases.map(alias => String(alias).trim()).filter(alias => alias.length > 0);
+    }
+
+    /**
+     * Plain-text occurrences of any of the terms, as whole words in any case.
+     * Text that is already a link, code, a URL or front matter is skipped;
+     * where terms overlap the longest wins.
+     * @param {string} content - Note content
+     * @param {Array<string>} terms - Title and aliases to look for
+     * @returns {Array<Object>} { start, end, text }, in order
+     */
+    static findMentions(content, terms) {
+        const skipped = Note.unmentionableRanges(content);
+        const mentions = [];
+        const overlaps = (start, end) => skipped.concat(mentions).some(range => start < range.end && end > range.start);
+
+        // Single characters would match all over the vault
+        [...new Set(terms.map(term => term.trim()).filter(term => term.length > 1))]
+            .sort((a, b) => b.length - a.length)
+            .forEach(term => {
+                const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'giu');
+                let match;
+                while ((match = pattern.exec(content)) !== null) {
+                    const start = match.index;
+                    const end = start + match[0].length;
+                    if (!overlaps(start, end)) mentions.push({ start, end, text: match[0] });
+                }
+            });
+
+        return mentions.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Parts of the content where a mention shouldn't be turned into a link
+     * @param {string} content - Note content
+     * @returns {Array<Object>} { start, end }
+     */
+    static unmentionableRanges(content) {
+        const patterns = [
+            /^---\r?\n[\s\S]*?\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/g, // Front matter (start of note only)
+            /^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^ {0,3}\1[ \t]*$|(?![\s\S]))/gm, // Code fences
+            /`[^`\n]+`/g, // Inline code
+            /\[\[[^\]]+\]\]/g, // Wiki-links
+            /!?\[[^\]\n]*\]\([^)\n]*\)/g, // Markdown links and images
+            /(?:https?:\/\/|www\.)\S+/g // Bare URLs
+        ];
+
+        const ranges = [];
+        patterns.forEach(pattern => {
+            let match;
+            while ((match = pattern.exec(content)) !== null) {
+                ranges.push({ start: match.index, end: match.index + match[0].length });
+                if (match[0].length === 0) pattern.lastIndex++;
+            }
+        });
+        return ranges;
+    }
+
+    /**
+     * Turn mentions into [[links]] to the title; text that differs from the
+     * title (an alias, other casing) is kept as the link's alias
+     * @param {string} content - Note content
+     * @param {Array<Object>} mentions - { start, end, text } from findMentions
+     * @param {string} title - Title to link to
+     * @returns {string} Content with the mentions linked
+     */
+    static linkMentions(content, mentions, title) {
+        // Back to front, so earlier offsets stay valid
+        return [...mentions]
+            .sort((a, b) => b.start - a.start)
+            .reduce((text, mention) => {
+                const link = mention.text === title ? `[[${title}]]` : `[[${title}|${mention.text}]]`;
+                return text.slice(0, mention.start) + link + text.slice(mention.end);
+            }, content);
+    }
+
     calculateWordCount(content) {
         return content.trim().split(/\s+/).filter(word => word.length > 0).length;
     }
@@ -44,6 +219,7 @@ class Note {
         this.content = newContent;
         this.updatedAt = new Date();
         this.links = this.extractLinks(newContent);
+        this.relations = this.extractRelations(newContent);
         this.wordCount = this.calculateWordCount(newContent);
     }
 
@@ -66,16 +242,23 @@ class Note {
             createdAt: this.createdAt.toISOString(),
             updatedAt: this.updatedAt.toISOString(),
             links: this.links,
-            wordCount: this.wordCount
+            wordCount: this.wordCount,
+            schemaVersion: NoteSchema.CURRENT_VERSION
         };
     }
 
+    /**
+     * Build a Note from a current-version record (run older or untrusted
+     * records through NoteSchema.prepare first)
+     * @param {Object} data - Serialized note
+     * @returns {Note} Note instance
+     */
     static deserialize(data) {
         const note = new Note(data.title, data.content, data.tags, data.id);
         note.createdAt = new Date(data.createdAt);
         note.updatedAt = new Date(data.updatedAt);
-        note.links = data.links || [];
-        note.wordCount = data.wordCount || 0;
+        note.links = data.links || note.links;
+        note.wordCount = data.wordCount || note.wordCount;
         return note;
     }
 
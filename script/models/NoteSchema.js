@@ -0,0 +1,194 @@
+/**
+ * Note Schema
+ * Versioning, step-by-step migrations and validation for serialized notes
+ * and the JSON export envelope
+ *
+ * Versions:
+ *   1  Original format. Export envelopes say version '1.0'; records carry no
+ *      version. Links were stored as the raw text between [[ ]], so aliased
+ *      links kept their '|alias' part, and dates could be timestamps.
+ *   2  Records carry schemaVersion. Dates are ISO strings, tags are trimmed
+ *      and de-duplicated, links hold link targets only.
+ */
+const NoteSchema = {
+    CURRENT_VERSION: 2,
+
+    // Ids end up in markup and element attributes, so they are kept to a plain charset
+    ID_PATTERN: /^[A-Za-z0-9_.:-]{1,128}$/,
+
+    // migrations[n] upgrades a version n record to version n + 1
+    migrations: {
+        1: (record) => {
+            const content = typeof record.content === 'string' ? record.content : '';
+            const toIsoDate = (value) => {
+                const date = new Date(value);
+                return value === undefined || value === null || isNaN(date) ? value : date.toISOString();
+            };
+            const tags = typeof record.tags === 'string' ? record.tags.split(',') : record.tags;
+
+            return {
+                ...record,
+                tags: Array.isArray(tags)
+                    ? [...new Set(tags.map(tag => typeof tag === 'string' ? tag.trim() : tag).filter(tag => tag !== ''))]
+                    : tags,
+                createdAt: toIsoDate(record.createdAt),
+                updatedAt: toIsoDate(record.updatedAt === undefined ? record.createdAt : record.updatedAt),
+                links: Note.prototype.extractLinks(content),
+                wordCount: Note.prototype.calculateWordCount(content),
+                schemaVersion: 2
+            };
+        }
+    },
+
+    /**
+     * Version of a serialized record
+     * @param {Object} record - Serialized note
+     * @param {number} fallback - Version to assume when the record has none
+     * @returns {number} Schema version
+     */
+    versionOf(record, fallback = 1) {
+        const version = Number(record && record.schemaVersion);
+        return Number.isInteger(version) && version > 0 ? version : fallback;
+    },
+
+    /**
+     * Upgrade a record to the current version, one migration at a time
+     * @param {Object} record - Serialized note
+     * @param {number} fallback - Version to assume when the record has none
+     * @returns {Object} Upgraded copy of the record
+     */
+    migrate(record, fallback = 1) {
+        let version = this.versionOf(record, fallback);
+        if (version > this.CURRENT_VERSION) {
+            throw new Error(`Schema version ${version} is newer than this app supports (${this.CURRENT_VERSION})`);
+        }
+
+        let migrated = { ...record };
+        while (version < this.CURRENT_VERSION) {
+            migrated = this.migrations[version](migrated);
+            version++;
+        }
+        return migrated;
+    },
+
+    /**
+     * Whether a value can be used as a note id
+     * @param {*} id - Candidate id
+     * @returns {boolean} True for strings of letters, digits, '_', '.', ':' and '-'
+     */
+    isSafeId(id) {
+        return typeof id === 'string' && this.ID_PATTERN.test(id);
+    },
+
+    /**
+     * Check a current-version record for missing or malformed fields
+     * @param {Object} record - Serialized note
+     * @returns {Array<string>} Problems found (empty when valid)
+     */
+    validate(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['Record is not an object'];
+        }
+
+        const errors = [];
+        const isDate = (value) => typeof value === 'string' && !isNaN(new Date(value));
+
+        if (record.id !== undefined && record.id !== null && !this.isSafeId(record.id)) {
+            errors.push('id must be up to 128 letters, digits, "_", ".", ":" or "-"');
+        }
+        if (typeof record.title !== 'string' || !record.title.trim()) {
+            errors.push('title must be a non-empty string');
+        }
+        if (typeof record.content !== 'string') {
+            errors.push('content must be a string');
+        }
+        if (!Array.isArray(record.tags) || record.tags.some(tag => typeof tag !== 'string')) {
+            errors.push('tags must be a list of strings');
+        }
+        if (!isDate(record.createdAt)) {
+            errors.push('createdAt must be a date');
+        }
+        if (!isDate(record.updatedAt)) {
+            errors.push('updatedAt must be a date');
+        }
+        return errors;
+    },
+
+    /**
+     * Migrate and validate a batch of records
+     * @param {Array<Object>} records - Serialized notes
+     * @param {number} fallback - Version to assume for records without one
+     * @returns {Object} { valid, migrated, invalid } - valid records (current
+     *                   version), ids of records that were upgraded, and
+     *                   { record, errors } for records that were rejected
+     */
+    prepare(records, fallback = 1) {
+        const report = { valid: [], migrated: [], invalid: [] };
+
+        records.forEach(record => {
+            let upgraded;
+            try {
+                upgraded = this.migrate(record, fallback);
+            } catch (error) {
+                report.invalid.push({ record, errors: [error.message] });
+                return;
+            }
+
+            const errors = this.validate(upgraded);
+            if (errors.length > 0) {
+                report.invalid.push({ record, errors });
+                return;
+            }
+
+            if (this.versionOf(record, fallback) < this.CURRENT_VERSION) {
+                report.migrated.push(upgraded.id);
+            }
+            report.valid.push(upgraded);
+        });
+
+        return report;
+    },
+
+    /**
+     * Build a JSON export envelope
+     * @param {Array<Note>} notes - Notes to export
+     * @returns {Object} Envelope
+     */
+    createEnvelope(notes) {
+        return {
+            notes: notes.map(note => note.serialize()),
+            exportDate: new Date().toISOString(),
+            version: `${this.CURRENT_VERSION}.0`
+        };
+    },
+
+    /**
+     * Read the records out of an export envelope of any supported version.
+     * Records without their own schemaVersion take the envelope's version.
+     * @param {Object} envelope - Parsed export file
+     * @returns {Array<Object>} Records, stamped with their schema version
+     */
+    readEnvelope(envelope) {
+        if (!envelope || !Array.isArray(envelope.notes)) {
+            throw new Error('File does not contain a NoteMesh notes export');
+        }
+
+        const version = parseInt(envelope.version, 10) || 1;
+        if (version > this.CURRENT_VERSION) {
+            throw new Error(`Export version ${envelope.version} is newer than this app supports`);
+        }
+
+        return envelope.notes.map(record =>
+            record && typeof record === 'object' && record.schemaVersion === undefined
+                ? { ...record, schemaVersion: version }
+                : record
+        );
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoteSchema;
+} else {
+    window.NoteSchema = NoteSchema;
+}
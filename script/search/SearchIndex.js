@@ -0,0 +1,309 @@
+// NoteMesh Search Index
+// Inverted index over note titles, tags and content with BM25 ranking
+
+const SEARCH_FIELDS = {
+    title: { boost: 3 },
+    tags: { boost: 2 },
+    content: { boost: 1 }
+};
+
+// BM25 tuning: k1 controls term-frequency saturation, b controls length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Prefix expansions (e.g. "pro" -> "project") score below exact matches
+const PREFIX_MATCH_WEIGHT = 0.5;
+
+class SearchIndex {
+    constructor(noteManager = null) {
+        this.docs = new Map();        // noteId -> { note, lengths, text }
+        this.postings = new Map();    // term -> Map(noteId -> { title, tags, content })
+        this.fieldTotals = { title: 0, tags: 0, content: 0 };
+
+        if (noteManager) {
+            this.attach(noteManager);
+        }
+    }
+
+    /**
+     * Keep the index in sync with a NoteManager's events
+     * @param {NoteManager} noteManager - Source of notes and change events
+     */
+    attach(noteManager) {
+        noteManager.on('noteAdded', note => this.addNote(note));
+        noteManager.on('noteRestored', note => this.addNote(note));
+        noteManager.on('noteUpdated', note => this.updateNote(note));
+        noteManager.on('notesUpdated', notes => notes.forEach(note => this.updateNote(note)));
+        noteManager.on('noteDeleted', ({ id }) => this.removeNote(id));
+        noteManager.on('notesReverted', ({ added, updated, removed }) => {
+            added.forEach(note => this.addNote(note));
+            updated.forEach(note => this.updateNote(note));
+            removed.forEach(({ id }) => this.removeNote(id));
+        });
+        noteManager.on('notesLoaded', () => this.rebuild(noteManager.getAllNotes()));
+        noteManager.on('notesImported', () => this.rebuild(noteManager.getAllNotes()));
+        this.rebuild(noteManager.getAllNotes());
+    }
+
+    rebuild(notes) {
+        this.docs.clear();
+        this.postings.clear();
+        this.fieldTotals = { title: 0, tags: 0, content: 0 };
+        notes.forEach(note => this.addNote(note));
+    }
+
+    addNote(note) {
+        if (this.docs.has(note.id)) {
+            this.removeNote(note.id);
+        }
+
+        const fieldTokens = {
+            title: SearchQuery.tokenize(note.title),
+            tags: SearchQuery.tokenize(note.tags.join(' ')),
+            content: SearchQuery.tokenize(note.content)
+        };
+
+        const lengths = {};
+        const text = {};
+        Object.entries(fieldTokens).forEach(([field, tokens]) => {
+            lengths[field] = tokens.length;
+            text[field] = ` ${tokens.join(' ')} `;
+            this.fieldTotals[field] += tokens.length;
+
+            tokens.forEach(token => {
+                if (!this.postings.has(token)) {
+                    this.postings.set(token, new Map());
+                }
+                const docPostings = this.postings.get(token);
+                if (!docPostings.has(note.id)) {
+                    docPostings.set(note.id, { title: 0, tags: 0, content: 0 });
+                }
+                docPostings.get(note.id)[field]++;
+            });
+        });
+
+        this.docs.set(note.id, { note, lengths, text, terms: new Set(Object.values(fieldTokens).flat()) });
+    }
+
+    updateNote(note) {
+        this.addNote(note);
+    }
+
+    removeNote(id) {
+        const doc = this.docs.get(id);
+        if (!doc) return;
+
+        doc.terms.forEach(term => {
+            const docPostings = this.postings.get(term);
+            if (!docPostings) return;
+            docPostings.delete(id);
+            if (docPostings.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+
+        Object.keys(this.fieldTotals).forEach(field => {
+            this.fieldTotals[field] -= doc.lengths[field];
+        });
+        this.docs.delete(id);
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Query string (see SearchQuery for syntax)
+     * @returns {Array<Object>} Ranked hits: { note, score, terms }
+     */
+    search(query) {
+        const clauses = SearchQuery.parse(query);
+        const positive = clauses.filter(clause => !clause.negated);
+        const negative = clauses.filter(clause => clause.negated);
+        const textClauses = positive.filter(clause => clause.type === 'term' || clause.type === 'phrase');
+
+        // Every positive text clause must match; each yields scored candidates
+        let candidates = null;
+        const matchesPerClause = textClauses.map(clause => {
+            const matches = this.matchTextClause(clause);
+            const ids = new Set(matches.keys());
+            candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+            return matches;
+        });
+
+        const ids = candidates || new Set(this.docs.keys());
+        const hits = [];
+
+        ids.forEach(id => {
+            const doc = this.docs.get(id);
+            if (!positive.every(clause => this.passesFilter(doc, clause))) return;
+            if (negative.some(clause => this.matchesClause(doc, clause))) return;
+
+            let score = 0;
+            const terms = new Set();
+            matchesPerClause.forEach(matches => {
+                const match = matches.get(id);
+                score += match.score;
+                match.terms.forEach(term => terms.add(term));
+            });
+
+            hits.push({ note: doc.note, score, terms: Array.from(terms) });
+        });
+
+        return hits.sort((a, b) => (b.score - a.score) || (b.note.updatedAt - a.note.updatedAt));
+    }
+
+    /**
+     * Find documents matching a term or phrase clause
+     * @param {Object} clause - Text clause from SearchQuery.parse
+     * @returns {Map} noteId -> { score, terms }
+     */
+    matchTextClause(clause) {
+        const fields = clause.field === 'title' ? ['title'] : Object.keys(SEARCH_FIELDS);
+        const results = new Map();
+
+        const addScore = (id, score, term) => {
+            if (!results.has(id)) {
+                results.set(id, { score: 0, terms: [] });
+            }
+            const result = results.get(id);
+            result.score += score;
+            if (!result.terms.includes(term)) result.terms.push(term);
+        };
+
+        if (clause.type === 'phrase') {
+            const phrase = ` ${clause.value} `;
+            const perToken = clause.tokens.map(token => this.scoreTerm(token, fields));
+            const [first, ...rest] = perToken;
+
+            first.forEach((score, id) => {
+                if (!rest.every(tokenScores => tokenScores.has(id))) return;
+                const doc = this.docs.get(id);
+                if (!fields.some(field => doc.text[field].includes(phrase))) return;
+
+                const total = perToken.reduce((sum, tokenScores) => sum + tokenScores.get(id), 0);
+                addScore(id, total, clause.value);
+            });
+            return results;
+        }
+
+        this.expandTerm(clause.value).forEach(({ term, weight }) => {
+            this.scoreTerm(term, fields).forEach((score, id) => addScore(id, score * weight, term));
+        });
+        return results;
+    }
+
+    /**
+     * Vocabulary terms a query token should match: itself, plus prefix completions
+     * @param {string} token - Query token
+     * @returns {Array<Object>} { term, weight }
+     */
+    expandTerm(token) {
+        const expansions = [];
+        this.postings.forEach((docPostings, term) => {
+            if (term === token) {
+                expansions.push({ term, weight: 1 });
+            } else if (term.startsWith(token)) {
+                expansions.push({ term, weight: PREFIX_MATCH_WEIGHT });
+            }
+        });
+        return expansions;
+    }
+
+    /**
+     * BM25 score of one term for every document containing it
+     * @param {string} term - Index term
+     * @param {Array<string>} fields - Fields to score
+     * @returns {Map} noteId -> score
+     */
+    scoreTerm(term, fields) {
+        const scores = new Map();
+        const docPostings = this.postings.get(term);
+        if (!docPostings) return scores;
+
+        const docCount = this.docs.size;
+
+        fields.forEach(field => {
+            let docFrequency = 0;
+            docPostings.forEach(counts => {
+                if (counts[field] > 0) docFrequency++;
+            });
+            if (docFrequency === 0) return;
+
+            const idf = Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+            const avgLength = this.fieldTotals[field] / docCount || 1;
+
+            docPostings.forEach((counts, id) => {
+                const tf = counts[field];
+                if (tf === 0) return;
+
+                const length = this.docs.get(id).lengths[field];
+                const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (length / avgLength));
+                const score = idf * ((tf * (BM25_K1 + 1)) / norm) * SEARCH_FIELDS[field].boost;
+                scores.set(id, (scores.get(id) || 0) + score);
+            });
+        });
+
+        return scores;
+    }
+
+    // Non-text clauses act as filters
+    passesFilter(doc, clause) {
+        if (clause.type === 'tag' || clause.type === 'date') {
+            return this.matchesClause(doc, clause);
+        }
+        return true;
+    }
+
+    // Used for exclusions, so it matches what the clause would find as a positive one
+    matchesClause(doc, clause) {
+        const fields = clause.field === 'title' ? ['title'] : Object.keys(SEARCH_FIELDS);
+
+        switch (clause.type) {
+            case 'term':
+                // Terms match by prefix, as expandTerm() does
+                return fields.some(field => doc.text[field].includes(` ${clause.value}`));
+            case 'phrase':
+                return fields.some(field => doc.text[field].includes(` ${clause.value} `));
+            case 'tag':
+                return doc.note.tags.some(tag => tag.toLowerCase() === clause.value);
+            case 'date': {
+                const date = clause.field === 'created' ? doc.note.createdAt : doc.note.updatedAt;
+                const time = new Date(date).getTime();
+                return time >= clause.from && time < clause.to;
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Build a short plain-text excerpt around the first matched term
+     * @param {string} text - Source text
+     * @param {Array<string>} terms - Matched terms or phrases
+     * @param {number} length - Approximate excerpt length
+     * @returns {string} Excerpt, with ellipses where text was cut
+     */
+    static createSnippet(text, terms, length = 120) {
+        const source = (text || '').replace(/\s+/g, ' ').trim();
+        const lower = source.toLowerCase();
+
+        const positions = terms
+            .map(term => lower.indexOf(term.toLowerCase()))
+            .filter(index => index >= 0);
+        const firstMatch = positions.length > 0 ? Math.min(...positions) : 0;
+
+        let start = Math.max(0, firstMatch - Math.floor(length / 3));
+        if (start > 0) {
+            const wordBoundary = source.indexOf(' ', start);
+            if (wordBoundary !== -1 && wordBoundary < firstMatch) start = wordBoundary + 1;
+        }
+        const end = Math.min(source.length, start + length);
+
+        return (start > 0 ? '…' : '') + source.slice(start, end) + (end < source.length ? '…' : '');
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+} else {
+    window.SearchIndex = SearchIndex;
+}
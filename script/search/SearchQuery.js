@@ -0,0 +1,136 @@
+// NoteMesh Search Query Parser
+// Turns a search string into structured clauses for SearchIndex
+
+/**
+ * Supported syntax:
+ *   word              note must contain the word (prefix match)
+ *   "exact phrase"    note must contain the words in order
+ *   title:word        word (or "phrase") must appear in the title
+ *   tag:name          note must carry the tag (tag:"two words" also works)
+ *   -word, -tag:x     exclude notes the clause would match (so -pro also
+ *                     excludes notes that only mention "project")
+ *   updated:>2026-01-01, created:<=2025-12-31, updated:2026-01-01..2026-02-01
+ */
+const SearchQuery = {
+    CLAUSE_PATTERN: /(-)?(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g,
+    DATE_FIELDS: ['updated', 'created'],
+
+    /**
+     * Parse a query string into clauses
+     * @param {string} query - Raw search input
+     * @returns {Array<Object>} Clauses: { type, field, value, negated, ... }
+     */
+    parse(query) {
+        const clauses = [];
+        const pattern = new RegExp(this.CLAUSE_PATTERN.source, 'g');
+        let match;
+
+        while ((match = pattern.exec(query || '')) !== null) {
+            const [raw, minus, prefix, quoted, bare] = match;
+            const negated = Boolean(minus);
+            const isPhrase = quoted !== undefined;
+            const value = (isPhrase ? quoted : bare || '').trim();
+            const field = prefix ? prefix.toLowerCase() : null;
+
+            if (!value) continue;
+
+            if (field === 'tag' || field === 'tags') {
+                clauses.push({ type: 'tag', value: value.replace(/^#/, '').toLowerCase(), negated });
+            } else if (this.DATE_FIELDS.includes(field)) {
+                const dateClause = this.parseDateClause(field, value, negated);
+                if (dateClause) clauses.push(dateClause);
+            } else if (field && field !== 'title') {
+                // Unknown prefix (e.g. a URL like http://...) - treat the whole token as text
+                clauses.push(...this.textClauses(raw.replace(/^-/, ''), 'all', negated, false));
+            } else {
+                clauses.push(...this.textClauses(value, field || 'all', negated, isPhrase));
+            }
+        }
+
+        return clauses;
+    },
+
+    textClauses(value, field, negated, isPhrase) {
+        const tokens = SearchQuery.tokenize(value);
+        if (tokens.length === 0) return [];
+
+        if (isPhrase && tokens.length > 1) {
+            return [{ type: 'phrase', field, value: tokens.join(' '), tokens, negated }];
+        }
+        return tokens.map(token => ({ type: 'term', field, value: token, negated }));
+    },
+
+    /**
+     * Parse the value part of updated:/created: filters
+     * @param {string} field - 'updated' or 'created'
+     * @param {string} value - e.g. '>2026-01-01' or '2026-01-01..2026-02-01'
+     * @param {boolean} negated - Whether the clause is excluded
+     * @returns {Object|null} Date clause with a [from, to) millisecond range
+     */
+    parseDateClause(field, value, negated) {
+        const range = value.split('..');
+        if (range.length === 2) {
+            const from = range[0] ? this.parseDay(range[0]) : null;
+            const to = range[1] ? this.parseDay(range[1]) : null;
+            if ((range[0] && !from) || (range[1] && !to)) return null;
+            return {
+                type: 'date', field, negated,
+                from: from ? from.start : -Infinity,
+                to: to ? to.end : Infinity
+            };
+        }
+
+        const [, operator = '=', dateText] = value.match(/^(>=|<=|>|<|=)?(.+)$/) || [];
+        const day = dateText && this.parseDay(dateText);
+        if (!day) return null;
+
+        const bounds = {
+            '>': [day.end, Infinity],
+            '>=': [day.start, Infinity],
+            '<': [-Infinity, day.start],
+            '<=': [-Infinity, day.end],
+            '=': [day.start, day.end]
+        }[operator];
+
+        return { type: 'date', field, negated, from: bounds[0], to: bounds[1] };
+    },
+
+    /**
+     * Parse a YYYY-MM-DD (or full ISO) date into a local-time day range
+     * @param {string} text - Date text
+     * @returns {Object|null} { start, end } in milliseconds, end exclusive
+     */
+    parseDay(text) {
+        const dayMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (dayMatch) {
+            const start = new Date(Number(dayMatch[1]), Number(dayMatch[2]) - 1, Number(dayMatch[3]));
+            const end = new Date(start);
+            end.setDate(end.getDate() + 1);
+            return { start: start.getTime(), end: end.getTime() };
+        }
+
+        const time = Date.parse(text);
+        if (isNaN(time)) return null;
+        return { start: time, end: time + 1 };
+    },
+
+    /**
+     * Split text into lowercase, accent-folded word tokens
+     * @param {string} text - Text to tokenize
+     * @returns {Array<string>} Tokens
+     */
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .match(/[\p{L}\p{N}]+/gu) || [];
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchQuery;
+} else {
+    window.SearchQuery = SearchQuery;
+}
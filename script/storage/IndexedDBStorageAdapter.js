@@ -0,0 +1,158 @@
+// NoteMesh IndexedDB Storage Adapter
+// Persists each record individually so saves stay small as the vault grows
+
+const IDB_DATABASE_NAME = 'notemesh';
+const IDB_DATABASE_VERSION = 5;
+const IDB_STORES = ['notes', 'meta', 'revisions', 'quarantine', 'trash', 'drafts'];
+
+// Key used by the original localStorage persistence (pre-IndexedDB)
+const LEGACY_NOTES_KEY = 'notemesh_notes';
+const LEGACY_LAST_SAVED_KEY = 'notemesh_lastSaved';
+
+class IndexedDBStorageAdapter extends StorageAdapter {
+    constructor(databaseName = IDB_DATABASE_NAME) {
+        super();
+        this.databaseName = databaseName;
+        this.db = null;
+        this.opening = null;
+    }
+
+    static isSupported() {
+        // Access throws (rather than being undefined) where storage is blocked
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = this.openDatabase().then(async db => {
+                this.db = db;
+                await this.migrateFromLocalStorage();
+            });
+            // Allow a later call to retry if opening failed
+            this.opening.catch(() => {
+                this.opening = null;
+            });
+        }
+        return this.opening;
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, IDB_DATABASE_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                IDB_STORES.forEach(store => {
+                    if (!db.objectStoreNames.contains(store)) {
+                        db.createObjectStore(store, { keyPath: 'id' });
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+        });
+    }
+
+    /**
+     * One-time import of notes saved by the old localStorage backend.
+     * The legacy key is only removed once every note is safely written.
+     */
+    async migrateFromLocalStorage() {
+        if (typeof localStorage === 'undefined') return;
+
+        const legacyData = localStorage.getItem(LEGACY_NOTES_KEY);
+        if (!legacyData) return;
+
+        let records;
+        try {
+            records = JSON.parse(legacyData);
+        } catch (error) {
+            console.error('Skipping migration of unreadable legacy notes:', error);
+            return;
+        }
+
+        // Runs while open() is still pending, so talk to the transactions directly
+        if (Array.isArray(records) && records.length > 0) {
+            const existing = await this.transaction('notes', 'readonly', objectStore => objectStore.getAllKeys());
+            const existingIds = new Set(existing);
+            await this.transaction('notes', 'readwrite', objectStore => {
+                records
+                    .filter(record => record && record.id && !existingIds.has(record.id))
+                    .forEach(record => objectStore.put(record));
+            });
+        }
+
+        localStorage.removeItem(LEGACY_NOTES_KEY);
+        localStorage.removeItem(LEGACY_LAST_SAVED_KEY);
+    }
+
+    /**
+     * Run a request inside a transaction and resolve when the transaction commits
+     * @param {string} store - Store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {function} operation - Receives the object store, may return an IDBRequest
+     * @returns {Promise<any>} The request result (if any)
+     */
+    transaction(store, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(store, mode);
+            const request = operation(tx.objectStore(store));
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async getAll(store) {
+        await this.open();
+        return this.transaction(store, 'readonly', objectStore => objectStore.getAll());
+    }
+
+    async get(store, id) {
+        await this.open();
+        const record = await this.transaction(store, 'readonly', objectStore => objectStore.get(id));
+        return record || null;
+    }
+
+    async put(store, record) {
+        await this.open();
+        return this.transaction(store, 'readwrite', objectStore => {
+            objectStore.put(record);
+        });
+    }
+
+    async putMany(store, records) {
+        await this.open();
+        return this.transaction(store, 'readwrite', objectStore => {
+            records.forEach(record => objectStore.put(record));
+        });
+    }
+
+    async delete(store, id) {
+        await this.open();
+        return this.transaction(store, 'readwrite', objectStore => {
+            objectStore.delete(id);
+        });
+    }
+
+    async clear(store) {
+        await this.open();
+        return this.transaction(store, 'readwrite', objectStore => {
+            objectStore.clear();
+        });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDBStorageAdapter;
+} else {
+    window.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+}
@@ -0,0 +1,85 @@
+// NoteMesh localStorage Storage Adapter
+// Fallback when IndexedDB is unavailable: each store is kept as one JSON array
+// under a localStorage key. The notes store uses the key of the original
+// localStorage persistence, so notes saved before IndexedDB still load.
+
+const LOCAL_STORAGE_PREFIX = 'notemesh_';
+
+class LocalStorageAdapter extends MemoryStorageAdapter {
+    constructor(prefix = LOCAL_STORAGE_PREFIX) {
+        super();
+        this.prefix = prefix;
+    }
+
+    static isSupported() {
+        // Access throws (rather than being undefined) where storage is blocked
+        try {
+            const key = `${LOCAL_STORAGE_PREFIX}probe`;
+            localStorage.setItem(key, key);
+            localStorage.removeItem(key);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    isPersistent() {
+        return true;
+    }
+
+    storageKey(store) {
+        return `${this.prefix}${store}`;
+    }
+
+    // Each store is read from localStorage the first time it is used
+    getStore(store) {
+        if (!this.stores.has(store)) {
+            this.stores.set(store, new Map(this.read(store).map(record => [record.id, record])));
+        }
+        return this.stores.get(store);
+    }
+
+    read(store) {
+        const data = localStorage.getItem(this.storageKey(store));
+        if (!data) return [];
+
+        // Failing here, rather than starting empty, keeps the next save from overwriting the data
+        const records = JSON.parse(data);
+        if (!Array.isArray(records)) {
+            throw new Error(`Unreadable ${store} data in localStorage`);
+        }
+        return records.filter(record => record && record.id !== undefined && record.id !== null);
+    }
+
+    write(store) {
+        const records = Array.from(this.getStore(store).values());
+        localStorage.setItem(this.storageKey(store), JSON.stringify(records));
+    }
+
+    async put(store, record) {
+        await super.put(store, record);
+        this.write(store);
+    }
+
+    async putMany(store, records) {
+        await super.putMany(store, records);
+        this.write(store);
+    }
+
+    async delete(store, id) {
+        await super.delete(store, id);
+        this.write(store);
+    }
+
+    async clear(store) {
+        await super.clear(store);
+        this.write(store);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocalStorageAdapter;
+} else {
+    window.LocalStorageAdapter = LocalStorageAdapter;
+}
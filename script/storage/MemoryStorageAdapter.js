@@ -0,0 +1,62 @@
+// NoteMesh Memory Storage Adapter
+// Keeps records in in-memory maps; used in Node tests and as the last resort
+// when neither IndexedDB nor localStorage is available
+
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor(initialData = {}) {
+        super();
+        this.stores = new Map();
+
+        Object.entries(initialData).forEach(([store, records]) => {
+            records.forEach(record => this.getStore(store).set(record.id, this.clone(record)));
+        });
+    }
+
+    isPersistent() {
+        return false;
+    }
+
+    getStore(store) {
+        if (!this.stores.has(store)) {
+            this.stores.set(store, new Map());
+        }
+        return this.stores.get(store);
+    }
+
+    // Records are copied on the way in and out so callers can't mutate stored state
+    clone(record) {
+        return JSON.parse(JSON.stringify(record));
+    }
+
+    async getAll(store) {
+        return Array.from(this.getStore(store).values()).map(record => this.clone(record));
+    }
+
+    async get(store, id) {
+        const record = this.getStore(store).get(id);
+        return record ? this.clone(record) : null;
+    }
+
+    async put(store, record) {
+        this.getStore(store).set(record.id, this.clone(record));
+    }
+
+    async putMany(store, records) {
+        records.forEach(record => this.getStore(store).set(record.id, this.clone(record)));
+    }
+
+    async delete(store, id) {
+        this.getStore(store).delete(id);
+    }
+
+    async clear(store) {
+        this.getStore(store).clear();
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryStorageAdapter;
+} else {
+    window.MemoryStorageAdapter = MemoryStorageAdapter;
+}
@@ -0,0 +1,91 @@
+// NoteMesh Storage Adapter
+// Base interface for the persistence backends used by NoteManager
+
+/**
+ * Storage adapters persist records into named stores (e.g. 'notes', 'meta').
+ * Every record is a plain object keyed by its `id` property, and every method
+ * returns a Promise so that synchronous and asynchronous backends can be
+ * swapped freely behind NoteManager.
+ */
+class StorageAdapter {
+    /**
+     * Open the backend (create databases, run upgrades, etc.)
+     * @returns {Promise<void>}
+     */
+    async open() {}
+
+    /**
+     * Whether records outlive the page (false for in-memory backends)
+     * @returns {boolean}
+     */
+    isPersistent() {
+        return true;
+    }
+
+    /**
+     * Read every record in a store
+     * @param {string} store - Store name
+     * @returns {Promise<Array>} Stored records
+     */
+    async getAll(store) {
+        throw new Error(`${this.constructor.name} does not implement getAll()`);
+    }
+
+    /**
+     * Read a single record by id
+     * @param {string} store - Store name
+     * @param {string} id - Record id
+     * @returns {Promise<Object|null>} The record or null
+     */
+    async get(store, id) {
+        throw new Error(`${this.constructor.name} does not implement get()`);
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} store - Store name
+     * @param {Object} record - Record with an `id` property
+     * @returns {Promise<void>}
+     */
+    async put(store, record) {
+        throw new Error(`${this.constructor.name} does not implement put()`);
+    }
+
+    /**
+     * Insert or replace several records in one operation
+     * @param {string} store - Store name
+     * @param {Array} records - Records with `id` properties
+     * @returns {Promise<void>}
+     */
+    async putMany(store, records) {
+        for (const record of records) {
+            await this.put(store, record);
+        }
+    }
+
+    /**
+     * Delete a record by id
+     * @param {string} store - Store name
+     * @param {string} id - Record id
+     * @returns {Promise<void>}
+     */
+    async delete(store, id) {
+        throw new Error(`${this.constructor.name} does not implement delete()`);
+    }
+
+    /**
+     * Remove every record in a store
+     * @param {string} store - Store name
+     * @returns {Promise<void>}
+     */
+    async clear(store) {
+        throw new Error(`${this.constructor.name} does not implement clear()`);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageAdapter;
+} else {
+    window.StorageAdapter = StorageAdapter;
+}
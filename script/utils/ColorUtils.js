@@ -38,6 +38,28 @@ const ColorUtils = {
         
         const brightness = ((r * 299) + (g * 587) + (b * 114)) / 1000;
         return brightness > 155 ? 'light' : 'dark';
+    },
+
+    /**
+     * Blend two colors
+     * @param {string} fromHex - Hex color at t = 0
+     * @param {string} toHex - Hex color at t = 1
+     * @param {number} t - Position between the two (0-1)
+     * @returns {string} Blended hex color
+     */
+    mix(fromHex, toHex, t) {
+        const from = parseInt(fromHex.replace('#', ''), 16);
+        const to = parseInt(toHex.replace('#', ''), 16);
+        const amount = Math.min(1, Math.max(0, t));
+
+        const channel = shift => {
+            const a = (from >> shift) & 0xFF;
+            const b = (to >> shift) & 0xFF;
+            return Math.round(a + (b - a) * amount);
+        };
+
+        const color = (channel(16) << 16) | (channel(8) << 8) | channel(0);
+        return '#' + color.toString(16).padStart(6, '0').toUpperCase();
     }
 };
 
@@ -0,0 +1,104 @@
+// NoteMesh Diff Utilities
+// Line-level text diffing for note version history
+
+const DiffUtils = {
+    /**
+     * Compute a line-level diff between two texts (LCS based)
+     * @param {string} oldText - Original text
+     * @param {string} newText - Changed text
+     * @returns {Array<Object>} Operations: { type: 'equal'|'added'|'removed', text }
+     */
+    diffLines(oldText, newText) {
+        const oldLines = (oldText || '').split('\n');
+        const newLines = (newText || '').split('\n');
+
+        // Common prefix and suffix don't need the quadratic LCS table
+        let prefix = 0;
+        while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (
+            suffix < oldLines.length - prefix &&
+            suffix < newLines.length - prefix &&
+            oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+        ) {
+            suffix++;
+        }
+
+        const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+        const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+
+        return [
+            ...oldLines.slice(0, prefix).map(text => ({ type: 'equal', text })),
+            ...this.diffMiddle(oldMiddle, newMiddle),
+            ...oldLines.slice(oldLines.length - suffix).map(text => ({ type: 'equal', text }))
+        ];
+    },
+
+    diffMiddle(oldLines, newLines) {
+        const rows = oldLines.length;
+        const cols = newLines.length;
+
+        // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+        const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i][j] = oldLines[i] === newLines[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const operations = [];
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < cols) {
+            if (oldLines[i] === newLines[j]) {
+                operations.push({ type: 'equal', text: oldLines[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                operations.push({ type: 'removed', text: oldLines[i] });
+                i++;
+            } else {
+                operations.push({ type: 'added', text: newLines[j] });
+                j++;
+            }
+        }
+        while (i < rows) operations.push({ type: 'removed', text: oldLines[i++] });
+        while (j < cols) operations.push({ type: 'added', text: newLines[j++] });
+
+        return operations;
+    },
+
+    /**
+     * Two-way merge that keeps every line from both texts, in document order.
+     * Lines changed on both sides end up next to each other for manual cleanup.
+     * @param {string} localText - Local version
+     * @param {string} incomingText - Incoming version
+     * @returns {string} Merged text
+     */
+    mergeLines(localText, incomingText) {
+        return this.diffLines(localText, incomingText)
+            .map(operation => operation.text)
+            .join('\n');
+    },
+
+    /**
+     * Summarize a diff as added/removed line counts
+     * @param {Array<Object>} operations - Result of diffLines
+     * @returns {Object} { added, removed }
+     */
+    summarize(operations) {
+        return operations.reduce((summary, operation) => {
+            if (operation.type === 'added') summary.added++;
+            if (operation.type === 'removed') summary.removed++;
+            return summary;
+        }, { added: 0, removed: 0 });
+    }
+};
+
+// Export for global access
+window.DiffUtils = DiffUtils;
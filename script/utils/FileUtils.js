@@ -4,7 +4,7 @@
 const FileUtils = {
     /**
      * Download data as file
-     * @param {string} data - Data to download
+     * @param {string|Uint8Array|Blob} data - Data to download
      * @param {string} filename - File name
      * @param {string} type - MIME type
      */
@@ -48,6 +48,245 @@ const FileUtils = {
         const i = Math.floor(Math.log(bytes) / Math.log(k));
         
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    },
+
+    /**
+     * Read file as ArrayBuffer
+     * @param {File|Blob} file - File to read
+     * @returns {Promise<ArrayBuffer>} File content
+     */
+    readAsArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = reject;
+            reader.readAsArrayBuffer(file);
+        });
+    },
+
+    /**
+     * Make a string safe to use as a file name on every platform
+     * @param {string} name - Desired file name (without extension)
+     * @returns {string} Sanitized name
+     */
+    sanitizeFilename(name) {
+        const sanitized = (name || '')
+            .replace(/[\\/:*?"<>|\u0000-\u001F]/g, '-')
+            .replace(/^[\s.]+|[\s.]+$/g, '')
+            .substring(0, 120);
+        return sanitized || 'Untitled';
+    },
+
+    /**
+     * CRC-32 checksum (as used by the zip format)
+     * @param {Uint8Array} bytes - Data to checksum
+     * @returns {number} Unsigned CRC-32
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * Build an uncompressed (stored) zip archive
+     * @param {Array<Object>} files - Entries: { name, data: string|Uint8Array, date }
+     * @returns {Uint8Array} Zip file bytes
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const nameBytes = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = this.crc32(data);
+            const { time, date } = this.toDosDateTime(file.date || new Date());
+
+            // Local file header; flag 0x0800 marks UTF-8 file names
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+            centralParts.push(new Uint8Array(central.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return this.concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+    },
+
+    /**
+     * Read the entries of a zip archive (stored and deflated entries)
+     * @param {ArrayBuffer|Uint8Array} buffer - Zip file bytes
+     * @returns {Promise<Array<Object>>} Entries: { name, data: Uint8Array, date }
+     */
+    async readZip(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const decoder = new TextDecoder();
+
+        // Every offset and size is checked before it is read, so a truncated,
+        // damaged or ZIP64 archive fails with one clear error
+        const invalid = () => new Error('Not a valid zip file (it may be truncated, damaged or too large)');
+        const check = (start, length) => {
+            if (start < 0 || start + length > bytes.length) throw invalid();
+        };
+
+        // The end-of-central-directory record sits in the last 22 bytes + comment
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) {
+            throw invalid();
+        }
+
+        const entryCount = view.getUint16(endOffset + 10, true);
+        let pointer = view.getUint32(endOffset + 16, true);
+        const entries = [];
+
+        // ZIP64 archives keep 0xFFFF / 0xFFFFFFFF here and the real values elsewhere
+        if (entryCount === 0xFFFF || pointer === 0xFFFFFFFF) {
+            throw invalid();
+        }
+
+        for (let i = 0; i < entryCount; i++) {
+            check(pointer, 46);
+            if (view.getUint32(pointer, true) !== 0x02014b50) {
+                throw invalid();
+            }
+
+            const method = view.getUint16(pointer + 10, true);
+            const time = view.getUint16(pointer + 12, true);
+            const date = view.getUint16(pointer + 14, true);
+            const compressedSize = view.getUint32(pointer + 20, true);
+            const nameLength = view.getUint16(pointer + 28, true);
+            const extraLength = view.getUint16(pointer + 30, true);
+            const commentLength = view.getUint16(pointer + 32, true);
+            const localOffset = view.getUint32(pointer + 42, true);
+            check(pointer + 46, nameLength);
+            const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+            pointer += 46 + nameLength + extraLength + commentLength;
+
+            if (name.endsWith('/')) continue; // Directory entry
+
+            check(localOffset, 30);
+            if (view.getUint32(localOffset, true) !== 0x04034b50) {
+                throw invalid();
+            }
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+            check(dataStart, compressedSize);
+            const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            let data;
+            if (method === 0) {
+                data = compressed;
+            } else if (method === 8) {
+                data = await this.inflateRaw(compressed);
+            } else {
+                throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+            }
+
+            entries.push({ name, data, date: this.fromDosDateTime(date, time) });
+        }
+
+        return entries;
+    },
+
+    /**
+     * Decompress raw DEFLATE data with the browser's DecompressionStream
+     * @param {Uint8Array} bytes - Compressed bytes
+     * @returns {Promise<Uint8Array>} Decompressed bytes
+     */
+    async inflateRaw(bytes) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed zip files');
+        }
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    concatBytes(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    },
+
+    toDosDateTime(dateValue) {
+        const date = new Date(dateValue);
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    fromDosDateTime(date, time) {
+        return new Date(
+            (date >> 9) + 1980,
+            ((date >> 5) & 0x0F) - 1,
+            date & 0x1F,
+            time >> 11,
+            (time >> 5) & 0x3F,
+            (time & 0x1F) * 2
+        );
     }
 };
 
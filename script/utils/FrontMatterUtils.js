@@ -0,0 +1,153 @@
+// NoteMesh Front Matter Utilities
+// Reading and writing the YAML front matter block of Markdown files
+
+const FrontMatterUtils = {
+    /**
+     * Split a Markdown file into front matter and body.
+     * Supports the YAML subset used by note vaults: scalars, quoted strings,
+     * flow lists ([a, b]) and block lists (- a).
+     * @param {string} text - Markdown file content
+     * @returns {Object} { data, body }
+     */
+    parse(text) {
+        const source = (text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const match = source.match(/^---\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/);
+        if (!match) {
+            return { data: {}, body: source };
+        }
+
+        const data = {};
+        let currentKey = null;
+
+        match[1].split('\n').forEach(line => {
+            if (!line.trim() || line.trim().startsWith('#')) return;
+
+            const listItem = line.match(/^\s*-\s*(.*)$/);
+            if (listItem && currentKey) {
+                if (!Array.isArray(data[currentKey])) data[currentKey] = [];
+                data[currentKey].push(this.parseScalar(listItem[1]));
+                return;
+            }
+
+            const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+            if (pair) {
+                currentKey = pair[1];
+                data[currentKey] = pair[2].trim() === '' ? '' : this.parseValue(pair[2]);
+            }
+        });
+
+        return { data, body: source.slice(match[0].length) };
+    },
+
+    /**
+     * Split a Markdown file into the raw lines of its front matter and the
+     * body, leaving both as written
+     * @param {string} text - Markdown file content
+     * @returns {Object} { lines: Array<string>|null, body }
+     */
+    split(text) {
+        const source = (text || '').replace(/^\uFEFF/, '');
+        const match = source.match(/^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+        if (!match) {
+            return { lines: null, body: source };
+        }
+        return { lines: match[1].split(/\r?\n/), body: source.slice(match[0].length) };
+    },
+
+    /**
+     * Drop top-level keys, with their block list items, from front matter lines
+     * @param {Array<string>} lines - Front matter lines from split()
+     * @param {Array<string>} keys - Keys to drop
+     * @returns {Array<string>} The remaining lines, as written
+     */
+    withoutKeys(lines, keys) {
+        let dropping = false;
+        return lines.filter(line => {
+            const pair = line.match(/^([\w-]+)\s*:/);
+            if (pair) dropping = keys.includes(pair[1]);
+            return !dropping;
+        });
+    },
+
+    /**
+     * Put front matter lines back in front of a body
+     * @param {Array<string>} lines - Front matter lines; blank ones alone add no block
+     * @param {string} body - Text after the block
+     * @returns {string} Markdown file content
+     */
+    join(lines, body) {
+        if (!lines || !lines.some(line => line.trim())) return body;
+        return `---\n${lines.join('\n')}\n---\n${body}`;
+    },
+
+    parseValue(raw) {
+        const value = raw.trim();
+        if (value.startsWith('[') && value.endsWith(']')) {
+            const inner = value.slice(1, -1).trim();
+            if (!inner) return [];
+            return (inner.match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+/g) || [])
+                .map(item => this.parseScalar(item))
+                .filter(item => item !== '');
+        }
+        return this.parseScalar(value);
+    },
+
+    parseScalar(raw) {
+        const value = raw.trim();
+        if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value.slice(1, -1);
+            }
+        }
+        if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+        // Strip trailing comments from plain scalars
+        return value.replace(/\s+#.*$/, '');
+    },
+
+    /**
+     * Serialize data as a front matter block (including --- fences)
+     * @param {Object} data - Keys to write; arrays become block lists
+     * @param {Array<string>} extraLines - Lines copied as written after the keys
+     * @returns {string} Front matter block followed by a newline
+     */
+    stringify(data, extraLines = []) {
+        const lines = ['---'];
+
+        Object.entries(data).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
+
+            if (Array.isArray(value)) {
+                if (value.length === 0) {
+                    lines.push(`${key}: []`);
+                } else {
+                    lines.push(`${key}:`);
+                    value.forEach(item => lines.push(`  - ${this.formatScalar(item)}`));
+                }
+            } else {
+                lines.push(`${key}: ${this.formatScalar(value)}`);
+            }
+        });
+
+        if (extraLines.some(line => line.trim())) lines.push(...extraLines);
+        lines.push('---');
+        return lines.join('\n') + '\n';
+    },
+
+    formatScalar(value) {
+        const text = String(value);
+        const needsQuotes =
+            text === '' ||
+            /^[\s\-?:,\[\]{}#&*!|>'"%@`]/.test(text) ||
+            /\s$/.test(text) ||
+            /:(\s|$)|\s#|[\n"\\]/.test(text) ||
+            /^(true|false|yes|no|null|~|[-+]?\d[\d_.eE:+-]*)$/i.test(text);
+        return needsQuotes ? JSON.stringify(text) : text;
+    }
+};
+
+// Export for global access
+window.FrontMatterUtils = FrontMatterUtils;
@@ -0,0 +1,412 @@
+// NoteMesh Markdown Utilities
+// Markdown-to-HTML rendering with sanitized output and [[wiki-link]] support
+
+const MarkdownUtils = {
+    // Placeholder delimiter for inline tokens that must survive HTML escaping
+    TOKEN: '\u0000',
+
+    /**
+     * Render Markdown to sanitized HTML.
+     * Raw HTML in the source is always escaped, never passed through.
+     * @param {string} markdown - Markdown source
+     * @param {Object} options - Rendering options
+     * @param {function} options.resolveWikiLink - (target, alias) => HTML for a [[wiki-link]]
+     * @returns {string} HTML string
+     */
+    render(markdown, options = {}) {
+        const source = (markdown || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\t/g, '    ')
+            .replace(new RegExp(this.TOKEN, 'g'), '');
+
+        return this.renderBlocks(source.split('\n'), options);
+    },
+
+    /**
+     * Escape text for use in HTML content and attribute values
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Only allow safe URL schemes (blocks javascript:, data:, vbscript:, ...)
+     * @param {string} url - URL from the Markdown source
+     * @returns {string} The URL, or '#' if it is unsafe
+     */
+    sanitizeUrl(url) {
+        const normalized = url.trim().replace(/[\u0000-\u001F\u007F\s]/g, '').toLowerCase();
+        const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+        if (scheme && !['http', 'https', 'mailto'].includes(scheme[1])) {
+            return '#';
+        }
+        return url.trim();
+    },
+
+    // Block-level rendering
+
+    renderBlocks(lines, options) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/);
+            if (fence) {
+                i = this.renderCodeFence(lines, i, fence, html);
+                continue;
+            }
+
+            const heading = line.match(/^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${this.renderInline(heading[2], options)}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (this.isHorizontalRule(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^ {0,3}>/.test(line)) {
+                const quoted = [];
+                while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${this.renderBlocks(quoted, options)}</blockquote>`);
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                i = this.renderTable(lines, i, html, options);
+                continue;
+            }
+
+            if (this.matchListItem(line)) {
+                i = this.renderList(lines, i, html, options);
+                continue;
+            }
+
+            i = this.renderParagraph(lines, i, html, options);
+        }
+
+        return html.join('\n');
+    },
+
+    renderCodeFence(lines, start, fence, html) {
+        const marker = fence[1];
+        const language = fence[2];
+        const code = [];
+        let i = start + 1;
+
+        while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+            code.push(lines[i]);
+            i++;
+        }
+
+        const className = language ? ` class="language-${this.escape(language)}"` : '';
+        html.push(`<pre><code${className}>${this.escape(code.join('\n'))}</code></pre>`);
+
+        // Skip the closing fence (an unclosed fence runs to the end of the note)
+        return i + 1;
+    },
+
+    isHorizontalRule(line) {
+        return /^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line);
+    },
+
+    isBlockStart(lines, i) {
+        const line = lines[i];
+        return /^ {0,3}(`{3,}|~{3,}|#{1,6}\s|>)/.test(line) ||
+            this.isHorizontalRule(line) ||
+            this.isTableStart(lines, i) ||
+            Boolean(this.matchListItem(line));
+    },
+
+    renderParagraph(lines, start, html, options) {
+        const paragraph = [lines[start]];
+        let i = start + 1;
+
+        while (i < lines.length && lines[i].trim() && !this.isBlockStart(lines, i)) {
+            paragraph.push(lines[i]);
+            i++;
+        }
+
+        const content = paragraph
+            .map(line => this.renderInline(line.trim(), options))
+            .join('<br>\n');
+        html.push(`<p>${content}</p>`);
+        return i;
+    },
+
+    // Lists (unordered, ordered, nested and task lists)
+
+    matchListItem(line) {
+        const match = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+        if (!match) return null;
+        return {
+            indent: match[1].length,
+            marker: match[2],
+            ordered: /\d/.test(match[2]),
+            contentIndent: match[1].length + match[2].length + 1,
+            text: match[3]
+        };
+    },
+
+    renderList(lines, start, html, options) {
+        const first = this.matchListItem(lines[start]);
+        const items = [];
+        let current = null;
+        let loose = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const item = this.matchListItem(line);
+
+            if (item && item.indent === first.indent && item.ordered === first.ordered) {
+                current = { lines: [item.text], contentIndent: item.contentIndent };
+                items.push(current);
+                i++;
+                continue;
+            }
+
+            if (!line.trim()) {
+                // A blank line only continues the list if more indented content follows
+                const next = lines.slice(i + 1).find(l => l.trim());
+                if (next === undefined || this.indentOf(next) <= first.indent) {
+                    const nextItem = next !== undefined && this.matchListItem(next);
+                    if (!(nextItem && nextItem.indent === first.indent && nextItem.ordered === first.ordered)) {
+                        break;
+                    }
+                }
+                loose = true;
+                current.lines.push('');
+                i++;
+                continue;
+            }
+
+            if (this.indentOf(line) > first.indent) {
+                current.lines.push(line.slice(Math.min(this.indentOf(line), current.contentIndent)));
+                i++;
+                continue;
+            }
+
+            // Lazy continuation of the item's paragraph
+            if (current.lines[current.lines.length - 1].trim() && !this.isBlockStart(lines, i)) {
+                current.lines.push(line.trim());
+                i++;
+                continue;
+            }
+
+            break;
+        }
+
+        const tag = first.ordered ? 'ol' : 'ul';
+        const startNumber = parseInt(first.marker, 10);
+        const startAttr = first.ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+        const hasTasks = items.some(item => /^\[[ xX]\]\s/.test(item.lines[0]));
+
+        const itemsHtml = items.map(item => {
+            const task = item.lines[0].match(/^\[([ xX])\]\s+(.*)$/);
+            const itemLines = task ? [task[2], ...item.lines.slice(1)] : item.lines;
+
+            let content = this.renderBlocks(itemLines, options);
+            if (!loose) {
+                content = content.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+            }
+
+            if (task) {
+                const checked = task[1] !== ' ' ? ' checked' : '';
+                return `<li class="task-list-item"><input type="checkbox" disabled${checked}> ${content}</li>`;
+            }
+            return `<li>${content}</li>`;
+        }).join('\n');
+
+        const className = hasTasks ? ' class="task-list"' : '';
+        html.push(`<${tag}${startAttr}${className}>\n${itemsHtml}\n</${tag}>`);
+        return i;
+    },
+
+    indentOf(line) {
+        return line.match(/^\s*/)[0].length;
+    },
+
+    // Tables (GitHub-flavoured pipe tables)
+
+    isTableStart(lines, i) {
+        return i + 1 < lines.length &&
+            lines[i].includes('|') &&
+            /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1]);
+    },
+
+    /**
+     * Split a table row on unescaped pipes that are not inside [[wiki|links]]
+     * @param {string} row - Table row source
+     * @returns {Array<string>} Cell sources
+     */
+    splitTableRow(row) {
+        const cells = [];
+        let cell = '';
+        let linkDepth = 0;
+        let trimmed = row.trim().replace(/^\|/, '');
+        if (trimmed.endsWith('|') && !trimmed.endsWith('\\|')) {
+            trimmed = trimmed.slice(0, -1);
+        }
+
+        for (let i = 0; i < trimmed.length; i++) {
+            const char = trimmed[i];
+            if (trimmed.startsWith('[[', i)) linkDepth++;
+            if (trimmed.startsWith(']]', i) && linkDepth > 0) linkDepth--;
+
+            if (char === '\\' && trimmed[i + 1] === '|') {
+                cell += '|';
+                i++;
+            } else if (char === '|' && linkDepth === 0) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    },
+
+    renderTable(lines, start, html, options) {
+        const headers = this.splitTableRow(lines[start]);
+        const alignments = this.splitTableRow(lines[start + 1]).map(spec => {
+            if (/^:-+:$/.test(spec)) return 'center';
+            if (/^-+:$/.test(spec)) return 'right';
+            if (/^:-+$/.test(spec)) return 'left';
+            return null;
+        });
+
+        const cellHtml = (tag, text, index) => {
+            const align = alignments[index] ? ` style="text-align: ${alignments[index]}"` : '';
+            return `<${tag}${align}>${this.renderInline(text, options)}</${tag}>`;
+        };
+
+        const rows = [];
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            const cells = this.splitTableRow(lines[i]);
+            rows.push(`<tr>${headers.map((_, index) => cellHtml('td', cells[index] || '', index)).join('')}</tr>`);
+            i++;
+        }
+
+        html.push(
+            '<table>' +
+            `<thead><tr>${headers.map((text, index) => cellHtml('th', text, index)).join('')}</tr></thead>` +
+            `<tbody>${rows.join('')}</tbody>` +
+            '</table>'
+        );
+        return i;
+    },
+
+    // Inline rendering
+
+    /**
+     * Render inline Markdown (code, links, emphasis, wiki-links) to HTML
+     * @param {string} text - Inline Markdown source
+     * @param {Object} options - Rendering options
+     * @param {boolean} options.autolink - Link bare URLs (off inside link labels)
+     * @param {Array<string>} tokens - Stashed HTML shared with an enclosing call,
+     *   so placeholders it left in a link label still resolve
+     * @returns {string} HTML string
+     */
+    renderInline(text, options = {}, tokens = []) {
+        const stash = (html) => {
+            tokens.push(html);
+            return `${this.TOKEN}${tokens.length - 1}${this.TOKEN}`;
+        };
+
+        let result = text
+            // Backslash escapes
+            .replace(/\\([\\`*_{}\[\]()#+\-.!|~=>])/g, (match, char) => stash(this.escape(char)))
+            // Code spans
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+                stash(`<code>${this.escape(code.trim())}</code>`))
+            // Wiki-links: [[Target]], [[Target|Alias]] or [[Target|rel:type|Alias]]
+            .replace(/\[\[([^\]]+)\]\]/g, (match, inner) => {
+                const [target, ...rest] = inner.split('|');
+                // A relation type is not display text
+                if (rest.length && /^rel:/i.test(rest[0].trim())) rest.shift();
+                const alias = rest.length ? rest.join('|').trim() : null;
+                return stash(this.renderWikiLink(target.trim(), alias, options));
+            })
+            // Images
+            .replace(/!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, alt, src, title) => {
+                const titleAttr = title ? ` title="${this.escape(title)}"` : '';
+                return stash(`<img src="${this.escape(this.sanitizeUrl(src))}" alt="${this.escape(alt)}"${titleAttr} loading="lazy">`);
+            })
+            // Links
+            // URLs may contain balanced parentheses, e.g. https://en.wikipedia.org/wiki/Graph_(abstract_data_type)
+            .replace(/\[([^\]]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, href, title) =>
+                stash(this.renderLink(href, this.renderInline(label, { ...options, autolink: false }, tokens), title)));
+
+        if (options.autolink !== false) {
+            // Autolinks: <https://...> and bare URLs. Placeholders end a URL, so
+            // stashed code, wiki-links and escapes are never folded into one
+            result = result
+                .replace(/<(https?:\/\/[^\s>\u0000]+|mailto:[^\s>\u0000]+)>/g, (match, href) =>
+                    stash(this.renderLink(href, this.escape(href))))
+                .replace(/\bhttps?:\/\/[^\s<\u0000]+[^\s<\u0000.,:;"'\]]/g, (url) => {
+                    // A closing parenthesis belongs to the URL only if it has an opening one
+                    let href = url;
+                    while (href.endsWith(')') && href.split('(').length < href.split(')').length) {
+                        href = href.slice(0, -1);
+                    }
+                    return stash(this.renderLink(href, this.escape(href))) + url.slice(href.length);
+                });
+        }
+
+        result = this.escape(result)
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/==(?=\S)([\s\S]*?\S)==/g, '<mark>$1</mark>');
+
+        // Stashed HTML can hold placeholders of its own (e.g. a link label)
+        const tokenPattern = new RegExp(`${this.TOKEN}(\\d+)${this.TOKEN}`, 'g');
+        const restore = (html) => html.replace(tokenPattern, (match, index) => restore(tokens[Number(index)] || ''));
+        return restore(result);
+    },
+
+    renderLink(href, labelHtml, title = null) {
+        const safeHref = this.sanitizeUrl(href);
+        const titleAttr = title ? ` title="${this.escape(title)}"` : '';
+        const external = /^(https?:)?\/\//i.test(safeHref)
+            ? ' target="_blank" rel="noopener noreferrer"'
+            : '';
+        return `<a href="${this.escape(safeHref)}"${titleAttr}${external}>${labelHtml}</a>`;
+    },
+
+    renderWikiLink(target, alias, options) {
+        if (typeof options.resolveWikiLink === 'function') {
+            return options.resolveWikiLink(target, alias);
+        }
+        return `<span class="note-link">${this.escape(alias || target)}</span>`;
+    }
+};
+
+// Export for global access
+window.MarkdownUtils = MarkdownUtils;
@@ -71,19 +71,100 @@ const StringUtils = {
     },
 
     /**
-     * Highlight search terms in text
+     * Highlight search terms in text. Matching ignores case and accents the
+     * same way the search index does, so "cafe" marks "Café".
      * @param {string} text - The text to search in
-     * @param {string} searchTerm - The term to highlight
-     * @returns {string} Text with highlighted terms
+     * @param {string|Array<string>} searchTerm - The term (or terms) to highlight
+     * @returns {string} HTML-escaped text with highlighted terms
      */
     highlightSearchTerm(text, searchTerm) {
-        if (!searchTerm.trim()) return this.escapeHtml(text);
+        const source = text || '';
+        const terms = (Array.isArray(searchTerm) ? searchTerm : [searchTerm])
+            .filter(term => term && term.trim())
+            .map(term => this.foldForSearch(term.trim()).text)
+            .filter(term => term.length > 0);
+        if (terms.length === 0) return this.escapeHtml(source);
         
-        const escapedText = this.escapeHtml(text);
-        const escapedTerm = this.escapeHtml(searchTerm);
-        const regex = new RegExp(`(${escapedTerm})`, 'gi');
+        // Find matches in the folded text, then map them back to the original
+        const { text: folded, origins } = this.foldForSearch(source);
+        const ranges = [];
+        terms.forEach(term => {
+            for (let i = folded.indexOf(term); i !== -1; i = folded.indexOf(term, i + 1)) {
+                const last = origins[i + term.length - 1];
+                ranges.push({ start: origins[i].index, end: last.index + last.length });
+            }
+        });
         
-        return escapedText.replace(regex, '<mark>$1</mark>');
+        // Overlapping matches share one mark
+        const merged = [];
+        ranges.sort((a, b) => a.start - b.start).forEach(range => {
+            const previous = merged[merged.length - 1];
+            if (previous && range.start <= previous.end) {
+                previous.end = Math.max(previous.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+        });
+        
+        let html = '';
+        let position = 0;
+        merged.forEach(({ start, end }) => {
+            html += this.escapeHtml(source.slice(position, start)) +
+                `<mark>${this.escapeHtml(source.slice(start, end))}</mark>`;
+            position = end;
+        });
+        return html + this.escapeHtml(source.slice(position));
+    },
+
+    /**
+     * Lowercase and strip accents like SearchQuery.tokenize, remembering
+     * which character of the original each folded character came from
+     * @param {string} text - Text to fold
+     * @returns {Object} { text, origins } - origins[i] is { index, length } in the original
+     */
+    foldForSearch(text) {
+        let folded = '';
+        const origins = [];
+        let index = 0;
+        for (const char of text) {
+            const piece = char.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+            for (let i = 0; i < piece.length; i++) origins.push({ index, length: char.length });
+            folded += piece;
+            index += char.length;
+        }
+        return { text: folded, origins };
+    },
+
+    /**
+     * Fuzzy match: every query character must appear in the text in order.
+     * Consecutive characters, word starts and prefixes score higher.
+     * @param {string} query - Typed text
+     * @param {string} text - Candidate, e.g. a note title
+     * @returns {number|null} Score (higher is better), or null when it doesn't match
+     */
+    fuzzyScore(query, text) {
+        const needle = query.toLowerCase();
+        const haystack = text.toLowerCase();
+        if (needle.length === 0) return 0;
+        
+        let score = 0;
+        let run = 0;
+        let from = 0;
+        for (let i = 0; i < needle.length; i++) {
+            const index = haystack.indexOf(needle[i], from);
+            if (index === -1) return null;
+            
+            run = i > 0 && index === from ? run + 1 : 0;
+            const wordStart = index === 0 || /[\s\-_/.]/.test(haystack[index - 1]);
+            score += 1 + run * 2 + (wordStart ? 3 : 0);
+            from = index + 1;
+        }
+        
+        if (haystack.startsWith(needle)) score += 10;
+        else if (haystack.includes(needle)) score += 5;
+        
+        // Shorter candidates win ties
+        return score - (haystack.length - needle.length) * 0.1;
     }
 };
 
@@ -11,5 +11,8 @@ window.NoteMeshUtils = {
     FileUtils,
     ValidationUtils,
     PerformanceUtils,
-    ColorUtils
+    ColorUtils,
+    MarkdownUtils,
+    DiffUtils,
+    FrontMatterUtils
 };
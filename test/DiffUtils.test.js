@@ -0,0 +1,49 @@
+/* DiffUtils tests
+   Line diffs for version history, two-way merges and diff summaries.
+   Run with: node --test test/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The scripts are written for the browser; utilities attach themselves to window
+global.window = global;
+require('../script/utils/DiffUtils.js');
+
+// Compact form of a diff: ' ' equal, '+' added, '-' removed
+const diff = (oldText, newText) => DiffUtils.diffLines(oldText, newText)
+    .map(({ type, text }) => ({ equal: ' ', added: '+', removed: '-' })[type] + text);
+
+test('identical texts are all equal lines', () => {
+    assert.deepEqual(diff('a\nb', 'a\nb'), [' a', ' b']);
+    assert.deepEqual(diff('', ''), [' ']);
+});
+
+test('added and removed lines are found between a shared prefix and suffix', () => {
+    assert.deepEqual(diff('a\nb\nc', 'a\nx\nc'), [' a', '-b', '+x', ' c']);
+    assert.deepEqual(diff('a\nc', 'a\nb\nc'), [' a', '+b', ' c']);
+    assert.deepEqual(diff('a\nb\nc', 'a\nc'), [' a', '-b', ' c']);
+});
+
+test('moved and interleaved changes keep the longest common subsequence', () => {
+    assert.deepEqual(diff('a\nb\nc\nd', 'b\nc\na\nd'), ['-a', ' b', ' c', '+a', ' d']);
+    assert.deepEqual(diff('x\n1\ny\n2\nz', 'x\n3\ny\n4\nz'), [' x', '-1', '+3', ' y', '-2', '+4', ' z']);
+
+    const operations = DiffUtils.diffLines('one\ntwo\nthree\nfour', 'zero\ntwo\nfour\nfive');
+    assert.equal(operations.filter(operation => operation.type === 'equal').length, 2);
+});
+
+test('missing text diffs as an empty line', () => {
+    assert.deepEqual(diff(null, 'a'), ['-', '+a']);
+    assert.deepEqual(diff('a', undefined), ['-a', '+']);
+});
+
+test('mergeLines() keeps the lines of both versions in order', () => {
+    assert.equal(DiffUtils.mergeLines('a\nb\nd', 'a\nc\nd'), 'a\nb\nc\nd');
+    assert.equal(DiffUtils.mergeLines('same', 'same'), 'same');
+});
+
+test('summarize() counts added and removed lines', () => {
+    assert.deepEqual(DiffUtils.summarize(DiffUtils.diffLines('a\nb\nc', 'a\nx\ny')), { added: 2, removed: 2 });
+    assert.deepEqual(DiffUtils.summarize([]), { added: 0, removed: 0 });
+});
@@ -0,0 +1,103 @@
+/* FileUtils tests
+   Writing and reading zip archives.
+   Run with: node --test test/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+
+// The scripts are written for the browser; utilities attach themselves to window
+global.window = global;
+require('../script/utils/FileUtils.js');
+
+const decode = (bytes) => new TextDecoder().decode(bytes);
+
+const files = [
+    { name: 'Plain.md', data: '# Plain\n\nBody', date: new Date(2024, 0, 2, 10, 30, 4) },
+    { name: 'folder/Ünïcode ✓.md', data: 'Ünïcode body ✓', date: new Date(2023, 5, 6, 7, 8, 10) },
+    { name: 'empty.md', data: '', date: new Date(2024, 1, 3) },
+    { name: 'bytes.bin', data: new Uint8Array([0, 1, 2, 255]), date: new Date(2024, 1, 3) }
+];
+
+test('crc32() matches the zip checksum', () => {
+    assert.equal(FileUtils.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+    assert.equal(FileUtils.crc32(new Uint8Array()), 0);
+});
+
+test('readZip() reads back what createZip() wrote', async () => {
+    const entries = await FileUtils.readZip(FileUtils.createZip(files));
+
+    assert.deepEqual(entries.map(entry => entry.name), files.map(file => file.name));
+    assert.equal(decode(entries[0].data), '# Plain\n\nBody');
+    assert.equal(decode(entries[1].data), 'Ünïcode body ✓');
+    assert.equal(entries[2].data.length, 0);
+    assert.deepEqual([...entries[3].data], [0, 1, 2, 255]);
+    // DOS times have two-second precision
+    assert.equal(entries[0].date.getTime(), new Date(2024, 0, 2, 10, 30, 4).getTime());
+    assert.equal(entries[1].date.getTime(), new Date(2023, 5, 6, 7, 8, 10).getTime());
+});
+
+test('readZip() accepts an ArrayBuffer and a view into a larger buffer', async () => {
+    const zip = FileUtils.createZip(files.slice(0, 1));
+    assert.equal((await FileUtils.readZip(zip.slice().buffer)).length, 1);
+
+    const padded = new Uint8Array(zip.length + 10);
+    padded.set(zip, 5);
+    const entries = await FileUtils.readZip(padded.subarray(5, 5 + zip.length));
+    assert.equal(decode(entries[0].data), '# Plain\n\nBody');
+});
+
+test('readZip() inflates deflated entries', async () => {
+    const text = 'compressed '.repeat(50);
+    const deflated = zlib.deflateRawSync(Buffer.from(text));
+    const zip = FileUtils.createZip([{ name: 'Deflated.md', data: new Uint8Array(deflated) }]);
+
+    // createZip only writes stored entries; mark this one as deflated (method 8)
+    const view = new DataView(zip.buffer);
+    view.setUint16(8, 8, true);
+    view.setUint16(30 + 'Deflated.md'.length + deflated.length + 10, 8, true);
+
+    const entries = await FileUtils.readZip(zip);
+    assert.equal(decode(entries[0].data), text);
+});
+
+test('readZip() skips directory entries', async () => {
+    const entries = await FileUtils.readZip(FileUtils.createZip([
+        { name: 'folder/', data: '' },
+        { name: 'folder/Note.md', data: 'x' }
+    ]));
+    assert.deepEqual(entries.map(entry => entry.name), ['folder/Note.md']);
+});
+
+test('readZip() rejects files that are not valid zips with one error', async () => {
+    const zip = FileUtils.createZip(files);
+    const invalid = /Not a valid zip file/;
+
+    await assert.rejects(FileUtils.readZip(new Uint8Array()), invalid);
+    await assert.rejects(FileUtils.readZip(new TextEncoder().encode('not a zip at all, just text')), invalid);
+
+    // Cut off in the middle of the entries, but with the end record kept
+    const end = zip.subarray(zip.length - 22);
+    await assert.rejects(FileUtils.readZip(FileUtils.concatBytes([zip.subarray(0, 40), end])), invalid);
+
+    const damaged = (offset, value, bits = 32) => {
+        const copy = zip.slice();
+        const view = new DataView(copy.buffer);
+        if (bits === 32) view.setUint32(offset, value, true);
+        else view.setUint16(offset, value, true);
+        return copy;
+    };
+    const centralStart = new DataView(zip.buffer).getUint32(zip.length - 22 + 16, true);
+
+    // Central directory offset past the end
+    await assert.rejects(FileUtils.readZip(damaged(zip.length - 22 + 16, zip.length + 100)), invalid);
+    // Local header offset past the end
+    await assert.rejects(FileUtils.readZip(damaged(centralStart + 42, zip.length)), invalid);
+    // Entry size past the end
+    await assert.rejects(FileUtils.readZip(damaged(centralStart + 20, zip.length)), invalid);
+    // ZIP64 markers
+    await assert.rejects(FileUtils.readZip(damaged(zip.length - 22 + 16, 0xFFFFFFFF)), invalid);
+    await assert.rejects(FileUtils.readZip(damaged(zip.length - 22 + 10, 0xFFFF, 16)), invalid);
+    await assert.rejects(FileUtils.readZip(damaged(centralStart + 20, 0xFFFFFFFF)), invalid);
+});
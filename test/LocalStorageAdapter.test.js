@@ -0,0 +1,112 @@
+/* LocalStorageAdapter tests
+   The localStorage fallback, including notes saved by the original app.
+   Run with: node --test test/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The scripts are written for the browser; utilities attach themselves to window
+global.window = global;
+require('../script/utils/DiffUtils.js');
+require('../script/utils/FrontMatterUtils.js');
+global.StorageAdapter = require('../script/storage/StorageAdapter.js');
+global.MemoryStorageAdapter = require('../script/storage/MemoryStorageAdapter.js');
+global.LocalStorageAdapter = require('../script/storage/LocalStorageAdapter.js');
+global.Note = require('../script/models/Note.js');
+global.NoteSchema = require('../script/models/NoteSchema.js');
+global.SearchQuery = require('../script/search/SearchQuery.js');
+global.SearchIndex = require('../script/search/SearchIndex.js');
+global.HistoryManager = require('../script/managers/HistoryManager.js');
+global.UndoManager = require('../script/managers/UndoManager.js');
+global.TrashManager = require('../script/managers/TrashManager.js');
+global.DraftManager = require('../script/managers/DraftManager.js');
+const NoteManager = require('../script/managers/NoteManager.js');
+
+// Minimal stand-in for the browser's localStorage
+class FakeLocalStorage {
+    constructor(items = {}) {
+        this.items = new Map(Object.entries(items));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+const legacyNote = {
+    id: 'legacy-1',
+    title: 'Saved before IndexedDB',
+    content: 'Links to [[Other]]',
+    tags: 'old, notes',
+    createdAt: '2023-05-01T00:00:00.000Z',
+    updatedAt: '2023-05-02T00:00:00.000Z',
+    links: ['Other']
+};
+
+test.afterEach(() => {
+    delete global.localStorage;
+});
+
+test('isSupported() is false where localStorage is missing or blocked', () => {
+    assert.equal(LocalStorageAdapter.isSupported(), false);
+
+    global.localStorage = new FakeLocalStorage();
+    assert.equal(LocalStorageAdapter.isSupported(), true);
+    assert.equal(global.localStorage.items.size, 0, 'the probe key is removed');
+
+    global.localStorage.setItem = () => { throw new Error('SecurityError'); };
+    assert.equal(LocalStorageAdapter.isSupported(), false);
+});
+
+test('notes saved by the original app load and are migrated', async () => {
+    global.localStorage = new FakeLocalStorage({ notemesh_notes: JSON.stringify([legacyNote]) });
+    const manager = new NoteManager(new LocalStorageAdapter());
+    await manager.ready;
+    await manager.flush();
+
+    const note = manager.getNote('legacy-1');
+    assert.equal(note.title, 'Saved before IndexedDB');
+    assert.deepEqual(note.tags, ['old', 'notes']);
+
+    const stored = JSON.parse(global.localStorage.getItem('notemesh_notes'));
+    assert.equal(stored[0].schemaVersion, NoteSchema.CURRENT_VERSION);
+});
+
+test('changes survive a reload', async () => {
+    global.localStorage = new FakeLocalStorage();
+    const first = new NoteManager(new LocalStorageAdapter());
+    await first.ready;
+    first.addNote(new Note('Kept', 'Body', ['a'], 'kept-1'));
+    first.addNote(new Note('Trashed', 'Body', [], 'trashed-1'));
+    first.deleteNote('trashed-1');
+    await first.flush();
+
+    const second = new NoteManager(new LocalStorageAdapter());
+    await second.ready;
+    assert.deepEqual(second.getAllNotes().map(note => note.id), ['kept-1']);
+    assert.deepEqual(second.getTrashedNotes().map(({ note }) => note.id), ['trashed-1']);
+    assert.ok(global.localStorage.getItem('notemesh_revisions'));
+});
+
+test('unreadable data is reported, not overwritten', async () => {
+    global.localStorage = new FakeLocalStorage({ notemesh_notes: '{not json' });
+    const adapter = new LocalStorageAdapter();
+
+    await assert.rejects(adapter.getAll('notes'));
+    await assert.rejects(adapter.put('notes', { id: 'x' }));
+    assert.equal(global.localStorage.getItem('notemesh_notes'), '{not json');
+});
+
+test('only in-memory storage reports that it does not persist', () => {
+    assert.equal(new MemoryStorageAdapter().isPersistent(), false);
+    assert.equal(new LocalStorageAdapter().isPersistent(), true);
+});
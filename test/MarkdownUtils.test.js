@@ -0,0 +1,86 @@
+/* MarkdownUtils tests
+   Sanitized rendering and the placeholders inline rendering stashes HTML behind.
+   Run with: node --test test/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The scripts are written for the browser; utilities attach themselves to window
+global.window = global;
+require('../script/utils/MarkdownUtils.js');
+
+const options = {
+    resolveWikiLink: (target, alias) =>
+        `<a class="note-link" data-title="${MarkdownUtils.escape(target)}">${MarkdownUtils.escape(alias || target)}</a>`
+};
+const inline = (text) => MarkdownUtils.renderInline(text, options);
+const link = (href, label = href) =>
+    `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+
+test('raw HTML is escaped, never passed through', () => {
+    assert.equal(inline('<img src=x onerror=alert(1)>'), '&lt;img src=x onerror=alert(1)&gt;');
+    assert.equal(
+        MarkdownUtils.render('<script>alert(1)</script>\n\n```\n<b>code</b>\n```'),
+        '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>\n<pre><code>&lt;b&gt;code&lt;/b&gt;</code></pre>'
+    );
+});
+
+test('unsafe URL schemes are replaced', () => {
+    assert.equal(inline('[x](javascript:alert(1))'), '<a href="#">x</a>');
+    assert.equal(inline('[x](JaVa\u0001script:alert)'), '<a href="#">x</a>');
+    assert.equal(inline('![x](data:image/svg+xml;base64,AAAA)'), '<img src="#" alt="x" loading="lazy">');
+    assert.equal(inline('[mail](mailto:a@b.c)'), '<a href="mailto:a@b.c">mail</a>');
+    assert.equal(inline('[rel](notes/a.md)'), '<a href="notes/a.md">rel</a>');
+});
+
+test('attributes are escaped', () => {
+    assert.equal(
+        inline(`[x](https://a.com "it's <b> & c")`),
+        '<a href="https://a.com" title="it&#39;s &lt;b&gt; &amp; c" target="_blank" rel="noopener noreferrer">x</a>'
+    );
+    assert.equal(
+        inline('![a "quoted" alt](https://a.com/i.png)'),
+        '<img src="https://a.com/i.png" alt="a &quot;quoted&quot; alt" loading="lazy">'
+    );
+    assert.equal(inline('[[Say "hi"]]'), '<a class="note-link" data-title="Say &quot;hi&quot;">Say &quot;hi&quot;</a>');
+});
+
+test('placeholder characters in the source are dropped', () => {
+    assert.equal(MarkdownUtils.render('a\u00000\u0000b'), '<p>a0b</p>');
+});
+
+test('code spans and escapes are not formatted', () => {
+    assert.equal(inline('`**not bold** <b>`'), '<code>**not bold** &lt;b&gt;</code>');
+    assert.equal(inline('\\*not em\\* and *em*'), '*not em* and <em>em</em>');
+    assert.equal(inline('`[[Not a link]]`'), '<code>[[Not a link]]</code>');
+});
+
+test('bare URLs end at stashed tokens', () => {
+    assert.equal(inline('https://x.com/[[Foo]]'), `${link('https://x.com/')}<a class="note-link" data-title="Foo">Foo</a>`);
+    assert.equal(inline('https://x.com/`code`'), `${link('https://x.com/')}<code>code</code>`);
+    assert.equal(inline('https://x.com/a\\_b'), `${link('https://x.com/a')}_b`);
+    assert.doesNotMatch(inline('<https://x.com/[[Foo]]>'), /\u0000/);
+});
+
+test('bare URLs keep balanced parentheses and drop trailing punctuation', () => {
+    const wiki = 'https://en.wikipedia.org/wiki/Graph_(abstract_data_type)';
+    assert.equal(inline(`${wiki}.`), `${link(wiki)}.`);
+    assert.equal(inline('(see https://a.com/x)'), `(see ${link('https://a.com/x')})`);
+    assert.equal(inline('<https://a.com/x>'), link('https://a.com/x'));
+});
+
+test('link labels are rendered inline but not autolinked', () => {
+    assert.equal(inline('[https://a.com](https://b.com)'), link('https://b.com', 'https://a.com'));
+    assert.equal(inline('[see https://a.com/x](https://b.com)'), link('https://b.com', 'see https://a.com/x'));
+    assert.equal(inline('[`a` **b**](https://b.com)'), link('https://b.com', '<code>a</code> <strong>b</strong>'));
+    assert.equal(inline(`[x](${'https://en.wikipedia.org/wiki/Graph_(abstract_data_type)'})`),
+        link('https://en.wikipedia.org/wiki/Graph_(abstract_data_type)', 'x'));
+});
+
+test('wiki-links drop relation types and keep aliases', () => {
+    assert.equal(inline('[[Target|rel:supports]]'), '<a class="note-link" data-title="Target">Target</a>');
+    assert.equal(inline('[[Target|rel:supports|Shown]]'), '<a class="note-link" data-title="Target">Shown</a>');
+    assert.equal(inline('[[Target|`code` alias]]'), '<a class="note-link" data-title="Target"><code>code</code> alias</a>');
+    assert.equal(MarkdownUtils.renderInline('[[Plain]]'), '<span class="note-link">Plain</span>');
+});
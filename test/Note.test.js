@@ -0,0 +1,80 @@
+/* Note tests
+   Wiki-link parsing and typed relations from links and front matter.
+   Run with: node --test test/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The scripts are written for the browser; utilities attach themselves to window
+global.window = global;
+require('../script/utils/FrontMatterUtils.js');
+global.NoteSchema = require('../script/models/NoteSchema.js');
+const Note = require('../script/models/Note.js');
+
+const relationsOf = (content) => new Note('Test', content).relations;
+
+test('parseLink() splits target, relation type and alias', () => {
+    assert.deepEqual(Note.parseLink('Target'), { target: 'Target', alias: null, rel: null });
+    assert.deepEqual(Note.parseLink(' Target | Shown '), { target: 'Target', alias: 'Shown', rel: null });
+    assert.deepEqual(Note.parseLink('Target|rel:Supports'), { target: 'Target', alias: null, rel: 'supports' });
+    assert.deepEqual(Note.parseLink('Target| REL: part-of |Shown|too'), { target: 'Target', alias: 'Shown|too', rel: 'part-of' });
+    // Only the first part after the target can be a relation type
+    assert.deepEqual(Note.parseLink('Target|Shown|rel:supports'), { target: 'Target', alias: 'Shown|rel:supports', rel: null });
+    assert.deepEqual(Note.parseLink('Target|rel:'), { target: 'Target', alias: null, rel: null });
+});
+
+test('[[Target|rel:type]] links become relations and plain links', () => {
+    const note = new Note('Test', 'Builds on [[Base|rel:extends]], [[Claim|rel:supports|this claim]] and [[Plain]]');
+
+    assert.deepEqual(note.relations, [
+        { target: 'Base', type: 'extends' },
+        { target: 'Claim', type: 'supports' }
+    ]);
+    assert.deepEqual(note.links, ['Base', 'Claim', 'Plain']);
+});
+
+test('relations are listed once per target and type', () => {
+    assert.deepEqual(relationsOf('[[A|rel:supports]] [[a|rel:Supports]] [[A|rel:refutes]]'), [
+        { target: 'A', type: 'supports' },
+        { target: 'A', type: 'refutes' }
+    ]);
+});
+
+test('front matter keys holding links are relations of that type', () => {
+    const content = [
+        '---',
+        'up: "[[Parent]]"',
+        'Related: ["[[One]]", "[[Two|shown]]"]',
+        'part-of:',
+        '  - "[[Whole]]"',
+        '  - [[Other whole]]',
+        'tags: [a, b]',
+        '---',
+        'Body with [[Body link|rel:cites]]'
+    ].join('\n');
+
+    assert.deepEqual(Note.frontMatterRelations(content), [
+        { target: 'Parent', type: 'up' },
+        { target: 'One', type: 'related' },
+        { target: 'Two', type: 'related' },
+        { target: 'Whole', type: 'part-of' },
+        { target: 'Other whole', type: 'part-of' }
+    ]);
+    // Front matter relations come first, then those from links in the body
+    assert.deepEqual(relationsOf(content).map(relation => relation.target), [
+        'Parent', 'One', 'Two', 'Whole', 'Other whole', 'Body link'
+    ]);
+});
+
+test('front matter is only read from the start of the note', () => {
+    assert.deepEqual(Note.frontMatterRelations('Intro\n---\nup: "[[Parent]]"\n---\n'), []);
+    assert.deepEqual(Note.frontMatterRelations('---\nup: "[[Parent]]"\nno closing fence'), []);
+    assert.deepEqual(Note.frontMatterRelations('---\r\nup: "[[Parent]]"\r\n...\r\nBody'), [{ target: 'Parent', type: 'up' }]);
+});
+
+test('updateContent() re-derives relations', () => {
+    const note = new Note('Test', '[[A|rel:supports]]');
+    note.updateContent('---\nup: "[[B]]"\n---\n');
+    assert.deepEqual(note.relations, [{ target: 'B', type: 'up' }]);
+});
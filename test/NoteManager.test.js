@@ -0,0 +1,232 @@
+/* NoteManager tests
+   Imports, Markdown vault import and export, undo around permanent deletes
+   and per-vault settings.
+   Run with: node --test test/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The scripts are written for the browser; utilities attach themselves to window
+global.window = global;
+require('../script/utils/DiffUtils.js');
+require('../script/utils/FileUtils.js');
+require('../script/utils/FrontMatterUtils.js');
+global.StorageAdapter = require('../script/storage/StorageAdapter.js');
+global.MemoryStorageAdapter = require('../script/storage/MemoryStorageAdapter.js');
+global.Note = require('../script/models/Note.js');
+global.NoteSchema = require('../script/models/NoteSchema.js');
+global.SearchQuery = require('../script/search/SearchQuery.js');
+global.SearchIndex = require('../script/search/SearchIndex.js');
+global.HistoryManager = require('../script/managers/HistoryManager.js');
+global.UndoManager = require('../script/managers/UndoManager.js');
+global.TrashManager = require('../script/managers/TrashManager.js');
+global.DraftManager = require('../script/managers/DraftManager.js');
+const NoteManager = require('../script/managers/NoteManager.js');
+
+const createManager = async (notes = []) => {
+    const manager = new NoteManager(new MemoryStorageAdapter({ notes }));
+    await manager.ready;
+    return manager;
+};
+
+const readVault = async (zip) => {
+    const entries = await FileUtils.readZip(zip);
+    return entries.map(entry => ({ ...entry, data: new TextDecoder().decode(entry.data) }));
+};
+
+test('a newer import re-derives the local note from its content', async () => {
+    const manager = await createManager([{
+        id: 'note-2',
+        title: 'Second',
+        content: 'Plain text',
+        tags: ['work'],
+        createdAt: '2024-01-02T00:00:00.000Z',
+        updatedAt: '2024-01-03T00:00:00.000Z',
+        links: [],
+        wordCount: 2,
+        schemaVersion: 2
+    }]);
+
+    const report = await manager.importNotes(JSON.stringify({
+        version: '2.0',
+        notes: [{
+            id: 'note-2',
+            title: 'Second, revised',
+            content: 'Backs up [[First|rel:supports]]',
+            tags: ['work'],
+            createdAt: '2024-01-02T00:00:00.000Z',
+            updatedAt: '2024-02-01T00:00:00.000Z',
+            schemaVersion: 2
+        }]
+    }));
+
+    assert.equal(report.updated, 1);
+    const note = manager.getNote('note-2');
+    assert.equal(note.title, 'Second, revised');
+    assert.deepEqual(note.links, ['First']);
+    assert.deepEqual(note.relations, [{ target: 'First', type: 'supports' }]);
+    assert.equal(note.wordCount, 3);
+    assert.equal(note.updatedAt.toISOString(), '2024-02-01T00:00:00.000Z', 'keeps the incoming date');
+});
+
+test('Markdown import keeps front matter that is not a note field', () => {
+    const record = NoteManager.markdownFileToRecord({
+        name: 'vault/Foo.md',
+        data: '---\nid: foo-1\ntags: [a, b]\naliases: [Bar, Baz]\nup: "[[Parent]]"\ncreated: 2024-01-01\n---\nbody text'
+    });
+
+    assert.equal(record.id, 'foo-1');
+    assert.equal(record.title, 'Foo');
+    assert.deepEqual(record.tags, ['a', 'b']);
+    assert.equal(record.createdAt, new Date('2024-01-01').toISOString());
+    assert.equal(record.content, '---\naliases: [Bar, Baz]\nup: "[[Parent]]"\n---\nbody text');
+
+    const note = Note.deserialize(record);
+    assert.deepEqual(note.getAliases(), ['Bar', 'Baz']);
+    assert.deepEqual(note.relations, [{ target: 'Parent', type: 'up' }]);
+});
+
+test('Markdown import drops a block that only held note fields', () => {
+    const record = NoteManager.markdownFileToRecord({
+        name: 'Plain.md',
+        data: '---\ntitle: Renamed\ntags:\n  - one\n  - two\nupdated: 2024-02-01\n---\n\n# Heading'
+    });
+
+    assert.equal(record.title, 'Renamed');
+    assert.deepEqual(record.tags, ['one', 'two']);
+    assert.equal(record.content, '# Heading');
+});
+
+test('Markdown export writes one front matter block', async () => {
+    const manager = await createManager([{
+        id: 'note-1',
+        title: 'Foo',
+        content: '---\naliases:\n  - Bar\nup: "[[Parent]]"\n---\nbody text',
+        tags: ['a'],
+        createdAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-01-02T00:00:00.000Z',
+        schemaVersion: 2
+    }]);
+
+    const [file] = await readVault(manager.exportMarkdownVault());
+    assert.equal(file.name, 'Foo.md');
+    assert.equal(file.data, [
+        '---',
+        'id: note-1',
+        'tags:',
+        '  - a',
+        'createdAt: 2024-01-01T00:00:00.000Z',
+        'updatedAt: 2024-01-02T00:00:00.000Z',
+        'aliases:',
+        '  - Bar',
+        'up: "[[Parent]]"',
+        '---',
+        '',
+        'body text'
+    ].join('\n'));
+});
+
+test('a Markdown vault survives an export and import round trip', async () => {
+    const original = await createManager();
+    original.addNote(new Note('Parent', 'Top of the tree', ['root']));
+    original.addNote(new Note('Child', '---\naliases: [Kid]\nup: "[[Parent]]"\n---\nSee [[Parent]]', ['leaf']));
+    original.addNote(new Note('No: front matter?', '--- not a block\nbody', []));
+
+    const restored = await createManager();
+    const report = restored.importMarkdownVault(await readVault(original.exportMarkdownVault()));
+    assert.equal(report.added, 3);
+
+    original.getAllNotes().forEach(note => {
+        const copy = restored.getNote(note.id);
+        assert.equal(copy.title, note.title);
+        assert.equal(copy.content, note.content);
+        assert.deepEqual(copy.tags, note.tags);
+        assert.deepEqual(copy.relations, note.relations);
+        assert.equal(copy.createdAt.toISOString(), note.createdAt.toISOString());
+    });
+    assert.deepEqual(restored.getNote(original.getAllNotes()[1].id).getAliases(), ['Kid']);
+});
+
+test('undo does not bring back a note deleted for good', async () => {
+    const manager = await createManager();
+    manager.addNote(new Note('Kept', 'Body', [], 'kept'));
+    manager.addNote(new Note('Purged', 'Body', [], 'purged'));
+    manager.deleteNote('purged');
+
+    assert.equal(manager.deleteNotePermanently('purged'), true);
+    await manager.flush();
+    assert.deepEqual(await manager.getRevisions('purged'), []);
+
+    // Only the commands for the other note are left
+    assert.equal(manager.undo().label, 'Add note');
+    assert.equal(manager.getNote('purged'), undefined);
+    assert.equal(manager.getNote('kept'), undefined);
+    assert.equal(manager.canUndo(), false);
+    assert.equal(manager.redo().label, 'Add note');
+    assert.equal(manager.getNote('kept').title, 'Kept');
+});
+
+test('emptying the trash drops its notes from the undo stack', async () => {
+    const manager = await createManager();
+    manager.addNote(new Note('One', 'Body', ['x'], 'one'));
+    manager.addNote(new Note('Two', 'Body', ['x'], 'two'));
+    manager.addNote(new Note('Three', 'Body', [], 'three'));
+    manager.renameTag('x', 'y');
+    manager.deleteNote('one');
+    manager.deleteNote('two');
+
+    assert.equal(manager.emptyTrash(), 2);
+    // The tag rename touched both purged notes, so it goes too
+    assert.equal(manager.undo().label, 'Add note');
+    assert.equal(manager.getNote('three'), undefined);
+    assert.equal(manager.canUndo(), false);
+    assert.equal(manager.getTrashedNotes().length, 0);
+});
+
+test('UndoManager.forget() drops commands from both stacks', () => {
+    const undoManager = new UndoManager();
+    const command = (label, ids) => ({ label, ids, undo() {}, redo() {} });
+    undoManager.push(command('a', ['1']));
+    undoManager.push(command('b', ['2', '3']));
+    undoManager.push(command('c', ['3']));
+    undoManager.push(command('d', ['4']));
+    undoManager.undo();
+    undoManager.undo();
+
+    assert.equal(undoManager.forget(['3']), 2);
+    assert.equal(undoManager.undo().label, 'a');
+    assert.equal(undoManager.redo().label, 'a');
+    assert.equal(undoManager.redo().label, 'd');
+    assert.equal(undoManager.canRedo(), false);
+    assert.equal(undoManager.forget(['missing']), 0);
+});
+
+test('the revision limit is a setting of each vault', async () => {
+    const storage = new MemoryStorageAdapter();
+    const first = new NoteManager(storage);
+    await first.ready;
+    assert.equal(first.history.getLimit(), 50);
+
+    await first.setRevisionLimit('3');
+    assert.equal(first.history.getLimit(), 3);
+    assert.equal(await first.getSetting('revisionLimit'), 3);
+
+    const reloaded = new NoteManager(storage);
+    await reloaded.ready;
+    assert.equal(reloaded.history.getLimit(), 3);
+
+    const otherVault = await createManager();
+    assert.equal(otherVault.history.getLimit(), 50);
+});
+
+test('the vault\'s revision limit prunes older revisions', async () => {
+    const manager = await createManager();
+    await manager.setRevisionLimit(2);
+    manager.addNote(new Note('Draft', 'v1', [], 'pruned'));
+    ['v2', 'v3', 'v4'].forEach(content => manager.updateNote('pruned', { content }));
+    await manager.flush();
+
+    const revisions = await manager.getRevisions('pruned');
+    assert.deepEqual(revisions.map(revision => revision.content), ['v3', 'v4']);
+});
@@ -0,0 +1,214 @@
+/* NoteSchema tests
+   Migrations, validation, quarantine on load and versioned export files.
+   Run with: node --test test/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The scripts are written for the browser; utilities attach themselves to window
+global.window = global;
+require('../script/utils/DiffUtils.js');
+require('../script/utils/FrontMatterUtils.js');
+global.StorageAdapter = require('../script/storage/StorageAdapter.js');
+global.MemoryStorageAdapter = require('../script/storage/MemoryStorageAdapter.js');
+global.Note = require('../script/models/Note.js');
+global.NoteSchema = require('../script/models/NoteSchema.js');
+global.SearchQuery = require('../script/search/SearchQuery.js');
+global.SearchIndex = require('../script/search/SearchIndex.js');
+global.HistoryManager = require('../script/managers/HistoryManager.js');
+global.UndoManager = require('../script/managers/UndoManager.js');
+global.TrashManager = require('../script/managers/TrashManager.js');
+global.DraftManager = require('../script/managers/DraftManager.js');
+const NoteManager = require('../script/managers/NoteManager.js');
+
+const v1Record = (overrides = {}) => ({
+    id: 'note-1',
+    title: 'First',
+    content: 'See [[Second|the second note]] and [[Third]]',
+    tags: ' ideas, work ,ideas',
+    createdAt: Date.UTC(2024, 0, 1),
+    links: ['Second|the second note', 'Third'],
+    ...overrides
+});
+
+const v2Record = (overrides = {}) => ({
+    id: 'note-2',
+    title: 'Second',
+    content: 'Plain text',
+    tags: ['work'],
+    createdAt: '2024-01-02T00:00:00.000Z',
+    updatedAt: '2024-01-03T00:00:00.000Z',
+    links: [],
+    wordCount: 2,
+    schemaVersion: 2,
+    ...overrides
+});
+
+// Silence the console.error NoteManager uses for failures it reports through events
+const quietly = async (fn) => {
+    const error = console.error;
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.error = error;
+    }
+};
+
+test('migration 1 -> 2 upgrades dates, tags and links', () => {
+    const migrated = NoteSchema.migrations[1](v1Record());
+
+    assert.equal(migrated.schemaVersion, 2);
+    assert.equal(migrated.createdAt, '2024-01-01T00:00:00.000Z');
+    assert.equal(migrated.updatedAt, migrated.createdAt, 'updatedAt falls back to createdAt');
+    assert.deepEqual(migrated.tags, ['ideas', 'work']);
+    assert.deepEqual(migrated.links, ['Second', 'Third'], 'aliases are dropped from links');
+    assert.equal(migrated.wordCount, 6);
+    assert.deepEqual(NoteSchema.validate(migrated), []);
+});
+
+test('migrate() leaves current records alone and refuses newer ones', () => {
+    const current = v2Record();
+    assert.deepEqual(NoteSchema.migrate(current), current);
+    assert.notEqual(NoteSchema.migrate(current), current, 'returns a copy');
+
+    assert.throws(() => NoteSchema.migrate(v2Record({ schemaVersion: 3 })), /newer than this app supports/);
+});
+
+test('validate() reports malformed fields', () => {
+    assert.deepEqual(NoteSchema.validate(v2Record()), []);
+    assert.deepEqual(NoteSchema.validate(null), ['Record is not an object']);
+    assert.deepEqual(NoteSchema.validate([]), ['Record is not an object']);
+
+    const errors = NoteSchema.validate(v2Record({
+        title: '  ',
+        content: 42,
+        tags: ['ok', 7],
+        createdAt: 'not a date',
+        updatedAt: undefined
+    }));
+    assert.deepEqual(errors, [
+        'title must be a non-empty string',
+        'content must be a string',
+        'tags must be a list of strings',
+        'createdAt must be a date',
+        'updatedAt must be a date'
+    ]);
+});
+
+test('validate() only accepts ids that are safe in markup', () => {
+    assert.deepEqual(NoteSchema.validate(v2Record({ id: null })), []);
+    assert.deepEqual(NoteSchema.validate(v2Record({ id: '1712345678901abc_def-2.x:y' })), []);
+
+    ['', ' ', `x');alert(1)//`, 'a"b', '<img>', 'has space', 42, 'x'.repeat(129)].forEach(id => {
+        assert.equal(NoteSchema.validate(v2Record({ id })).length, 1, `rejects ${JSON.stringify(id)}`);
+    });
+});
+
+test('prepare() migrates, validates and reports a batch', () => {
+    const { valid, migrated, invalid } = NoteSchema.prepare([
+        v1Record(),
+        v2Record(),
+        v2Record({ id: 'bad', title: '' }),
+        v2Record({ id: 'future', schemaVersion: 9 })
+    ]);
+
+    assert.deepEqual(valid.map(record => record.id), ['note-1', 'note-2']);
+    assert.deepEqual(migrated, ['note-1']);
+    assert.deepEqual(invalid.map(({ record }) => record.id), ['bad', 'future']);
+    assert.deepEqual(invalid[0].errors, ['title must be a non-empty string']);
+    assert.match(invalid[1].errors[0], /newer than this app supports/);
+});
+
+test('readEnvelope() stamps records with the export version', () => {
+    const records = NoteSchema.readEnvelope({ version: '1.0', notes: [v1Record(), v2Record()] });
+    assert.equal(records[0].schemaVersion, 1);
+    assert.equal(records[1].schemaVersion, 2, 'a record keeps its own version');
+
+    assert.throws(() => NoteSchema.readEnvelope({ version: '3.0', notes: [] }), /newer than this app supports/);
+    assert.throws(() => NoteSchema.readEnvelope({ notes: 'nope' }), /does not contain a NoteMesh notes export/);
+});
+
+test('createEnvelope() writes the current version', () => {
+    const envelope = NoteSchema.createEnvelope([Note.deserialize(v2Record())]);
+    assert.equal(envelope.version, '2.0');
+    assert.equal(envelope.notes[0].schemaVersion, 2);
+    assert.deepEqual(NoteSchema.readEnvelope(envelope)[0], envelope.notes[0]);
+});
+
+test('stored v1 records are migrated on load and written back', async () => {
+    const storage = new MemoryStorageAdapter({ notes: [v1Record()] });
+    const manager = new NoteManager(storage);
+    await manager.ready;
+    await manager.flush();
+
+    const note = manager.getNote('note-1');
+    assert.deepEqual(note.links, ['Second', 'Third']);
+    assert.deepEqual(note.tags, ['ideas', 'work']);
+
+    const stored = await storage.get('notes', 'note-1');
+    assert.equal(stored.schemaVersion, 2);
+    assert.deepEqual(stored.links, ['Second', 'Third']);
+});
+
+test('malformed stored records are quarantined instead of loaded', async () => {
+    const storage = new MemoryStorageAdapter({
+        notes: [v2Record(), v2Record({ id: 'broken', content: null }), v2Record({ id: 'a"b' })]
+    });
+    const manager = new NoteManager(storage);
+    let reported = null;
+    manager.on('notesQuarantined', entries => { reported = entries; });
+    await manager.ready;
+
+    assert.deepEqual(manager.getAllNotes().map(note => note.id), ['note-2']);
+    assert.deepEqual(reported.map(entry => entry.id), ['broken', 'a"b']);
+
+    const quarantined = await manager.getQuarantinedRecords();
+    assert.deepEqual(quarantined.map(entry => entry.id).sort(), ['a"b', 'broken']);
+    assert.deepEqual(quarantined.find(entry => entry.id === 'broken').errors, ['content must be a string']);
+    assert.equal(quarantined[0].record.title, 'Second', 'the original record is kept');
+
+    const stored = await storage.getAll('notes');
+    assert.deepEqual(stored.map(record => record.id), ['note-2']);
+});
+
+test('a v1 export file imports through the migrations', async () => {
+    const manager = new NoteManager(new MemoryStorageAdapter());
+    await manager.ready;
+
+    const file = JSON.stringify({
+        version: '1.0',
+        exportDate: '2024-01-05T00:00:00.000Z',
+        notes: [v1Record(), v1Record({ id: 'empty-title', title: '' })]
+    });
+    const report = await quietly(() => manager.importNotes(file));
+
+    assert.equal(report.added, 1);
+    assert.equal(report.rejected, 1);
+    const note = manager.getNote('note-1');
+    assert.deepEqual(note.links, ['Second', 'Third']);
+    assert.equal(note.createdAt.toISOString(), '2024-01-01T00:00:00.000Z');
+});
+
+test('an export file from a newer version is refused', async () => {
+    const manager = new NoteManager(new MemoryStorageAdapter());
+    await manager.ready;
+
+    const report = await quietly(() => manager.importNotes(JSON.stringify({ version: '3.0', notes: [v2Record()] })));
+    assert.equal(report.added, 0);
+    assert.match(report.errors[0], /newer than this app supports/);
+    assert.equal(manager.getAllNotes().length, 0);
+});
+
+test('unsafe front matter ids are reissued on Markdown import', () => {
+    const unsafe = NoteManager.markdownFileToRecord({
+        name: 'Note.md',
+        data: `---\nid: "x');alert(1)//"\n---\nBody`
+    });
+    assert.equal(unsafe.id, null);
+    assert.equal(unsafe.title, 'Note');
+
+    const safe = NoteManager.markdownFileToRecord({ name: 'Note.md', data: '---\nid: abc-123\n---\nBody' });
+    assert.equal(safe.id, 'abc-123');
+});
@@ -0,0 +1,108 @@
+/* SearchIndex tests
+   Matching, BM25 ranking, filters and keeping the index in sync.
+   Run with: node --test test/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The scripts are written for the browser; utilities attach themselves to window
+global.window = global;
+global.SearchQuery = require('../script/search/SearchQuery.js');
+const SearchIndex = require('../script/search/SearchIndex.js');
+
+const note = (id, title, content, tags = [], updatedAt = '2026-01-10T12:00:00') => ({
+    id, title, content, tags,
+    createdAt: new Date('2026-01-01T12:00:00'),
+    updatedAt: new Date(updatedAt)
+});
+
+const notes = [
+    note('project-title', 'Project plan', 'Milestones and owners'),
+    note('project-tag', 'Roadmap', 'Milestones for the quarter', ['project']),
+    note('project-body', 'Weekly notes', 'Talked about the project budget and the knowledge graph'),
+    note('prefix-only', 'Programming', 'Notes on programs and protocols', [], '2026-02-03T12:00:00'),
+    note('phrase', 'Graph theory', 'A graph of knowledge, not a knowledge graph', ['maths'], '2026-02-20T12:00:00')
+];
+
+const ids = (hits) => hits.map(hit => hit.note.id);
+const createIndex = () => {
+    const index = new SearchIndex();
+    index.rebuild(notes);
+    return index;
+};
+
+test('title matches outrank tag matches, which outrank content matches', () => {
+    assert.deepEqual(ids(createIndex().search('project')), ['project-title', 'project-tag', 'project-body']);
+});
+
+test('words match by prefix, below exact matches', () => {
+    const hits = createIndex().search('pro');
+    assert.deepEqual(new Set(ids(hits)), new Set(['project-title', 'project-tag', 'project-body', 'prefix-only']));
+
+    const exact = createIndex().search('project');
+    const prefixed = createIndex().search('projec');
+    assert.ok(prefixed[0].score < exact[0].score, 'a prefix expansion scores lower');
+    assert.deepEqual(prefixed[0].terms, ['project']);
+});
+
+test('every word must match', () => {
+    assert.deepEqual(ids(createIndex().search('milestones quarter')), ['project-tag']);
+    assert.deepEqual(createIndex().search('milestones nothing'), []);
+});
+
+test('phrases match whole words in order', () => {
+    assert.deepEqual(ids(createIndex().search('"knowledge graph"')), ['phrase', 'project-body']);
+    assert.deepEqual(createIndex().search('"graph knowledge"'), []);
+    assert.deepEqual(createIndex().search('"knowledge gra"'), []);
+});
+
+test('title: only searches titles', () => {
+    assert.deepEqual(ids(createIndex().search('title:graph')), ['phrase']);
+    assert.deepEqual(ids(createIndex().search('title:"project plan"')), ['project-title']);
+});
+
+test('exclusions match the way inclusions do', () => {
+    const index = createIndex();
+    assert.deepEqual(index.search('project -project'), []);
+    assert.deepEqual(index.search('pro -pro'), []);
+    // -prog drops "Programming" but nothing that only has "project"
+    assert.deepEqual(new Set(ids(index.search('pro -prog'))), new Set(['project-title', 'project-tag', 'project-body']));
+    assert.deepEqual(ids(index.search('milestones -title:roadmap')), ['project-title']);
+    assert.deepEqual(ids(index.search('graph -"knowledge graph"')), []);
+    assert.deepEqual(ids(index.search('notes -"notes on"')), ['project-body']);
+});
+
+test('tag and date clauses filter without adding to the score', () => {
+    const index = createIndex();
+    assert.deepEqual(ids(index.search('tag:project')), ['project-tag']);
+    assert.deepEqual(ids(index.search('tag:maths graph')), ['phrase']);
+    assert.deepEqual(new Set(ids(index.search('-tag:project milestones'))), new Set(['project-title']));
+    // Without text every note passes with a zero score, newest first
+    assert.deepEqual(ids(index.search('updated:>2026-02-01')), ['phrase', 'prefix-only']);
+    assert.deepEqual(ids(index.search('updated:2026-02-03')), ['prefix-only']);
+    assert.ok(index.search('updated:>2026-02-01').every(hit => hit.score === 0));
+});
+
+test('the index follows added, updated and removed notes', () => {
+    const index = createIndex();
+    index.addNote(note('new', 'Fresh idea', 'zeppelin'));
+    assert.deepEqual(ids(index.search('zeppelin')), ['new']);
+
+    index.updateNote(note('new', 'Fresh idea', 'airship'));
+    assert.deepEqual(index.search('zeppelin'), []);
+    assert.deepEqual(ids(index.search('airship')), ['new']);
+
+    index.removeNote('new');
+    assert.deepEqual(index.search('airship'), []);
+    assert.equal(index.postings.has('airship'), false, 'unused terms are dropped');
+    assert.deepEqual(index.fieldTotals, createIndex().fieldTotals);
+});
+
+test('createSnippet() cuts around the first match', () => {
+    const text = `${'lead '.repeat(30)}the match is here ${'tail '.repeat(30)}`;
+    const snippet = SearchIndex.createSnippet(text, ['match'], 40);
+    assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+    assert.ok(snippet.includes('match is here'));
+    assert.equal(SearchIndex.createSnippet('short text', ['missing']), 'short text');
+});
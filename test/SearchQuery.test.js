@@ -0,0 +1,72 @@
+/* SearchQuery tests
+   Parsing search input into term, phrase, tag and date clauses.
+   Run with: node --test test/
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SearchQuery = require('../script/search/SearchQuery.js');
+
+const day = (year, month, date) => new Date(year, month - 1, date).getTime();
+
+test('tokenize() lowercases, folds accents and splits on non-word characters', () => {
+    assert.deepEqual(SearchQuery.tokenize('Café-Crème, naïve ÉTÉ 2024!'), ['cafe', 'creme', 'naive', 'ete', '2024']);
+    assert.deepEqual(SearchQuery.tokenize('  '), []);
+    assert.deepEqual(SearchQuery.tokenize(null), []);
+});
+
+test('words become one term clause each', () => {
+    assert.deepEqual(SearchQuery.parse('Graph  Théory'), [
+        { type: 'term', field: 'all', value: 'graph', negated: false },
+        { type: 'term', field: 'all', value: 'theory', negated: false }
+    ]);
+    assert.deepEqual(SearchQuery.parse(''), []);
+    assert.deepEqual(SearchQuery.parse('- "" !!'), []);
+});
+
+test('quoted text becomes a phrase clause', () => {
+    assert.deepEqual(SearchQuery.parse('"Knowledge graph" notes'), [
+        { type: 'phrase', field: 'all', value: 'knowledge graph', tokens: ['knowledge', 'graph'], negated: false },
+        { type: 'term', field: 'all', value: 'notes', negated: false }
+    ]);
+    // A one-word phrase is just a term, and an unclosed quote runs to the end
+    assert.deepEqual(SearchQuery.parse('"graph"'), [{ type: 'term', field: 'all', value: 'graph', negated: false }]);
+    assert.equal(SearchQuery.parse('"open ended').at(0).value, 'open ended');
+});
+
+test('title:, tag: and - prefixes', () => {
+    assert.deepEqual(SearchQuery.parse('title:"Daily log" -tag:#Archive TAGS:work -draft'), [
+        { type: 'phrase', field: 'title', value: 'daily log', tokens: ['daily', 'log'], negated: false },
+        { type: 'tag', value: 'archive', negated: true },
+        { type: 'tag', value: 'work', negated: false },
+        { type: 'term', field: 'all', value: 'draft', negated: true }
+    ]);
+    assert.deepEqual(SearchQuery.parse('tag:"two words"'), [{ type: 'tag', value: 'two words', negated: false }]);
+});
+
+test('unknown prefixes are searched as text', () => {
+    assert.deepEqual(SearchQuery.parse('https://example.com').map(clause => clause.value), ['https', 'example', 'com']);
+    assert.deepEqual(SearchQuery.parse('-foo:bar').map(clause => [clause.value, clause.negated]), [['foo', true], ['bar', true]]);
+});
+
+test('date filters cover whole local days', () => {
+    const [updated] = SearchQuery.parse('updated:2026-01-15');
+    assert.deepEqual(updated, { type: 'date', field: 'updated', negated: false, from: day(2026, 1, 15), to: day(2026, 1, 16) });
+
+    const bounds = (query) => {
+        const [clause] = SearchQuery.parse(query);
+        return [clause.from, clause.to];
+    };
+    assert.deepEqual(bounds('created:>2026-01-15'), [day(2026, 1, 16), Infinity]);
+    assert.deepEqual(bounds('created:>=2026-01-15'), [day(2026, 1, 15), Infinity]);
+    assert.deepEqual(bounds('created:<2026-01-15'), [-Infinity, day(2026, 1, 15)]);
+    assert.deepEqual(bounds('created:<=2026-01-15'), [-Infinity, day(2026, 1, 16)]);
+    assert.deepEqual(bounds('updated:2026-01-01..2026-01-31'), [day(2026, 1, 1), day(2026, 2, 1)]);
+    assert.deepEqual(bounds('updated:..2026-01-31'), [-Infinity, day(2026, 2, 1)]);
+    assert.equal(SearchQuery.parse('-updated:2026-01-01')[0].negated, true);
+});
+
+test('unreadable dates are dropped', () => {
+    assert.deepEqual(SearchQuery.parse('updated:yesterday created:2026-01-01..soon'), []);
+});